@@ -0,0 +1,237 @@
+import { randomBytes } from "node:crypto";
+import { Stats } from "node:fs";
+import fs, { chown, copyFile, open, realpath, rename, rm, stat } from "./fs-adapter.js";
+import path from "node:path";
+
+export type WriteFileAtomicOptions = {
+    encoding?: BufferEncoding; // Encoding of string data. Default: "utf-8"
+    mode?: number; // File mode. Default: the existing file's mode, or 0o666 minus the umask
+    fsync?: boolean; // Flush the data to disk before the rename. Default: true
+    backup?: boolean | string; // Copy the existing file to `<file>.bak`, or to the given path, before replacing it. Default: false
+};
+
+export type WriteOptions = WriteFileAtomicOptions & {
+    atomic?: boolean; // Write through a temp file and rename. Default: true
+};
+
+/**
+ * Writes a file atomically: the data goes to a temp file in the same directory,
+ * is flushed to disk and then renamed over the target, so readers never see a partial file.
+ * The mode and owner of an existing file are kept, and a symlinked target is written through.
+ * @param filePath The file to write.
+ * @param data The content to write.
+ * @param options WriteFileAtomicOptions to configure the mode, fsync and backup.
+ */
+export async function writeFileAtomic(
+    filePath: string,
+    data: string | Uint8Array,
+    options: WriteFileAtomicOptions = {}
+): Promise<void> {
+    const { encoding = "utf-8", fsync = true, backup = false } = options;
+    const target = await resolveTarget(filePath);
+    const existing = await stat(target).catch((err) => {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    });
+
+    const tempPath = getTempPath(target);
+    const mode = options.mode ?? (existing ? existing.mode & 0o7777 : undefined);
+    const handle = await open(tempPath, "wx", mode);
+    try {
+        try {
+            await handle.writeFile(data, typeof data === "string" ? encoding : undefined);
+            // The open mode is masked by the umask; set it explicitly to match the original
+            if (mode !== undefined) await handle.chmod(mode);
+            if (existing) await keepOwner(tempPath, existing.uid, existing.gid);
+            if (fsync) await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        if (existing && backup) {
+            await copyFile(target, getBackupPath(target, backup));
+        }
+        await rename(tempPath, target);
+    } catch (err) {
+        await rm(tempPath, { force: true });
+        throw err;
+    }
+
+    if (fsync) await syncDirectory(path.dirname(target));
+}
+
+/**
+ * Writes a file atomically unless `atomic: false` is given.
+ * Used by all of the library's writers.
+ */
+export async function writeFileWithOptions(filePath: string, data: string | Uint8Array, options: WriteOptions = {}): Promise<void> {
+    const { atomic = true, ...atomicOptions } = options;
+    if (atomic) {
+        await writeFileAtomic(filePath, data, atomicOptions);
+        return;
+    }
+    if (options.backup) {
+        await copyFile(filePath, getBackupPath(filePath, options.backup)).catch((err) => {
+            if (err.code !== "ENOENT") throw err;
+        });
+    }
+    const handle = await open(filePath, "w", options.mode);
+    try {
+        await handle.writeFile(data, typeof data === "string" ? options.encoding ?? "utf-8" : undefined);
+        if (options.fsync) await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Synchronous version of `writeFileAtomic()`.
+ */
+export function writeFileAtomicSync(
+    filePath: string,
+    data: string | Uint8Array,
+    options: WriteFileAtomicOptions = {}
+): void {
+    const { encoding = "utf-8", fsync = true, backup = false } = options;
+    const target = resolveTargetSync(filePath);
+    let existing: Stats | null = null;
+    try {
+        existing = fs.statSync(target);
+    } catch (err: any) {
+        if (err.code !== "ENOENT") throw err;
+    }
+
+    const tempPath = getTempPath(target);
+    const mode = options.mode ?? (existing ? existing.mode & 0o7777 : undefined);
+    const fd = fs.openSync(tempPath, "wx", mode);
+    try {
+        try {
+            fs.writeFileSync(fd, data, typeof data === "string" ? encoding : undefined);
+            if (mode !== undefined) fs.fchmodSync(fd, mode);
+            if (existing) keepOwnerSync(tempPath, existing.uid, existing.gid);
+            if (fsync) fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        if (existing && backup) {
+            fs.copyFileSync(target, getBackupPath(target, backup));
+        }
+        fs.renameSync(tempPath, target);
+    } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+    }
+
+    if (fsync) syncDirectorySync(path.dirname(target));
+}
+
+/**
+ * Synchronous version of `writeFileWithOptions()`.
+ */
+export function writeFileWithOptionsSync(filePath: string, data: string | Uint8Array, options: WriteOptions = {}): void {
+    const { atomic = true, ...atomicOptions } = options;
+    if (atomic) {
+        writeFileAtomicSync(filePath, data, atomicOptions);
+        return;
+    }
+    if (options.backup) {
+        try {
+            fs.copyFileSync(filePath, getBackupPath(filePath, options.backup));
+        } catch (err: any) {
+            if (err.code !== "ENOENT") throw err;
+        }
+    }
+    const fd = fs.openSync(filePath, "w", options.mode);
+    try {
+        fs.writeFileSync(fd, data, typeof data === "string" ? options.encoding ?? "utf-8" : undefined);
+        if (options.fsync) fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * A unique hidden temp file next to the target, so the rename stays on one file system.
+ */
+export function getTempPath(target: string): string {
+    return path.join(path.dirname(target), `.${path.basename(target)}.${randomBytes(6).toString("hex")}.tmp`);
+}
+
+function getBackupPath(target: string, backup: true | string): string {
+    return typeof backup === "string" ? backup : `${target}.bak`;
+}
+
+/**
+ * Follows a symlink so the link itself is kept and its target is replaced.
+ */
+async function resolveTarget(filePath: string): Promise<string> {
+    try {
+        return await realpath(filePath);
+    } catch (err: any) {
+        if (err.code === "ENOENT") return path.resolve(filePath);
+        throw err;
+    }
+}
+
+function resolveTargetSync(filePath: string): string {
+    try {
+        return fs.realpathSync(filePath);
+    } catch (err: any) {
+        if (err.code === "ENOENT") return path.resolve(filePath);
+        throw err;
+    }
+}
+
+async function keepOwner(filePath: string, uid: number, gid: number): Promise<void> {
+    if (!needsChown(uid, gid)) return;
+    try {
+        await chown(filePath, uid, gid);
+    } catch (err: any) {
+        // Only privileged processes can give a file away
+        if (err.code !== "EPERM" && err.code !== "EINVAL") throw err;
+    }
+}
+
+function keepOwnerSync(filePath: string, uid: number, gid: number): void {
+    if (!needsChown(uid, gid)) return;
+    try {
+        fs.chownSync(filePath, uid, gid);
+    } catch (err: any) {
+        if (err.code !== "EPERM" && err.code !== "EINVAL") throw err;
+    }
+}
+
+function needsChown(uid: number, gid: number): boolean {
+    if (typeof process.getuid !== "function") return false;
+    return uid !== process.getuid() || gid !== process.getgid();
+}
+
+/**
+ * Flushes the directory entry of a rename. Not supported on every platform, so failures are ignored.
+ */
+async function syncDirectory(dirPath: string): Promise<void> {
+    try {
+        const handle = await open(dirPath, "r");
+        try {
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    } catch {
+        // Ignore errors
+    }
+}
+
+function syncDirectorySync(dirPath: string): void {
+    try {
+        const fd = fs.openSync(dirPath, "r");
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    } catch {
+        // Ignore errors
+    }
+}
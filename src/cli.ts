@@ -0,0 +1,585 @@
+#!/usr/bin/env node
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { readFile } from "./fs-adapter.js";
+import { emptyDir, ensureDir, readJson, remove, updateJson } from "./index.js";
+import { find, GlobOptions } from "./find.js";
+import { copy, ConflictPolicy, CopyOptions, move } from "./copy.js";
+import { getEmptyEnvKeys, parseEnv, updateEnv, writeEnvVar } from "./env.js";
+import { diffEnv } from "./env-example.js";
+import { JsonFormat } from "./json.js";
+import { bumpVersion, findPackageJson, setField } from "./package.js";
+import { ReleaseType } from "./semver.js";
+import { FsesmError, FsesmNotFoundError, toFsesmError } from "./errors.js";
+import { setLogger } from "./logger.js";
+
+type OptionSpec = {
+    type: "boolean" | "string";
+    short?: string;
+    multiple?: boolean;
+};
+
+type ParsedArgs = {
+    positionals: string[];
+    options: Record<string, string | string[] | boolean>;
+};
+
+type CommandResult = {
+    data: unknown; // Printed as JSON with `--json`
+    text?: string[]; // Lines printed otherwise
+    exitCode?: number; // Default: 0
+};
+
+type Command = {
+    usage: string;
+    description: string;
+    options?: string[]; // Names of the options the command accepts, besides the global ones
+    run(args: string[], options: ParsedArgs["options"]): Promise<CommandResult>;
+};
+
+/**
+ * Thrown for invalid arguments, which exit with code 2 and a hint to `--help`.
+ */
+class UsageError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+const OPTIONS: Record<string, OptionSpec> = {
+    "json": { type: "boolean" },
+    "cwd": { type: "string", short: "C" },
+    "help": { type: "boolean", short: "h" },
+    "version": { type: "boolean", short: "v" },
+    // find
+    "ignore": { type: "string", multiple: true },
+    "type": { type: "string" },
+    "max-depth": { type: "string" },
+    "absolute": { type: "boolean" },
+    "dot": { type: "boolean" },
+    "gitignore": { type: "boolean" },
+    "nocase": { type: "boolean" },
+    "follow-symlinks": { type: "boolean" },
+    // env
+    "file": { type: "string", short: "f" },
+    "example": { type: "string" },
+    "if-empty": { type: "boolean" },
+    // json and pkg
+    "format": { type: "string" },
+    "string": { type: "boolean" },
+    "preid": { type: "string" },
+    // rm, cp and mv
+    "glob": { type: "boolean" },
+    "conflict": { type: "string" },
+    "overwrite": { type: "boolean" },
+    "include": { type: "string", multiple: true },
+    "exclude": { type: "string", multiple: true },
+    "preserve-timestamps": { type: "boolean" },
+    "dereference": { type: "boolean" },
+};
+
+const GLOBAL_OPTIONS = ["json", "cwd", "help", "version"];
+const GROUPS = ["env", "json", "pkg"];
+const CONFLICT_POLICIES: ConflictPolicy[] = ["overwrite", "skip", "error", "newer"];
+const RELEASE_TYPES: ReleaseType[] = ["major", "minor", "patch", "prerelease"];
+
+const HELP_OPTIONS: [string, string][] = [
+    ["--json", "Print the result as JSON"],
+    ["-C, --cwd <dir>", "Run in another directory"],
+    ["-f, --file <path>", "The .env file of the env commands. Default: .env"],
+    ["--example <path>", "The reference of env diff. Default: .env.example next to the .env file"],
+    ["--if-empty", "env set: only write the key if it is empty or missing"],
+    ["--ignore <glob>", "find: patterns to leave out; repeatable"],
+    ["--type <type>", "find: files, folders or all. Default: files"],
+    ["--max-depth <n>", "find: how deep to search"],
+    ["--absolute", "find: print absolute paths"],
+    ["--no-dot", "find: do not match dotfiles with wildcards"],
+    ["--gitignore", "find: skip the files ignored by .gitignore"],
+    ["--nocase", "find: match case-insensitively"],
+    ["--follow-symlinks", "find: traverse linked directories"],
+    ["--format <format>", "json: json, jsonc or json5. Default: json"],
+    ["--string", "json set, pkg set: keep the value as a string instead of parsing it as JSON"],
+    ["--preid <id>", "pkg bump: the prerelease identifier, e.g. beta"],
+    ["--glob", "rm: treat the paths as glob patterns"],
+    ["--conflict <policy>", "cp, mv: overwrite, skip, error or newer"],
+    ["--overwrite", "cp, mv: replace existing files; --no-overwrite fails instead"],
+    ["--include <glob>", "cp, mv: only the matching files; repeatable"],
+    ["--exclude <glob>", "cp, mv: leave out the matching files; repeatable"],
+    ["--preserve-timestamps", "cp, mv: keep the times of the source"],
+    ["--dereference", "cp, mv: copy the targets of symbolic links"],
+    ["-h, --help", "Show this help"],
+    ["-v, --version", "Show the version"],
+];
+
+const COMMANDS: Record<string, Command> = {
+    "find": {
+        usage: "find <pattern...>",
+        description: "List the files matching glob patterns",
+        options: ["ignore", "type", "max-depth", "absolute", "dot", "gitignore", "nocase", "follow-symlinks"],
+        async run(args, options) {
+            if (args.length === 0) throw new UsageError("Missing glob pattern");
+            const files = await find(args, getFindOptions(options));
+            return { data: files, text: files };
+        },
+    },
+    "env get": {
+        usage: "env get <key>",
+        description: "Print the value of a key of an .env file; exits with 1 if it is missing",
+        options: ["file"],
+        async run(args, options) {
+            const [key] = getArgs(args, 1, ["key"]);
+            const data = await readEnvValues(getEnvPath(options));
+            if (!(key in data)) return { data: null, exitCode: 1 };
+            return { data: data[key], text: [data[key]] };
+        },
+    },
+    "env set": {
+        usage: "env set <key> <value>",
+        description: "Set a key of an .env file, creating the file if needed",
+        options: ["file", "if-empty"],
+        async run(args, options) {
+            const [key, value] = getArgs(args, 2, ["key", "value"]);
+            await writeEnvVar(getEnvPath(options), key, value, options["if-empty"] === true);
+            return { data: { key, value } };
+        },
+    },
+    "env unset": {
+        usage: "env unset <key>",
+        description: "Remove a key from an .env file",
+        options: ["file"],
+        async run(args, options) {
+            const [key] = getArgs(args, 1, ["key"]);
+            let removed = false;
+            await updateEnv(getEnvPath(options), (data) => {
+                removed = key in data;
+                const { [key]: _removed, ...rest } = data;
+                return rest;
+            });
+            return { data: { key, removed } };
+        },
+    },
+    "env check": {
+        usage: "env check [key...]",
+        description: "Fail if keys of an .env file are empty, or if the given keys are empty or missing",
+        options: ["file"],
+        async run(args, options) {
+            const envPath = getEnvPath(options);
+            const empty = (await getEmptyEnvKeys(envPath)).map(String);
+            let failed = empty;
+            if (args.length > 0) {
+                const data = await readEnvValues(envPath);
+                failed = args.filter((key) => !(key in data) || empty.includes(key));
+            }
+            const text = failed.map((key) => `${key} is empty or missing in ${path.basename(envPath)}`);
+            return { data: failed, text, exitCode: failed.length > 0 ? 1 : 0 };
+        },
+    },
+    "env diff": {
+        usage: "env diff",
+        description: "Compare an .env file with its example; exits with 1 if keys are missing",
+        options: ["file", "example"],
+        async run(args, options) {
+            getArgs(args, 0, []);
+            const envPath = getEnvPath(options);
+            const examplePath = getString(options, "example") ?? path.join(path.dirname(envPath), ".env.example");
+            const diff = await diffEnv(envPath, examplePath);
+            const text = [
+                ...diff.missing.map((key) => `- ${key}`),
+                ...diff.extra.map((key) => `+ ${key}`),
+                ...diff.empty.map((key) => `  ${key} (empty)`),
+            ];
+            return { data: diff, text, exitCode: diff.missing.length > 0 ? 1 : 0 };
+        },
+    },
+    "json get": {
+        usage: "json get <file> [dot.path]",
+        description: "Print a value of a JSON file; exits with 1 if it is missing",
+        options: ["format"],
+        async run(args, options) {
+            const [file, fieldPath] = getArgs(args, 1, ["file", "dot.path"], 2);
+            const data = await readJson(file, { format: getFormat(options), safe: false });
+            return formatValue(fieldPath === undefined ? data : getPath(data, toKeys(fieldPath)));
+        },
+    },
+    "json set": {
+        usage: "json set <file> <dot.path> <value>",
+        description: "Set a value of a JSON file, keeping its formatting; the value is parsed as JSON unless --string",
+        options: ["format", "string"],
+        async run(args, options) {
+            const [file, fieldPath, input] = getArgs(args, 3, ["file", "dot.path", "value"]);
+            const value = parseValue(input, options);
+            await updateJson(file, (data) => setPath(data, toKeys(fieldPath), value), {
+                format: getFormat(options),
+                preserveFormat: true,
+                safe: false,
+            });
+            return { data: { path: fieldPath, value } };
+        },
+    },
+    "pkg get": {
+        usage: "pkg get [dot.path]",
+        description: "Print a field of the nearest package.json; exits with 1 if it is missing",
+        async run(args) {
+            const [fieldPath] = getArgs(args, 0, ["dot.path"], 1);
+            const data = await readJson(await getPackageJsonPath(), { safe: false });
+            return formatValue(fieldPath === undefined ? data : getPath(data, toKeys(fieldPath)));
+        },
+    },
+    "pkg set": {
+        usage: "pkg set <dot.path> <value>",
+        description: "Set a field of the nearest package.json; the value is parsed as JSON unless --string",
+        options: ["string"],
+        async run(args, options) {
+            const [fieldPath, input] = getArgs(args, 2, ["dot.path", "value"]);
+            const value = parseValue(input, options);
+            await setField(toKeys(fieldPath), value, { cwd: await getPackageDir() });
+            return { data: { path: fieldPath, value } };
+        },
+    },
+    "pkg bump": {
+        usage: "pkg bump <major|minor|patch|prerelease>",
+        description: "Increment the version of the nearest package.json and print it",
+        options: ["preid"],
+        async run(args, options) {
+            const [release] = getArgs(args, 1, ["release"]);
+            if (!RELEASE_TYPES.includes(release as ReleaseType)) {
+                throw new UsageError(`Invalid release type: ${release}`);
+            }
+            const version = await bumpVersion(release as ReleaseType, {
+                cwd: await getPackageDir(),
+                preid: getString(options, "preid"),
+            });
+            return { data: version, text: [version] };
+        },
+    },
+    "rm": {
+        usage: "rm <path...>",
+        description: "Remove files and directories; with --glob, the paths are glob patterns",
+        options: ["glob"],
+        async run(args, options) {
+            if (args.length === 0) throw new UsageError("Missing path");
+            const paths = options.glob ? await find(args, { type: "all", absolute: true }) : args;
+            for (const target of paths) {
+                await remove(target);
+            }
+            return { data: paths };
+        },
+    },
+    "cp": {
+        usage: "cp <src> <dest>",
+        description: "Copy a file or directory",
+        options: ["conflict", "overwrite", "include", "exclude", "preserve-timestamps", "dereference"],
+        async run(args, options) {
+            const [src, dest] = getArgs(args, 2, ["src", "dest"]);
+            await copy(src, dest, getCopyOptions(options, "overwrite"));
+            return { data: { src, dest } };
+        },
+    },
+    "mv": {
+        usage: "mv <src> <dest>",
+        description: "Move a file or directory",
+        options: ["conflict", "overwrite", "include", "exclude", "preserve-timestamps", "dereference"],
+        async run(args, options) {
+            const [src, dest] = getArgs(args, 2, ["src", "dest"]);
+            await move(src, dest, getCopyOptions(options, "overwrite"));
+            return { data: { src, dest } };
+        },
+    },
+    "mkdirp": {
+        usage: "mkdirp <dir...>",
+        description: "Create directories and their parents",
+        async run(args) {
+            if (args.length === 0) throw new UsageError("Missing directory");
+            for (const dir of args) {
+                await ensureDir(dir);
+            }
+            return { data: args };
+        },
+    },
+    "empty": {
+        usage: "empty <dir...>",
+        description: "Remove the contents of directories, creating them if needed",
+        async run(args) {
+            if (args.length === 0) throw new UsageError("Missing directory");
+            for (const dir of args) {
+                await emptyDir(dir);
+            }
+            return { data: args };
+        },
+    },
+};
+
+/**
+ * Runs the `fsesm` command line.
+ * Exit codes: 0 on success, 1 if the operation failed or a check did not pass, 2 for invalid arguments.
+ * @param argv The arguments, without the node executable and script.
+ * @returns The exit code.
+ */
+async function main(argv: string[]): Promise<number> {
+    let json = argv.includes("--json");
+    try {
+        const { positionals, options } = parseArgs(argv);
+        json = options.json === true;
+        if (options.version) {
+            const manifest = await readJson<{ version: string }>(fileURLToPath(new URL("../package.json", import.meta.url)));
+            print(json ? JSON.stringify(manifest?.version ?? null) : manifest?.version ?? "");
+            return 0;
+        }
+
+        const name = GROUPS.includes(positionals[0]) && positionals.length > 1 ? positionals.slice(0, 2).join(" ") : positionals[0];
+        if (options.help) {
+            print(getHelp());
+            return 0;
+        }
+        if (name === undefined) {
+            process.stderr.write(`${getHelp()}\n`);
+            return 2;
+        }
+        const command = COMMANDS[name];
+        if (!command) throw new UsageError(`Unknown command: ${name}`);
+        for (const option of Object.keys(options)) {
+            if (!GLOBAL_OPTIONS.includes(option) && !command.options?.includes(option)) {
+                throw new UsageError(`Unknown option for ${name}: --${option}`);
+            }
+        }
+
+        const cwd = getString(options, "cwd");
+        if (cwd) process.chdir(cwd);
+        // Messages of the library go to stderr, so they never mix with the output
+        setLogger({ info: console.error, warn: console.error, error: console.error });
+
+        const result = await command.run(positionals.slice(name.split(" ").length), options);
+        if (json) {
+            print(JSON.stringify(result.data ?? null, null, 2));
+        } else if (result.text?.length) {
+            print(result.text.join("\n"));
+        }
+        return result.exitCode ?? 0;
+    } catch (err) {
+        const error = err instanceof FsesmError || err instanceof UsageError ? err : toFsesmError(err, "");
+        const message = error instanceof Error ? error.message : String(error);
+        if (json) {
+            const { code, path: errorPath } = error as Partial<FsesmError>;
+            print(JSON.stringify({ error: { message, code, path: errorPath } }, null, 2));
+        } else {
+            process.stderr.write(`fsesm: ${message}\n`);
+            if (error instanceof UsageError) process.stderr.write(`Run "fsesm --help" for usage.\n`);
+        }
+        return error instanceof UsageError ? 2 : 1;
+    }
+}
+
+/**
+ * Splits the arguments into positionals and options.
+ * Supports `--name value`, `--name=value`, short flags, `--no-<name>` for booleans and `--` to end the options.
+ */
+function parseArgs(argv: string[]): ParsedArgs {
+    const positionals: string[] = [];
+    const options: ParsedArgs["options"] = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === "--") {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith("-") || arg === "-") {
+            positionals.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf("=");
+        let name = arg.startsWith("--") ? arg.slice(2, equals === -1 ? undefined : equals) : arg.slice(1);
+        let inline = arg.startsWith("--") && equals !== -1 ? arg.slice(equals + 1) : undefined;
+        if (!arg.startsWith("--")) {
+            const option = Object.keys(OPTIONS).find((key) => OPTIONS[key].short === name);
+            if (!option) throw new UsageError(`Unknown option: ${arg}`);
+            name = option;
+        }
+
+        let spec = OPTIONS[name];
+        let negated = false;
+        if (!spec && name.startsWith("no-") && OPTIONS[name.slice(3)]?.type === "boolean") {
+            name = name.slice(3);
+            spec = OPTIONS[name];
+            negated = true;
+        }
+        if (!spec) throw new UsageError(`Unknown option: ${arg}`);
+
+        if (spec.type === "boolean") {
+            if (inline !== undefined) throw new UsageError(`Option --${name} does not take a value`);
+            options[name] = !negated;
+            continue;
+        }
+        if (inline === undefined) {
+            if (i + 1 >= argv.length) throw new UsageError(`Option --${name} needs a value`);
+            inline = argv[++i];
+        }
+        options[name] = spec.multiple ? [...((options[name] as string[]) ?? []), inline] : inline;
+    }
+
+    return { positionals, options };
+}
+
+/**
+ * Checks the number of positional arguments.
+ * @param args The positional arguments of the command.
+ * @param min The number of required arguments.
+ * @param names The names of the arguments, for error messages.
+ * @param max The number of allowed arguments. Default: `min`
+ */
+function getArgs(args: string[], min: number, names: string[], max = min): string[] {
+    if (args.length < min) throw new UsageError(`Missing ${names[args.length]}`);
+    if (args.length > max) throw new UsageError(`Unexpected argument: ${args[max]}`);
+    return args;
+}
+
+function getString(options: ParsedArgs["options"], name: string): string | undefined {
+    return typeof options[name] === "string" ? options[name] as string : undefined;
+}
+
+function getFindOptions(options: ParsedArgs["options"]): GlobOptions {
+    const type = getString(options, "type");
+    if (type !== undefined && !["files", "folders", "all"].includes(type)) {
+        throw new UsageError(`Invalid --type: ${type}. Expected files, folders or all`);
+    }
+    const maxDepth = getString(options, "max-depth");
+    if (maxDepth !== undefined && !/^\d+$/.test(maxDepth)) {
+        throw new UsageError(`Invalid --max-depth: ${maxDepth}`);
+    }
+    return {
+        ignore: options.ignore as string[],
+        type: type as GlobOptions["type"],
+        maxDepth: maxDepth === undefined ? undefined : Number(maxDepth),
+        absolute: options.absolute as boolean,
+        dot: options.dot as boolean,
+        useGitignore: options.gitignore as boolean,
+        nocase: options.nocase as boolean,
+        followSymlinks: options["follow-symlinks"] as boolean,
+    };
+}
+
+function getCopyOptions(options: ParsedArgs["options"], defaultConflict: ConflictPolicy): CopyOptions {
+    let conflict = getString(options, "conflict") as ConflictPolicy;
+    if (conflict !== undefined && !CONFLICT_POLICIES.includes(conflict)) {
+        throw new UsageError(`Invalid --conflict: ${conflict}. Expected ${CONFLICT_POLICIES.join(", ")}`);
+    }
+    if (options.overwrite !== undefined) {
+        if (conflict !== undefined) throw new UsageError("Use either --overwrite or --conflict");
+        conflict = options.overwrite ? "overwrite" : "error";
+    }
+    return {
+        conflict: conflict ?? defaultConflict,
+        include: options.include as string[],
+        exclude: options.exclude as string[],
+        preserveTimestamps: options["preserve-timestamps"] as boolean,
+        dereference: options.dereference as boolean,
+    };
+}
+
+function getEnvPath(options: ParsedArgs["options"]): string {
+    return path.resolve(getString(options, "file") ?? ".env");
+}
+
+function getFormat(options: ParsedArgs["options"]): JsonFormat {
+    const format = getString(options, "format") ?? "json";
+    if (format !== "json" && format !== "jsonc" && format !== "json5") {
+        throw new UsageError(`Invalid --format: ${format}. Expected json, jsonc or json5`);
+    }
+    return format;
+}
+
+async function getPackageJsonPath(): Promise<string> {
+    const filePath = await findPackageJson();
+    if (!filePath) throw new FsesmNotFoundError(path.resolve("package.json"));
+    return filePath;
+}
+
+async function getPackageDir(): Promise<string> {
+    return path.dirname(await getPackageJsonPath());
+}
+
+async function readText(filePath: string): Promise<string> {
+    return readFile(filePath, "utf-8").catch((err) => {
+        throw toFsesmError(err, filePath);
+    });
+}
+
+/**
+ * Reads an .env file with the values exactly as written, e.g. `1.50` rather than `1.5`.
+ */
+async function readEnvValues(envPath: string): Promise<Record<string, string>> {
+    return parseEnv<Record<string, string>>(await readText(envPath), { convertTypes: false, returnEmptyAsNull: false });
+}
+
+/**
+ * Parses a value given on the command line as JSON, falling back to the string itself.
+ */
+function parseValue(input: string, options: ParsedArgs["options"]): unknown {
+    if (options.string) return input;
+    try {
+        return JSON.parse(input);
+    } catch {
+        return input;
+    }
+}
+
+/**
+ * Prints strings as they are and other values as JSON. A missing value exits with 1.
+ */
+function formatValue(value: unknown): CommandResult {
+    if (value === undefined) return { data: null, exitCode: 1 };
+    return { data: value, text: [typeof value === "string" ? value : JSON.stringify(value, null, 2)] };
+}
+
+function toKeys(fieldPath: string): string[] {
+    const keys = fieldPath.split(".");
+    if (keys.some((key) => key === "")) throw new UsageError(`Invalid path: ${fieldPath}`);
+    return keys;
+}
+
+function getPath(data: unknown, keys: string[]): unknown {
+    let value = data;
+    for (const key of keys) {
+        if (typeof value !== "object" || value === null || !Object.prototype.hasOwnProperty.call(value, key)) return undefined;
+        value = (value as Record<string, unknown>)[key];
+    }
+    return value;
+}
+
+/**
+ * Returns a copy of `data` with the value at `keys` set. Missing objects on the way are created.
+ */
+function setPath(data: unknown, keys: string[], value: unknown): unknown {
+    const [key, ...rest] = keys;
+    const result: Record<string, unknown> = Array.isArray(data)
+        ? [...data] as unknown as Record<string, unknown>
+        : typeof data === "object" && data !== null ? { ...data } : {};
+    result[key] = rest.length === 0 ? value : setPath(result[key], rest, value);
+    return result;
+}
+
+function getHelp(): string {
+    const width = Math.max(...Object.values(COMMANDS).map((command) => command.usage.length));
+    const optionWidth = Math.max(...HELP_OPTIONS.map(([flag]) => flag.length));
+    return [
+        "Usage: fsesm <command> [options]",
+        "",
+        "Commands:",
+        ...Object.values(COMMANDS).map((command) => `  ${command.usage.padEnd(width)}  ${command.description}`),
+        "",
+        "Options:",
+        ...HELP_OPTIONS.map(([flag, description]) => `  ${flag.padEnd(optionWidth)}  ${description}`),
+        "",
+        "Exit codes: 0 on success, 1 if the operation failed or a check did not pass, 2 for invalid arguments.",
+    ].join("\n");
+}
+
+function print(output: string): void {
+    process.stdout.write(`${output}\n`);
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
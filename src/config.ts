@@ -0,0 +1,305 @@
+import { Stats } from "node:fs";
+import fs, { FsAdapter, getFs, readFile, stat } from "./fs-adapter.js";
+import { createRequire } from "node:module";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { parseJsonText } from "./json.js";
+import { parseYaml } from "./yaml.js";
+import { FsesmParseError, toFsesmError } from "./errors.js";
+import { findUp, findUpAll, findUpAllSync, findUpSync, FindUpMatch } from "./upwards.js";
+
+export type ConfigFormat = "json" | "yaml" | "js" | "package.json";
+
+export type LoadConfigOptions<T extends Record<string, any> = Record<string, any>> = {
+    cwd?: string; // Directory to start searching upwards from. Default: `process.cwd()`
+    stopAt?: string; // Last directory to search. Default: the filesystem root
+    searchPlaces?: string[]; // File names to look for in each directory, in order. Default: `getConfigSearchPlaces(name)`
+    packageProp?: string | false; // Key of `package.json` holding the config, or `false` to skip `package.json`. Default: the name
+    defaults?: Partial<T>; // Merged below the loaded config
+    cascade?: boolean; // Also merge the configs of parent directories, the nearest winning. Default: false
+    cache?: boolean; // Reuse a parsed file while its mtime and size are unchanged. Default: true
+};
+
+export type LoadedConfig<T extends Record<string, any> = Record<string, any>> = {
+    config: T;
+    path: string | null; // The nearest config file, or `null` if none was found
+    format: ConfigFormat | null;
+    files: string[]; // The files that were merged, from lowest to highest precedence
+};
+
+type ConfigFile = {
+    path: string;
+    format: ConfigFormat;
+    data: unknown; // The parsed file; the whole manifest for `package.json`
+};
+
+type CachedConfigFile = ConfigFile & {
+    mtimeMs: number;
+    size: number;
+};
+
+// Kept per file system, so a memory file system never returns files cached from the disk
+let configCache = new WeakMap<FsAdapter, Map<string, CachedConfigFile>>();
+
+/**
+ * Returns the file names `loadConfig()` looks for in each directory, in order.
+ * @param name The tool name, e.g. `prettier`.
+ */
+export function getConfigSearchPlaces(name: string): string[] {
+    return [
+        "package.json",
+        `.${name}rc`,
+        `.${name}rc.json`,
+        `.${name}rc.yaml`,
+        `.${name}rc.yml`,
+        `${name}.config.json`,
+        `${name}.config.js`,
+        `${name}.config.mjs`,
+        `${name}.config.cjs`,
+    ];
+}
+
+/**
+ * Loads the config of a tool, searching upwards from a directory like cosmiconfig: the `name` key of `package.json`,
+ * `.<name>rc` (JSON or YAML), `.<name>rc.json`, `.<name>rc.yaml`/`.yml` and `<name>.config.{json,js,mjs,cjs}`.
+ * JSON files may have comments, and JS configs are loaded with `import()`, using their default export.
+ * The config is merged over `defaults`; with `cascade`, the configs of parent directories are merged too.
+ * Objects are merged deeply, other values and arrays replaced.
+ * @param name The tool name, e.g. `prettier`.
+ * @param options LoadConfigOptions to find the files and merge them.
+ * @returns The merged config, and the path and format of the nearest file.
+ * @throws FsesmParseError if a config file cannot be parsed or imported.
+ */
+export async function loadConfig<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: LoadConfigOptions<T> = {}
+): Promise<LoadedConfig<T>> {
+    const places = options.searchPlaces ?? getConfigSearchPlaces(name);
+    const found = new Map<string, ConfigFile>();
+    const predicate = async (dir: string) => {
+        for (const place of places) {
+            const file = await readConfigFile(path.join(dir, place), name, options);
+            if (file) {
+                found.set(file.path, file);
+                return place;
+            }
+        }
+        return null;
+    };
+
+    const searchOptions = { cwd: options.cwd, stopAt: options.stopAt };
+    const matches = options.cascade ? await findUpAll(predicate, searchOptions) : [await findUp(predicate, searchOptions)];
+    return mergeConfigFiles<T>(getMatchedFiles(matches, found), name, options);
+}
+
+/**
+ * Clears the cache of parsed config files.
+ */
+export function clearConfigCache(): void {
+    configCache = new WeakMap();
+}
+
+/**
+ * Synchronous version of `loadConfig()`. JS configs are loaded with `require()`,
+ * which needs a Node.js version that supports `require()` of ES modules for `.mjs` files.
+ */
+export function loadConfigSync<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: LoadConfigOptions<T> = {}
+): LoadedConfig<T> {
+    const places = options.searchPlaces ?? getConfigSearchPlaces(name);
+    const found = new Map<string, ConfigFile>();
+    const predicate = (dir: string) => {
+        for (const place of places) {
+            const file = readConfigFileSync(path.join(dir, place), name, options);
+            if (file) {
+                found.set(file.path, file);
+                return place;
+            }
+        }
+        return null;
+    };
+
+    const searchOptions = { cwd: options.cwd, stopAt: options.stopAt };
+    const matches = options.cascade ? findUpAllSync(predicate, searchOptions) : [findUpSync(predicate, searchOptions)];
+    return mergeConfigFiles<T>(getMatchedFiles(matches, found), name, options);
+}
+
+/**
+ * Reads a candidate config file, from the cache if it is unchanged.
+ * @returns The file, or `null` if it does not exist or is a `package.json` without the config key.
+ */
+async function readConfigFile(filePath: string, name: string, options: LoadConfigOptions<any>): Promise<ConfigFile | null> {
+    const format = getConfigFormat(filePath);
+    if (format === "package.json" && options.packageProp === false) return null;
+
+    let stats: Stats;
+    try {
+        stats = await stat(filePath);
+    } catch (err: any) {
+        if (isMissing(err)) return null;
+        throw toFsesmError(err, filePath);
+    }
+    if (!stats.isFile()) return null;
+
+    let file: ConfigFile = getCachedFile(filePath, stats, options);
+    if (!file) {
+        if (format === "js") {
+            // The mtime in the URL makes Node.js import a changed file again instead of returning its cached module
+            const url = `${pathToFileURL(filePath).href}?mtime=${stats.mtimeMs}`;
+            const data = await import(url).then(getModuleConfig, (err) => {
+                throw new FsesmParseError(`Could not import ${filePath}: ${err?.message ?? err}`, { path: filePath }, err);
+            });
+            file = { path: filePath, format, data: await data };
+        } else {
+            const source = await readFile(filePath, "utf-8").catch((err) => {
+                throw toFsesmError(err, filePath);
+            });
+            file = parseConfigSource(filePath, format, source);
+        }
+        cacheFile(file, stats, options);
+    }
+    return hasConfig(file, name, options) ? file : null;
+}
+
+function readConfigFileSync(filePath: string, name: string, options: LoadConfigOptions<any>): ConfigFile | null {
+    const format = getConfigFormat(filePath);
+    if (format === "package.json" && options.packageProp === false) return null;
+
+    let stats: Stats;
+    try {
+        stats = fs.statSync(filePath);
+    } catch (err: any) {
+        if (isMissing(err)) return null;
+        throw toFsesmError(err, filePath);
+    }
+    if (!stats.isFile()) return null;
+
+    let file: ConfigFile = getCachedFile(filePath, stats, options);
+    if (!file) {
+        if (format === "js") {
+            const require = createRequire(filePath);
+            delete require.cache[filePath];
+            let data: unknown;
+            try {
+                data = getModuleConfig(require(filePath));
+            } catch (err: any) {
+                throw new FsesmParseError(`Could not load ${filePath}: ${err?.message ?? err}`, { path: filePath }, err);
+            }
+            file = { path: filePath, format, data };
+        } else {
+            let source: string;
+            try {
+                source = fs.readFileSync(filePath, "utf-8");
+            } catch (err) {
+                throw toFsesmError(err, filePath);
+            }
+            file = parseConfigSource(filePath, format, source);
+        }
+        cacheFile(file, stats, options);
+    }
+    return hasConfig(file, name, options) ? file : null;
+}
+
+/**
+ * The format a file is parsed with, from its name. Extensionless rc files are JSON or YAML, depending on their content.
+ */
+function getConfigFormat(filePath: string): ConfigFormat {
+    if (path.basename(filePath) === "package.json") return "package.json";
+    switch (path.extname(filePath).toLowerCase()) {
+        case ".json":
+            return "json";
+        case ".js":
+        case ".mjs":
+        case ".cjs":
+        case ".ts":
+        case ".mts":
+        case ".cts":
+            return "js";
+        default:
+            return "yaml";
+    }
+}
+
+function parseConfigSource(filePath: string, format: ConfigFormat, source: string): ConfigFile {
+    if (format === "yaml" && !/\.ya?ml$/i.test(filePath) && /^\s*[{[]/.test(source)) {
+        format = "json";
+    }
+    const data = format === "yaml" ? parseYaml(source, filePath) : parseJsonText(source, format === "json" ? "jsonc" : "json", filePath);
+    return { path: filePath, format, data };
+}
+
+function getModuleConfig(module: any): unknown {
+    return module && typeof module === "object" && "default" in module ? module.default : module;
+}
+
+function hasConfig(file: ConfigFile, name: string, options: LoadConfigOptions<any>): boolean {
+    if (file.format !== "package.json") return true;
+    const manifest = file.data as Record<string, unknown> | null;
+    return manifest?.[getPackageProp(name, options)] !== undefined;
+}
+
+function getPackageProp(name: string, options: LoadConfigOptions<any>): string {
+    return typeof options.packageProp === "string" ? options.packageProp : name;
+}
+
+function getCachedFile(filePath: string, stats: Stats, options: LoadConfigOptions<any>): ConfigFile | null {
+    if (options.cache === false) return null;
+    const cached = configCache.get(getFs())?.get(filePath);
+    return cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size ? cached : null;
+}
+
+function cacheFile(file: ConfigFile, stats: Stats, options: LoadConfigOptions<any>): void {
+    if (options.cache === false) return;
+    if (!configCache.has(getFs())) configCache.set(getFs(), new Map());
+    configCache.get(getFs()).set(file.path, { ...file, mtimeMs: stats.mtimeMs, size: stats.size });
+}
+
+function getMatchedFiles(matches: (FindUpMatch | null)[], found: Map<string, ConfigFile>): ConfigFile[] {
+    return matches.filter(Boolean).map((match) => found.get(match.path));
+}
+
+/**
+ * Merges the config files, nearest first, over the defaults.
+ */
+function mergeConfigFiles<T extends Record<string, any>>(files: ConfigFile[], name: string, options: LoadConfigOptions<T>): LoadedConfig<T> {
+    const ordered = [...files].reverse();
+    let config: unknown = mergeConfig(undefined, options.defaults ?? {});
+    for (const file of ordered) {
+        const data = file.format === "package.json" ? (file.data as Record<string, unknown>)[getPackageProp(name, options)] : file.data;
+        config = mergeConfig(config, data);
+    }
+    return {
+        config: config as T,
+        path: files[0]?.path ?? null,
+        format: files[0]?.format ?? null,
+        files: ordered.map((file) => file.path),
+    };
+}
+
+/**
+ * Merges plain objects deeply into a copy of `base`. Arrays and other values replace the base value.
+ * Plain objects and arrays are copied, so cached files are never shared with the caller.
+ */
+function mergeConfig(base: unknown, override: unknown): unknown {
+    if (override === undefined) return base;
+    if (Array.isArray(override)) return override.map((item) => mergeConfig(undefined, item));
+    if (!isPlainObject(override)) return override;
+
+    const result: Record<string, unknown> = isPlainObject(base) ? { ...base } : {};
+    for (const key of Object.keys(override)) {
+        if (key === "__proto__") continue;
+        result[key] = mergeConfig(result[key], override[key]);
+    }
+    return result;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+    if (typeof value !== "object" || value === null) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function isMissing(err: NodeJS.ErrnoException): boolean {
+    return err.code === "ENOENT" || err.code === "ENOTDIR";
+}
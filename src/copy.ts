@@ -0,0 +1,707 @@
+import { Dirent, Stats } from "node:fs";
+import fs, { copyFile, lstat, lutimes, mkdir, readdir, readlink, rename, rm, rmdir, stat, symlink, unlink, utimes } from "./fs-adapter.js";
+import path from "node:path";
+import { getTempPath } from "./atomic.js";
+import { createMatcher, Matcher } from "./glob.js";
+import { FsesmError, toFsesmError } from "./errors.js";
+
+/**
+ * What to do when a file already exists at the destination:
+ * replace it, keep it, throw, replace it only if the source is newer,
+ * or call a function that returns the path to write to instead, or `null` to skip the file.
+ */
+export type ConflictPolicy =
+    | "overwrite"
+    | "skip"
+    | "error"
+    | "newer"
+    | ((src: string, dest: string) => string | null | Promise<string | null>);
+
+export type CopyProgress = {
+    filesDone: number; // Files and symlinks copied or skipped so far
+    totalFiles: number;
+    bytesDone: number;
+    totalBytes: number;
+    file: string; // The source file that was just processed
+};
+
+export type CopyOptions = {
+    include?: string | string[]; // Glob patterns, relative to `src`, of the files to copy. Default: all files
+    exclude?: string | string[]; // Glob patterns of files and directories to leave out. Excluded directories are not entered
+    nocase?: boolean; // Case-insensitive matching of `include` and `exclude`
+    conflict?: ConflictPolicy; // Default: "overwrite"
+    preserveTimestamps?: boolean; // Keep the access and modification times of the source. Default: false
+    dereference?: boolean; // Copy the targets of symbolic links instead of the links. Default: false
+    onProgress?: (progress: CopyProgress) => void; // Called after each file
+    signal?: AbortSignal; // Stops the copy before the next file
+};
+
+export type MoveOptions = CopyOptions;
+
+type EntryType = "file" | "directory" | "symlink";
+
+type CopyEntry = {
+    src: string;
+    dest: string;
+    type: EntryType;
+    stats: Stats;
+};
+
+type CopyFilter = {
+    include: Matcher | null;
+    exclude: Matcher | null;
+};
+
+/**
+ * The steps of a move, in order, so that a failed move can be undone.
+ */
+type JournalOp =
+    | { type: "created"; path: string } // A directory created at the destination
+    | { type: "replaced"; path: string; backup: string } // An existing destination renamed aside
+    | { type: "renamed"; from: string; to: string }
+    | { type: "copied"; from: string; to: string; size: number }; // Copied across devices; the source is removed on commit
+
+type TransferState = {
+    options: CopyOptions;
+    conflict: ConflictPolicy;
+    journal: JournalOp[] | null; // Only kept by `move()`
+    totalFiles: number;
+    totalBytes: number;
+    filesDone: number;
+    bytesDone: number;
+};
+
+/**
+ * Copies a file or directory.
+ * Directories are merged into an existing destination; `conflict` decides what happens to files that exist on both sides.
+ * Symbolic links are copied as links unless `dereference` is set.
+ * If the copy fails or is aborted, the files copied so far are left in place.
+ * @param src The file or directory to copy.
+ * @param dest The path to copy it to.
+ * @param options CopyOptions to filter the files, resolve conflicts and report progress.
+ */
+export async function copy(src: string, dest: string, options: CopyOptions = {}): Promise<void> {
+    throwIfAborted(options.signal);
+    const entries = await collectEntries(src, dest, options);
+    await transferEntries(entries, createTransferState(entries, options, "overwrite", null));
+}
+
+/**
+ * Moves a file or directory.
+ * - A plain move is a single rename. Across devices (EXDEV), the files are copied, verified and then removed from the source.
+ * - If anything fails, or `signal` aborts, the move is rolled back and the destination is restored.
+ *   Once the copy is verified it is kept: if removing a source then fails, the error is thrown and that source stays.
+ * - An existing destination is replaced by default. `conflict: "error"` (or `false`) throws instead, and the other policies merge into it file by file.
+ * - With `include` or `exclude`, only the matching files are moved and the rest stay in the source directory.
+ * @param src The file or directory to move.
+ * @param dest The path to move it to.
+ * @param options MoveOptions, or whether to overwrite an existing destination.
+ */
+export async function move(src: string, dest: string, options: boolean | MoveOptions = {}): Promise<void> {
+    const moveOptions = normalizeMoveOptions(options);
+    const { conflict = "overwrite" } = moveOptions;
+    const filtered = moveOptions.include !== undefined || moveOptions.exclude !== undefined;
+    throwIfAborted(moveOptions.signal);
+
+    const srcPath = path.resolve(src);
+    const destPath = path.resolve(dest);
+    const srcStats = await lstat(srcPath).catch((err) => {
+        throw toFsesmError(err, srcPath);
+    });
+    assertNotInside(srcPath, destPath, srcStats);
+
+    const journal: JournalOp[] = [];
+    let entries: CopyEntry[] = [];
+    try {
+        let destStats = await lstatOrNull(destPath);
+        if (destStats && !filtered && (conflict === "overwrite" || conflict === "error")) {
+            if (conflict === "error") throw createExistsError(destPath);
+            // Set the old destination aside instead of removing it, so a failed move can put it back
+            const backup = getTempPath(destPath);
+            await rename(destPath, backup);
+            journal.push({ type: "replaced", path: destPath, backup });
+            destStats = null;
+        }
+
+        let renamed = false;
+        if (!destStats && !filtered && !moveOptions.onProgress) {
+            await makeParentDirectory(destPath, journal);
+            try {
+                await rename(srcPath, destPath);
+                journal.push({ type: "renamed", from: srcPath, to: destPath });
+                renamed = true;
+            } catch (err: any) {
+                if (err.code !== "EXDEV") throw err;
+            }
+        }
+
+        if (!renamed) {
+            entries = await collectEntries(srcPath, destPath, moveOptions);
+            await transferEntries(entries, createTransferState(entries, moveOptions, conflict, journal));
+            await verifyMove(journal);
+        }
+    } catch (err) {
+        await rollbackMove(journal);
+        throw toFsesmError(err, srcPath);
+    }
+
+    // The destination is complete, so from here on a failure must not roll back: the sources are being removed
+    await finishMove(journal, entries).catch((err) => {
+        throw toFsesmError(err, srcPath);
+    });
+}
+
+/**
+ * Synchronous version of `copy()`. A `conflict` function must not return a promise.
+ */
+export function copySync(src: string, dest: string, options: CopyOptions = {}): void {
+    throwIfAborted(options.signal);
+    const entries = collectEntriesSync(src, dest, options);
+    transferEntriesSync(entries, createTransferState(entries, options, "overwrite", null));
+}
+
+/**
+ * Synchronous version of `move()`. A `conflict` function must not return a promise.
+ */
+export function moveSync(src: string, dest: string, options: boolean | MoveOptions = {}): void {
+    const moveOptions = normalizeMoveOptions(options);
+    const { conflict = "overwrite" } = moveOptions;
+    const filtered = moveOptions.include !== undefined || moveOptions.exclude !== undefined;
+    throwIfAborted(moveOptions.signal);
+
+    const srcPath = path.resolve(src);
+    const destPath = path.resolve(dest);
+    let srcStats: Stats;
+    try {
+        srcStats = fs.lstatSync(srcPath);
+    } catch (err) {
+        throw toFsesmError(err, srcPath);
+    }
+    assertNotInside(srcPath, destPath, srcStats);
+
+    const journal: JournalOp[] = [];
+    let entries: CopyEntry[] = [];
+    try {
+        let destStats = lstatOrNullSync(destPath);
+        if (destStats && !filtered && (conflict === "overwrite" || conflict === "error")) {
+            if (conflict === "error") throw createExistsError(destPath);
+            const backup = getTempPath(destPath);
+            fs.renameSync(destPath, backup);
+            journal.push({ type: "replaced", path: destPath, backup });
+            destStats = null;
+        }
+
+        let renamed = false;
+        if (!destStats && !filtered && !moveOptions.onProgress) {
+            makeParentDirectorySync(destPath, journal);
+            try {
+                fs.renameSync(srcPath, destPath);
+                journal.push({ type: "renamed", from: srcPath, to: destPath });
+                renamed = true;
+            } catch (err: any) {
+                if (err.code !== "EXDEV") throw err;
+            }
+        }
+
+        if (!renamed) {
+            entries = collectEntriesSync(srcPath, destPath, moveOptions);
+            transferEntriesSync(entries, createTransferState(entries, moveOptions, conflict, journal));
+            verifyMoveSync(journal);
+        }
+    } catch (err) {
+        rollbackMoveSync(journal);
+        throw toFsesmError(err, srcPath);
+    }
+
+    try {
+        finishMoveSync(journal, entries);
+    } catch (err) {
+        throw toFsesmError(err, srcPath);
+    }
+}
+
+/**
+ * Lists what to copy, parents before their contents, applying `include` and `exclude`.
+ */
+async function collectEntries(src: string, dest: string, options: CopyOptions): Promise<CopyEntry[]> {
+    const { dereference = false } = options;
+    const root = path.resolve(src);
+    const readStats = (filePath: string) => dereference ? stat(filePath) : lstat(filePath);
+    const rootStats = await readStats(root).catch((err) => {
+        throw toFsesmError(err, root);
+    });
+    const destRoot = path.resolve(dest);
+    assertNotInside(root, destRoot, rootStats);
+
+    const filter = createCopyFilter(options);
+    const entries: CopyEntry[] = [];
+    const visited = new Set<string>();
+
+    const walk = async (srcPath: string, destPath: string, stats: Stats): Promise<void> => {
+        const type = getEntryType(stats);
+        if (!type) return;
+        entries.push({ src: srcPath, dest: destPath, type, stats });
+        if (type !== "directory" || !markVisited(stats, visited)) return;
+
+        const count = entries.length;
+        const dirents = await readdir(srcPath, { withFileTypes: true }).catch((err) => {
+            throw toFsesmError(err, srcPath);
+        });
+        for (const dirent of dirents) {
+            const childPath = path.join(srcPath, dirent.name);
+            const childStats = await readStats(childPath).catch((err) => {
+                throw toFsesmError(err, childPath);
+            });
+            if (isCopied(toRelativePath(root, childPath), childStats, filter)) {
+                await walk(childPath, path.join(destPath, dirent.name), childStats);
+            }
+        }
+        pruneEmptyDirectory(entries, count, srcPath !== root, filter);
+    };
+    await walk(root, destRoot, rootStats);
+    return entries;
+}
+
+function collectEntriesSync(src: string, dest: string, options: CopyOptions): CopyEntry[] {
+    const { dereference = false } = options;
+    const root = path.resolve(src);
+    const readStats = (filePath: string) => {
+        try {
+            return dereference ? fs.statSync(filePath) : fs.lstatSync(filePath);
+        } catch (err) {
+            throw toFsesmError(err, filePath);
+        }
+    };
+    const rootStats = readStats(root);
+    const destRoot = path.resolve(dest);
+    assertNotInside(root, destRoot, rootStats);
+
+    const filter = createCopyFilter(options);
+    const entries: CopyEntry[] = [];
+    const visited = new Set<string>();
+
+    const walk = (srcPath: string, destPath: string, stats: Stats): void => {
+        const type = getEntryType(stats);
+        if (!type) return;
+        entries.push({ src: srcPath, dest: destPath, type, stats });
+        if (type !== "directory" || !markVisited(stats, visited)) return;
+
+        const count = entries.length;
+        let dirents: Dirent[];
+        try {
+            dirents = fs.readdirSync(srcPath, { withFileTypes: true });
+        } catch (err) {
+            throw toFsesmError(err, srcPath);
+        }
+        for (const dirent of dirents) {
+            const childPath = path.join(srcPath, dirent.name);
+            const childStats = readStats(childPath);
+            if (isCopied(toRelativePath(root, childPath), childStats, filter)) {
+                walk(childPath, path.join(destPath, dirent.name), childStats);
+            }
+        }
+        pruneEmptyDirectory(entries, count, srcPath !== root, filter);
+    };
+    walk(root, destRoot, rootStats);
+    return entries;
+}
+
+async function transferEntries(entries: CopyEntry[], state: TransferState): Promise<void> {
+    const { signal, preserveTimestamps = false } = state.options;
+    for (const entry of entries) {
+        throwIfAborted(signal);
+        if (entry.type === "directory") {
+            await makeDirectory(entry.dest, state.journal);
+            continue;
+        }
+
+        const destStats = await lstatOrNull(entry.dest);
+        let dest = resolveConflict(entry, destStats, state.conflict);
+        if (dest === undefined) {
+            dest = await (state.conflict as Exclude<ConflictPolicy, string>)(entry.src, entry.dest);
+        }
+        if (dest !== null) {
+            await transferFile(entry, path.resolve(dest), state);
+        }
+        reportProgress(entry, state);
+    }
+
+    // Copying into a directory updates its times, so they are set once its contents are done
+    if (preserveTimestamps) {
+        for (const entry of entries.filter((entry) => entry.type === "directory").reverse()) {
+            await utimes(entry.dest, entry.stats.atime, entry.stats.mtime);
+        }
+    }
+}
+
+function transferEntriesSync(entries: CopyEntry[], state: TransferState): void {
+    const { signal, preserveTimestamps = false } = state.options;
+    for (const entry of entries) {
+        throwIfAborted(signal);
+        if (entry.type === "directory") {
+            makeDirectorySync(entry.dest, state.journal);
+            continue;
+        }
+
+        const destStats = lstatOrNullSync(entry.dest);
+        let dest = resolveConflict(entry, destStats, state.conflict);
+        if (dest === undefined) {
+            dest = (state.conflict as Exclude<ConflictPolicy, string>)(entry.src, entry.dest) as string | null;
+            if (isPromise(dest)) {
+                throw new TypeError("copySync() and moveSync() do not support an async conflict function");
+            }
+        }
+        if (dest !== null) {
+            transferFileSync(entry, path.resolve(dest), state);
+        }
+        reportProgress(entry, state);
+    }
+
+    if (preserveTimestamps) {
+        for (const entry of entries.filter((entry) => entry.type === "directory").reverse()) {
+            fs.utimesSync(entry.dest, entry.stats.atime, entry.stats.mtime);
+        }
+    }
+}
+
+/**
+ * Copies one file or symlink, or renames it when moving on the same device.
+ */
+async function transferFile(entry: CopyEntry, dest: string, state: TransferState): Promise<void> {
+    const { journal } = state;
+    await makeParentDirectory(dest, journal);
+
+    // Remove what is in the way; copyFile() would write through a symlink. A move keeps it as a backup
+    const existing = await lstatOrNull(dest);
+    if (existing?.isDirectory()) throw createDirectoryConflictError(dest);
+    if (existing && journal) {
+        const backup = getTempPath(dest);
+        await rename(dest, backup);
+        journal.push({ type: "replaced", path: dest, backup });
+    } else if (existing) {
+        await unlink(dest);
+    }
+
+    if (journal) {
+        try {
+            await rename(entry.src, dest);
+            journal.push({ type: "renamed", from: entry.src, to: dest });
+            return;
+        } catch (err: any) {
+            if (err.code !== "EXDEV") throw err;
+        }
+    }
+
+    if (entry.type === "symlink") {
+        await symlink(await readlink(entry.src), dest);
+    } else {
+        await copyFile(entry.src, dest);
+    }
+    journal?.push({ type: "copied", from: entry.src, to: dest, size: entry.stats.size });
+
+    if (state.options.preserveTimestamps) {
+        const setTimes = entry.type === "symlink" ? lutimes : utimes;
+        await setTimes(dest, entry.stats.atime, entry.stats.mtime);
+    }
+}
+
+function transferFileSync(entry: CopyEntry, dest: string, state: TransferState): void {
+    const { journal } = state;
+    makeParentDirectorySync(dest, journal);
+
+    const existing = lstatOrNullSync(dest);
+    if (existing?.isDirectory()) throw createDirectoryConflictError(dest);
+    if (existing && journal) {
+        const backup = getTempPath(dest);
+        fs.renameSync(dest, backup);
+        journal.push({ type: "replaced", path: dest, backup });
+    } else if (existing) {
+        fs.unlinkSync(dest);
+    }
+
+    if (journal) {
+        try {
+            fs.renameSync(entry.src, dest);
+            journal.push({ type: "renamed", from: entry.src, to: dest });
+            return;
+        } catch (err: any) {
+            if (err.code !== "EXDEV") throw err;
+        }
+    }
+
+    if (entry.type === "symlink") {
+        fs.symlinkSync(fs.readlinkSync(entry.src), dest);
+    } else {
+        fs.copyFileSync(entry.src, dest);
+    }
+    journal?.push({ type: "copied", from: entry.src, to: dest, size: entry.stats.size });
+
+    if (state.options.preserveTimestamps) {
+        const setTimes = entry.type === "symlink" ? fs.lutimesSync : fs.utimesSync;
+        setTimes(dest, entry.stats.atime, entry.stats.mtime);
+    }
+}
+
+/**
+ * Throws the abort reason if the signal has aborted, like `AbortSignal.throwIfAborted()`, which needs Node.js 17.3.
+ */
+function throwIfAborted(signal: AbortSignal | undefined): void {
+    if (!signal?.aborted) return;
+    // `reason` is not set before Node.js 17.2
+    throw signal.reason ?? Object.assign(new Error("The operation was aborted"), { name: "AbortError", code: "ABORT_ERR" });
+}
+
+/**
+ * Checks that the files copied across devices arrived whole. Runs before anything is removed, so a failure can still roll back.
+ */
+async function verifyMove(journal: JournalOp[]): Promise<void> {
+    for (const op of journal) {
+        if (op.type === "copied" && op.size !== (await lstat(op.to)).size) {
+            throw new FsesmError(`Copy of ${op.from} to ${op.to} is incomplete`, "EIO", op.to);
+        }
+    }
+}
+
+function verifyMoveSync(journal: JournalOp[]): void {
+    for (const op of journal) {
+        if (op.type === "copied" && op.size !== fs.lstatSync(op.to).size) {
+            throw new FsesmError(`Copy of ${op.from} to ${op.to} is incomplete`, "EIO", op.to);
+        }
+    }
+}
+
+/**
+ * Removes the sources of the files copied across devices and the backups of replaced destinations.
+ * Runs after the move can no longer be rolled back, since the destination may then hold the only copy.
+ */
+async function finishMove(journal: JournalOp[], entries: CopyEntry[]): Promise<void> {
+    for (const op of journal) {
+        if (op.type === "copied") await rm(op.from, { force: true });
+    }
+    // Directories still holding files left out by `exclude` or `include` stay
+    for (const entry of entries.filter((entry) => entry.type === "directory").reverse()) {
+        await rmdir(entry.src).catch(() => { });
+    }
+    for (const op of journal) {
+        if (op.type === "replaced") await rm(op.backup, { recursive: true, force: true });
+    }
+}
+
+function finishMoveSync(journal: JournalOp[], entries: CopyEntry[]): void {
+    for (const op of journal) {
+        if (op.type === "copied") fs.rmSync(op.from, { force: true });
+    }
+    for (const entry of entries.filter((entry) => entry.type === "directory").reverse()) {
+        try {
+            fs.rmdirSync(entry.src);
+        } catch {
+            // Not empty
+        }
+    }
+    for (const op of journal) {
+        if (op.type === "replaced") fs.rmSync(op.backup, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Undoes the steps of a failed move in reverse order. Keeps going if a step fails, so as much as possible is restored.
+ */
+async function rollbackMove(journal: JournalOp[]): Promise<void> {
+    for (const op of [...journal].reverse()) {
+        try {
+            if (op.type === "renamed") {
+                await rename(op.to, op.from);
+            } else if (op.type === "replaced") {
+                await rm(op.path, { recursive: true, force: true });
+                await rename(op.backup, op.path);
+            } else {
+                await rm(op.type === "copied" ? op.to : op.path, { recursive: true, force: true });
+            }
+        } catch {
+            // Ignore errors
+        }
+    }
+}
+
+function rollbackMoveSync(journal: JournalOp[]): void {
+    for (const op of [...journal].reverse()) {
+        try {
+            if (op.type === "renamed") {
+                fs.renameSync(op.to, op.from);
+            } else if (op.type === "replaced") {
+                fs.rmSync(op.path, { recursive: true, force: true });
+                fs.renameSync(op.backup, op.path);
+            } else {
+                fs.rmSync(op.type === "copied" ? op.to : op.path, { recursive: true, force: true });
+            }
+        } catch {
+            // Ignore errors
+        }
+    }
+}
+
+async function makeDirectory(dirPath: string, journal: JournalOp[] | null): Promise<void> {
+    const existing = await lstatOrNull(dirPath);
+    if (existing?.isDirectory()) return;
+    if (existing) throw createExistsError(dirPath);
+    await makeParentDirectory(dirPath, journal);
+    await mkdir(dirPath);
+    journal?.push({ type: "created", path: dirPath });
+}
+
+function makeDirectorySync(dirPath: string, journal: JournalOp[] | null): void {
+    const existing = lstatOrNullSync(dirPath);
+    if (existing?.isDirectory()) return;
+    if (existing) throw createExistsError(dirPath);
+    makeParentDirectorySync(dirPath, journal);
+    fs.mkdirSync(dirPath);
+    journal?.push({ type: "created", path: dirPath });
+}
+
+async function makeParentDirectory(filePath: string, journal: JournalOp[] | null): Promise<void> {
+    const created = await mkdir(path.dirname(filePath), { recursive: true });
+    if (created) journal?.push({ type: "created", path: created });
+}
+
+function makeParentDirectorySync(filePath: string, journal: JournalOp[] | null): void {
+    const created = fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (created) journal?.push({ type: "created", path: created });
+}
+
+async function lstatOrNull(filePath: string): Promise<Stats | null> {
+    try {
+        return await lstat(filePath);
+    } catch (err: any) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+}
+
+function lstatOrNullSync(filePath: string): Stats | null {
+    try {
+        return fs.lstatSync(filePath);
+    } catch (err: any) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+}
+
+function normalizeMoveOptions(options: boolean | MoveOptions): MoveOptions {
+    return typeof options === "boolean" ? { conflict: options ? "overwrite" : "error" } : options;
+}
+
+function createTransferState(
+    entries: CopyEntry[],
+    options: CopyOptions,
+    defaultConflict: ConflictPolicy,
+    journal: JournalOp[] | null
+): TransferState {
+    const files = entries.filter((entry) => entry.type !== "directory");
+    return {
+        options,
+        conflict: options.conflict ?? defaultConflict,
+        journal,
+        totalFiles: files.length,
+        totalBytes: files.reduce((total, entry) => total + getSize(entry), 0),
+        filesDone: 0,
+        bytesDone: 0,
+    };
+}
+
+function reportProgress(entry: CopyEntry, state: TransferState): void {
+    state.filesDone++;
+    state.bytesDone += getSize(entry);
+    state.options.onProgress?.({
+        filesDone: state.filesDone,
+        totalFiles: state.totalFiles,
+        bytesDone: state.bytesDone,
+        totalBytes: state.totalBytes,
+        file: entry.src,
+    });
+}
+
+function getSize(entry: CopyEntry): number {
+    return entry.type === "file" ? entry.stats.size : 0;
+}
+
+/**
+ * Applies a named conflict policy.
+ * @returns The path to write to, `null` to skip the file, or `undefined` if `policy` is a function.
+ */
+function resolveConflict(entry: CopyEntry, destStats: Stats | null, policy: ConflictPolicy): string | null | undefined {
+    if (!destStats) return entry.dest;
+    if (destStats.isDirectory()) throw createDirectoryConflictError(entry.dest);
+    switch (policy) {
+        case "overwrite":
+            return entry.dest;
+        case "skip":
+            return null;
+        case "error":
+            throw createExistsError(entry.dest);
+        case "newer":
+            return entry.stats.mtimeMs > destStats.mtimeMs ? entry.dest : null;
+        default:
+            return undefined;
+    }
+}
+
+function createCopyFilter(options: CopyOptions): CopyFilter {
+    // Like `ignore` in `find()`, the patterns always match dotfiles
+    const matchOptions = { dot: true, nocase: options.nocase };
+    return {
+        include: options.include === undefined ? null : createMatcher(options.include, matchOptions),
+        exclude: options.exclude === undefined ? null : createMatcher(options.exclude, matchOptions),
+    };
+}
+
+function isCopied(relPath: string, stats: Stats, filter: CopyFilter): boolean {
+    if (filter.exclude?.(relPath)) return false;
+    return stats.isDirectory() || !filter.include || filter.include(relPath);
+}
+
+/**
+ * With `include`, only the directories leading to included files are created.
+ */
+function pruneEmptyDirectory(entries: CopyEntry[], count: number, prunable: boolean, filter: CopyFilter): void {
+    if (prunable && filter.include && entries.length === count) entries.pop();
+}
+
+function getEntryType(stats: Stats): EntryType | null {
+    if (stats.isDirectory()) return "directory";
+    if (stats.isSymbolicLink()) return "symlink";
+    if (stats.isFile()) return "file";
+    return null; // Sockets, FIFOs and devices are not copied
+}
+
+/**
+ * Records a directory as visited, so linked directories cannot make the walk loop.
+ * @returns `false` if it was visited before.
+ */
+function markVisited(stats: Stats, visited: Set<string>): boolean {
+    const key = `${stats.dev}:${stats.ino}`;
+    if (visited.has(key)) return false;
+    visited.add(key);
+    return true;
+}
+
+function assertNotInside(src: string, dest: string, srcStats: Stats): void {
+    if (srcStats.isDirectory() && (dest === src || dest.startsWith(src + path.sep))) {
+        throw new FsesmError(`Cannot copy ${src} into itself (${dest})`, "EINVAL", dest);
+    }
+}
+
+function createExistsError(dest: string): FsesmError {
+    return new FsesmError(`Destination already exists: ${dest}`, "EEXIST", dest);
+}
+
+function createDirectoryConflictError(dest: string): FsesmError {
+    return new FsesmError(`Cannot overwrite directory ${dest} with a file`, "EISDIR", dest);
+}
+
+function toRelativePath(root: string, filePath: string): string {
+    return path.relative(root, filePath).split(path.sep).join("/");
+}
+
+function isPromise(value: unknown): value is Promise<unknown> {
+    return typeof (value as Promise<unknown>)?.then === "function";
+}
@@ -0,0 +1,340 @@
+import fs, { readFile } from "./fs-adapter.js";
+import { EnvQuote, tokenizeEnv } from "./env-parser.js";
+import { writeFileWithOptions, writeFileWithOptionsSync, WriteOptions } from "./atomic.js";
+
+export type EnvSetOptions = {
+    quote?: EnvQuote | null; // Quoting of the value. Default: the entry's existing style, or the file's most common one for new keys
+    exported?: boolean; // Prefix a new entry with `export`
+    comment?: string; // Inline comment for a new entry
+    leadingComments?: string[]; // Comment lines placed above a new entry
+    before?: string; // Insert a new entry before this key
+    after?: string; // Insert a new entry after this key
+};
+
+export type EnvMoveOptions = {
+    before?: string;
+    after?: string;
+};
+
+type DocEntry = {
+    key: string;
+    value: string;
+    quote: EnvQuote | null;
+    keyOffset: number; // Offsets within the node text
+    valueStart: number;
+    valueEnd: number;
+};
+
+type DocNode = {
+    text: string;
+    entry: DocEntry | null;
+    comment?: boolean;
+};
+
+/**
+ * A lossless, editable model of a `.env` file.
+ * Comments, blank lines, `export` prefixes, quoting and order are kept;
+ * only the entries that are changed are re-rendered.
+ */
+export class EnvDocument {
+    private nodes: DocNode[];
+    private readonly original: string;
+    private readonly eol: string;
+
+    private constructor(source: string) {
+        this.original = source;
+        this.eol = source.includes("\r\n") ? "\r\n" : "\n";
+        this.nodes = tokenizeEnv(source).nodes.map((node) => {
+            const text = source.substring(node.start, node.end);
+            if (node.kind !== "entry") return { text, entry: null, comment: node.kind === "comment" };
+            return {
+                text,
+                entry: {
+                    key: node.key,
+                    value: node.value,
+                    quote: node.quote,
+                    keyOffset: node.column - 1,
+                    valueStart: node.valueStart - node.start,
+                    valueEnd: node.valueEnd - node.start,
+                },
+            };
+        });
+    }
+
+    /**
+     * Parses `.env` source into a document. Invalid lines are kept verbatim.
+     */
+    static parse(source: string): EnvDocument {
+        return new EnvDocument(source);
+    }
+
+    /**
+     * Reads a `.env` file into a document. A missing file gives an empty document.
+     */
+    static async load(filePath: string): Promise<EnvDocument> {
+        try {
+            return new EnvDocument(await readFile(filePath, "utf-8"));
+        } catch (err: any) {
+            if (err.code === "ENOENT") return new EnvDocument("");
+            throw err;
+        }
+    }
+
+    /**
+     * Synchronous version of `EnvDocument.load()`.
+     */
+    static loadSync(filePath: string): EnvDocument {
+        try {
+            return new EnvDocument(fs.readFileSync(filePath, "utf-8"));
+        } catch (err: any) {
+            if (err.code === "ENOENT") return new EnvDocument("");
+            throw err;
+        }
+    }
+
+    /**
+     * Returns the decoded value of a key, or `undefined` if it is not set.
+     * With duplicate keys, the last one wins, as in `parseEnv()`.
+     */
+    get(key: string): string | undefined {
+        return this.findEntry(key)?.entry.value;
+    }
+
+    has(key: string): boolean {
+        return this.findEntry(key) !== null;
+    }
+
+    keys(): string[] {
+        return [...new Set(this.entries().map((node) => node.entry.key))];
+    }
+
+    /**
+     * Returns the comment lines directly above a key, without blank lines in between.
+     */
+    getLeadingComments(key: string): string[] {
+        const found = this.findEntry(key);
+        if (!found) return [];
+        const comments: string[] = [];
+        for (let i = this.nodes.indexOf(found.node) - 1; i >= 0 && this.nodes[i].comment; i--) {
+            comments.unshift(this.nodes[i].text.replace(/\r?\n$/, ""));
+        }
+        return comments;
+    }
+
+    /**
+     * Returns all keys and decoded values, without interpolation or type conversion.
+     */
+    toObject(): Record<string, string> {
+        const result: Record<string, string> = {};
+        for (const node of this.entries()) {
+            result[node.entry.key] = node.entry.value;
+        }
+        return result;
+    }
+
+    /**
+     * Sets a value. An existing entry keeps its position, prefix, comment and, where possible, its quoting.
+     * A new entry is appended, or placed according to `before`/`after`.
+     */
+    set(key: string, value: string, options: EnvSetOptions = {}): this {
+        const found = this.findEntry(key);
+        if (found) {
+            const { node, entry } = found;
+            const quote = options.quote !== undefined ? options.quote : pickQuote(value, entry.quote);
+            const formatted = formatEnvValue(value, quote);
+            node.text = node.text.substring(0, entry.valueStart) + formatted + node.text.substring(entry.valueEnd);
+            entry.valueEnd = entry.valueStart + formatted.length;
+            entry.value = value;
+            entry.quote = quote;
+            return this;
+        }
+
+        const quote = options.quote !== undefined ? options.quote : pickQuote(value, this.preferredQuote());
+        const prefix = `${options.exported ? "export " : ""}${key}=`;
+        const formatted = formatEnvValue(value, quote);
+        const comment = options.comment ? ` # ${options.comment}` : "";
+        const node: DocNode = {
+            text: `${prefix}${formatted}${comment}${this.eol}`,
+            entry: {
+                key,
+                value,
+                quote,
+                keyOffset: options.exported ? 7 : 0,
+                valueStart: prefix.length,
+                valueEnd: prefix.length + formatted.length,
+            },
+        };
+        this.insert(node, options);
+
+        const comments = (options.leadingComments ?? []).map((line): DocNode => ({
+            text: `${/^\s*#/.test(line) ? line : `# ${line}`}${this.eol}`,
+            entry: null,
+            comment: true,
+        }));
+        this.nodes.splice(this.nodes.indexOf(node), 0, ...comments);
+        return this;
+    }
+
+    /**
+     * Removes every entry for a key. Comments around it are kept.
+     * @returns `true` if the key existed.
+     */
+    delete(key: string): boolean {
+        const before = this.nodes.length;
+        this.nodes = this.nodes.filter((node) => node.entry?.key !== key);
+        return this.nodes.length !== before;
+    }
+
+    /**
+     * Renames a key in place, keeping its value and formatting.
+     * Existing entries for the new key are removed.
+     * @returns `true` if the key existed.
+     */
+    rename(oldKey: string, newKey: string): boolean {
+        if (oldKey === newKey) return this.has(oldKey);
+        const nodes = this.entries().filter((node) => node.entry.key === oldKey);
+        if (nodes.length === 0) return false;
+
+        this.delete(newKey);
+        for (const node of nodes) {
+            const { entry } = node;
+            const shift = newKey.length - oldKey.length;
+            node.text = node.text.substring(0, entry.keyOffset) + newKey + node.text.substring(entry.keyOffset + oldKey.length);
+            entry.key = newKey;
+            entry.valueStart += shift;
+            entry.valueEnd += shift;
+        }
+        return true;
+    }
+
+    /**
+     * Moves an entry before or after another key, or to the end.
+     * @returns `true` if the key existed.
+     */
+    move(key: string, options: EnvMoveOptions = {}): boolean {
+        const found = this.findEntry(key);
+        if (!found) return false;
+        this.nodes.splice(this.nodes.indexOf(found.node), 1);
+        this.insert(found.node, options);
+        return true;
+    }
+
+    /**
+     * Whether the document differs from the source it was created from.
+     */
+    get changed(): boolean {
+        return this.toString() !== this.original;
+    }
+
+    toString(): string {
+        return this.nodes.map((node) => node.text).join("");
+    }
+
+    /**
+     * Writes the document if it changed, in a single write replacing the file atomically.
+     * @param options WriteOptions, e.g. to keep a `.bak` copy of the previous file.
+     * @returns `true` if the file was written.
+     */
+    async save(filePath: string, options: WriteOptions = {}): Promise<boolean> {
+        if (!this.changed) return false;
+        await writeFileWithOptions(filePath, this.toString(), options);
+        return true;
+    }
+
+    /**
+     * Synchronous version of `save()`.
+     */
+    saveSync(filePath: string, options: WriteOptions = {}): boolean {
+        if (!this.changed) return false;
+        writeFileWithOptionsSync(filePath, this.toString(), options);
+        return true;
+    }
+
+    /**
+     * The most common quoting in the file, used for new entries. Double quotes if the file has no entries.
+     */
+    private preferredQuote(): EnvQuote | null {
+        const counts = new Map<EnvQuote | null, number>();
+        for (const { entry } of this.entries()) {
+            counts.set(entry.quote, (counts.get(entry.quote) ?? 0) + 1);
+        }
+        let preferred: EnvQuote | null = '"';
+        let max = 0;
+        for (const [quote, count] of counts) {
+            if (count > max) {
+                preferred = quote;
+                max = count;
+            }
+        }
+        return preferred;
+    }
+
+    private entries(): (DocNode & { entry: DocEntry })[] {
+        return this.nodes.filter((node): node is DocNode & { entry: DocEntry } => node.entry !== null);
+    }
+
+    private findEntry(key: string): { node: DocNode; entry: DocEntry } | null {
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            if (node.entry?.key === key) return { node, entry: node.entry };
+        }
+        return null;
+    }
+
+    private insert(node: DocNode, options: EnvMoveOptions): void {
+        const anchorKey = options.before ?? options.after;
+        const anchor = anchorKey !== undefined ? this.findEntry(anchorKey) : null;
+        if (anchor) {
+            const index = this.nodes.indexOf(anchor.node);
+            this.ensureLineBreak(anchor.node);
+            this.ensureLineBreak(node);
+            this.nodes.splice(options.before !== undefined ? index : index + 1, 0, node);
+            return;
+        }
+
+        // Appending to a file without a final line break keeps it that way
+        const last = this.nodes[this.nodes.length - 1];
+        if (last && !/[\r\n]$/.test(last.text)) {
+            last.text += this.eol;
+            node.text = node.text.replace(/\r?\n$/, "");
+        }
+        this.nodes.push(node);
+    }
+
+    private ensureLineBreak(node: DocNode): void {
+        if (!/[\r\n]$/.test(node.text)) node.text += this.eol;
+    }
+}
+
+/**
+ * Formats a value for a `.env` file with the given quoting.
+ * Double quotes escape backslashes, quotes and line breaks.
+ */
+export function formatEnvValue(value: string, quote: EnvQuote | null): string {
+    if (quote === '"') {
+        const escaped = value
+            .replace(/\\/g, "\\\\")
+            .replace(/"/g, '\\"')
+            .replace(/\r/g, "\\r")
+            .replace(/\n/g, "\\n");
+        return `"${escaped}"`;
+    }
+    if (quote === "'" || quote === "`") {
+        return `${quote}${value}${quote}`;
+    }
+    return value.replace(/#/g, "\\#");
+}
+
+/**
+ * Keeps the preferred quoting if it can represent the value, otherwise falls back to double quotes.
+ */
+function pickQuote(value: string, preferred: EnvQuote | null): EnvQuote | null {
+    if (preferred === "'" || preferred === "`") {
+        return value.includes(preferred) ? '"' : preferred;
+    }
+    if (preferred === null) {
+        const safe = /^[^\s"'`\\#][^\r\n\\#]*$/.test(value) && value === value.trim();
+        return safe || value === "" ? null : '"';
+    }
+    return '"';
+}
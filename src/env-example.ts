@@ -0,0 +1,233 @@
+import fs, { readFile } from "./fs-adapter.js";
+import path from "node:path";
+import { EnvDocument } from "./env-document.js";
+import { parseEnv } from "./env.js";
+import { outputFile, pathExists } from "./index.js";
+import { outputFileSync, pathExistsSync } from "./sync.js";
+import { EnvSchema } from "./env-schema.js";
+
+export type EnvDiff = {
+    missing: string[]; // In the reference, but not in the env
+    extra: string[]; // In the env, but not in the reference
+    empty: string[]; // In the env with an empty value
+};
+
+export type SyncEnvExampleOptions = {
+    placeholder?: string | ((key: string, value: string) => string); // Value written for new keys. Default: empty
+    copyValues?: boolean; // Copy the values of non-secret keys instead of the placeholder. Default: false
+    redact?: boolean; // Replace secret values already in the example with the placeholder. Default: true
+    removeExtra?: boolean; // Remove keys that are no longer in the env. Default: false
+    secrets?: string[]; // Keys to treat as secret in addition to the ones that look secret
+    schema?: EnvSchema; // Keys marked `secret` are treated as secret
+};
+
+export type SyncEnvExampleResult = {
+    added: string[];
+    redacted: string[];
+    removed: string[];
+};
+
+export type EnsureEnvFromExampleResult = {
+    created: boolean; // Whether the env file was created from the example
+    added: string[]; // Keys copied into an existing env file
+};
+
+const SECRET_KEY = /(^|[_.-])(SECRET|TOKEN|PASSWORD|PASSWD|PWD|PASS|PRIVATE|CREDENTIALS?|API[_-]?KEY|ACCESS[_-]?KEY|AUTH|SALT|SIGNATURE|DSN)([_.-]|$)|(SECRET|TOKEN|PASSWORD|PRIVATE[_-]?KEY)$/i;
+
+/**
+ * Checks whether a key name looks like it holds a secret, e.g. `API_KEY`, `DB_PASSWORD` or `JWT_SECRET`.
+ */
+export function isSecretEnvKey(key: string): boolean {
+    return SECRET_KEY.test(key);
+}
+
+/**
+ * Compares an env with a reference such as `.env.example`.
+ * @param env The env file path or parsed data.
+ * @param reference The reference file path or parsed data.
+ * @returns The keys missing from the env, the extra keys and the empty keys.
+ */
+export async function diffEnv(
+    env: string | Record<string, unknown>,
+    reference: string | Record<string, unknown>
+): Promise<EnvDiff> {
+    const actual = typeof env === "string" ? await readEnvData(env) : env;
+    const expected = typeof reference === "string" ? await readEnvData(reference) : reference;
+    return compareEnv(actual, expected);
+}
+
+/**
+ * Synchronous version of `diffEnv()`.
+ */
+export function diffEnvSync(
+    env: string | Record<string, unknown>,
+    reference: string | Record<string, unknown>
+): EnvDiff {
+    const actual = typeof env === "string" ? readEnvDataSync(env) : env;
+    const expected = typeof reference === "string" ? readEnvDataSync(reference) : reference;
+    return compareEnv(actual, expected);
+}
+
+function compareEnv(actual: Record<string, unknown>, expected: Record<string, unknown>): EnvDiff {
+    return {
+        missing: Object.keys(expected).filter((key) => !(key in actual)),
+        extra: Object.keys(actual).filter((key) => !(key in expected)),
+        empty: Object.entries(actual)
+            .filter(([, value]) => value === null || value === undefined || String(value).trim() === "")
+            .map(([key]) => key),
+    };
+}
+
+/**
+ * Adds the keys of an env file that are missing from its example file, with their comments.
+ * New keys get a placeholder value, and secret-looking values already in the example are redacted.
+ * @param envPath The path to the `.env` file.
+ * @param examplePath The path to the example file. Default: `.env.example` next to the env file.
+ * @param options SyncEnvExampleOptions to configure placeholders and secrets.
+ * @returns The keys that were added, redacted and removed.
+ */
+export async function syncEnvExample(
+    envPath = ".env",
+    examplePath?: string,
+    options: SyncEnvExampleOptions = {}
+): Promise<SyncEnvExampleResult> {
+    const exampleFile = examplePath ?? path.join(path.dirname(envPath), ".env.example");
+    const example = await EnvDocument.load(exampleFile);
+    const result = mergeIntoExample(await EnvDocument.load(envPath), example, options);
+    await example.save(exampleFile);
+    return result;
+}
+
+/**
+ * Synchronous version of `syncEnvExample()`.
+ */
+export function syncEnvExampleSync(
+    envPath = ".env",
+    examplePath?: string,
+    options: SyncEnvExampleOptions = {}
+): SyncEnvExampleResult {
+    const exampleFile = examplePath ?? path.join(path.dirname(envPath), ".env.example");
+    const example = EnvDocument.loadSync(exampleFile);
+    const result = mergeIntoExample(EnvDocument.loadSync(envPath), example, options);
+    example.saveSync(exampleFile);
+    return result;
+}
+
+function mergeIntoExample(env: EnvDocument, example: EnvDocument, options: SyncEnvExampleOptions): SyncEnvExampleResult {
+    const { copyValues = false, redact = true, removeExtra = false } = options;
+    const isSecret = createSecretCheck(options);
+    const placeholder = (key: string, value: string) =>
+        typeof options.placeholder === "function" ? options.placeholder(key, value) : options.placeholder ?? "";
+
+    const result: SyncEnvExampleResult = { added: [], redacted: [], removed: [] };
+    const envKeys = env.keys();
+
+    // Keep the env file's order: insert each key after the previous key the example already has
+    let previous: string | undefined;
+    for (const key of envKeys) {
+        if (!example.has(key)) {
+            const value = env.get(key);
+            example.set(key, copyValues && !isSecret(key) ? value : placeholder(key, value), {
+                after: previous,
+                leadingComments: env.getLeadingComments(key),
+            });
+            result.added.push(key);
+        } else if (redact && isSecret(key)) {
+            const value = example.get(key);
+            const redacted = placeholder(key, value);
+            if (value !== redacted) {
+                example.set(key, redacted);
+                result.redacted.push(key);
+            }
+        }
+        previous = key;
+    }
+
+    if (removeExtra) {
+        for (const key of example.keys()) {
+            if (!envKeys.includes(key)) {
+                example.delete(key);
+                result.removed.push(key);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Creates an env file from its example on first run, or adds the keys it lacks.
+ * Existing values are never changed.
+ * @param envPath The path to the `.env` file.
+ * @param examplePath The path to the example file. Default: `.env.example` next to the env file.
+ * @returns Whether the file was created, and which keys were added to an existing file.
+ */
+export async function ensureEnvFromExample(
+    envPath = ".env",
+    examplePath?: string
+): Promise<EnsureEnvFromExampleResult> {
+    const exampleFile = examplePath ?? path.join(path.dirname(envPath), ".env.example");
+    const exampleSource = await readFile(exampleFile, "utf-8");
+
+    // A new env file is a verbatim copy, comments included
+    if (!(await pathExists(envPath))) {
+        await outputFile(envPath, exampleSource);
+        return { created: true, added: [] };
+    }
+
+    const env = await EnvDocument.load(envPath);
+    const added = addMissingKeys(env, EnvDocument.parse(exampleSource));
+    await env.save(envPath);
+    return { created: false, added };
+}
+
+/**
+ * Synchronous version of `ensureEnvFromExample()`.
+ */
+export function ensureEnvFromExampleSync(
+    envPath = ".env",
+    examplePath?: string
+): EnsureEnvFromExampleResult {
+    const exampleFile = examplePath ?? path.join(path.dirname(envPath), ".env.example");
+    const exampleSource = fs.readFileSync(exampleFile, "utf-8");
+
+    if (!pathExistsSync(envPath)) {
+        outputFileSync(envPath, exampleSource);
+        return { created: true, added: [] };
+    }
+
+    const env = EnvDocument.loadSync(envPath);
+    const added = addMissingKeys(env, EnvDocument.parse(exampleSource));
+    env.saveSync(envPath);
+    return { created: false, added };
+}
+
+function addMissingKeys(env: EnvDocument, example: EnvDocument): string[] {
+    const added: string[] = [];
+    for (const key of example.keys()) {
+        if (!env.has(key)) {
+            env.set(key, example.get(key), { leadingComments: example.getLeadingComments(key) });
+            added.push(key);
+        }
+    }
+    return added;
+}
+
+async function readEnvData(filePath: string): Promise<Record<string, unknown>> {
+    return parseEnv(await readFile(filePath, "utf-8"), { returnEmptyAsNull: false, convertTypes: false });
+}
+
+function readEnvDataSync(filePath: string): Record<string, unknown> {
+    return parseEnv(fs.readFileSync(filePath, "utf-8"), { returnEmptyAsNull: false, convertTypes: false });
+}
+
+/**
+ * Creates a check for secret keys: the given ones, the ones marked `secret` in the schema and the ones that look secret.
+ */
+export function createSecretCheck(options: Pick<SyncEnvExampleOptions, "secrets" | "schema">): (key: string) => boolean {
+    const secrets = new Set(options.secrets ?? []);
+    for (const [key, spec] of Object.entries(options.schema ?? {})) {
+        if (spec.secret) secrets.add(key);
+    }
+    return (key) => secrets.has(key) || isSecretEnvKey(key);
+}
@@ -0,0 +1,382 @@
+import { FsesmParseError } from './errors.js';
+
+export type EnvQuote = '"' | "'" | '`';
+
+/**
+ * A `KEY=value` assignment.
+ * Offsets point into the source; `start`/`end` cover the whole line including its line break.
+ */
+export type EnvEntryNode = {
+    kind: 'entry';
+    key: string;
+    value: string; // Decoded value, before interpolation
+    rawValue: string; // Value as written, without the surrounding quotes
+    quote: EnvQuote | null;
+    exported: boolean;
+    comment: string | null; // Inline comment after the value, without `#`
+    line: number;
+    column: number;
+    start: number;
+    end: number;
+    valueStart: number; // Offset of the value, including an opening quote
+    valueEnd: number; // Offset after the value, including a closing quote
+};
+
+export type EnvCommentNode = {
+    kind: 'comment';
+    text: string;
+    line: number;
+    start: number;
+    end: number;
+};
+
+export type EnvBlankNode = {
+    kind: 'blank';
+    line: number;
+    start: number;
+    end: number;
+};
+
+export type EnvInvalidNode = {
+    kind: 'invalid';
+    text: string;
+    error: EnvParseError;
+    line: number;
+    start: number;
+    end: number;
+};
+
+export type EnvNode = EnvEntryNode | EnvCommentNode | EnvBlankNode | EnvInvalidNode;
+
+export type ExpandEnvOptions = {
+    env?: Record<string, string | undefined>; // Fallback variables, e.g. `process.env`
+};
+
+/**
+ * A syntax error in `.env` source, with a 1-based line and column.
+ */
+export class EnvParseError extends FsesmParseError {
+    declare readonly line: number;
+    declare readonly column: number;
+    declare readonly offset: number;
+
+    constructor(message: string, line: number, column: number, offset: number) {
+        super(`${message} (line ${line}, column ${column})`, { line, column, offset });
+        this.name = 'EnvParseError';
+    }
+}
+
+const KEY_CHAR = /[\w.@$:-]/;
+
+/**
+ * Splits `.env` source into nodes that together cover every character of it.
+ * Follows dotenv: double quotes support escapes and span lines, single quotes and backticks are literal,
+ * unquoted values end at an unescaped `#` and are trimmed.
+ * @param source The `.env` source.
+ * @returns The nodes in source order, and the syntax errors found.
+ */
+export function tokenizeEnv(source: string): { nodes: EnvNode[]; errors: EnvParseError[] } {
+    const nodes: EnvNode[] = [];
+    const errors: EnvParseError[] = [];
+    let pos = 0;
+    let line = 1;
+
+    while (pos < source.length) {
+        const start = pos;
+        const startLine = line;
+        const lineEnd = findLineEnd(source, pos);
+        const next = skipLineBreak(source, lineEnd);
+        let i = skipSpaces(source, pos);
+
+        if (i === lineEnd) {
+            nodes.push({ kind: 'blank', line, start, end: next });
+            pos = next;
+            line++;
+            continue;
+        }
+        if (source[i] === '#') {
+            nodes.push({ kind: 'comment', text: source.substring(i + 1, lineEnd), line, start, end: next });
+            pos = next;
+            line++;
+            continue;
+        }
+
+        const fail = (message: string, offset: number) => {
+            const error = new EnvParseError(message, startLine, offset - start + 1, offset);
+            errors.push(error);
+            nodes.push({ kind: 'invalid', text: source.substring(start, lineEnd), error, line: startLine, start, end: next });
+            pos = next;
+            line = startLine + 1;
+        };
+
+        // `export KEY=value`
+        let exported = false;
+        if (source.startsWith('export', i) && /[ \t]/.test(source[i + 6] ?? '')) {
+            const afterExport = skipSpaces(source, i + 6);
+            if (KEY_CHAR.test(source[afterExport] ?? '')) {
+                exported = true;
+                i = afterExport;
+            }
+        }
+
+        const keyStart = i;
+        while (i < lineEnd && KEY_CHAR.test(source[i])) i++;
+        if (i === keyStart) {
+            fail('Expected a variable name', i);
+            continue;
+        }
+        const key = source.substring(keyStart, i);
+
+        i = skipSpaces(source, i);
+        if (source[i] !== '=') {
+            fail(`Expected "=" after "${key}"`, i);
+            continue;
+        }
+        i = skipSpaces(source, i + 1);
+
+        const valueStart = i;
+        let value: string;
+        let rawValue: string;
+        let quote: EnvQuote | null = null;
+        let valueEnd: number;
+        let comment: string | null = null;
+        let end: number;
+
+        const char = source[i];
+        if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+            const close = findClosingQuote(source, i + 1, char);
+            if (close === -1) {
+                fail(`Unterminated ${QUOTE_NAMES[char]} value for "${key}"`, i);
+                continue;
+            }
+            rawValue = source.substring(i + 1, close);
+            value = decodeEnvValue(rawValue, quote);
+            valueEnd = close + 1;
+            line += countLineBreaks(rawValue);
+
+            // Only whitespace and a comment may follow the closing quote
+            const valueLineEnd = findLineEnd(source, valueEnd);
+            let j = skipSpaces(source, valueEnd);
+            if (j < valueLineEnd && source[j] === '#') {
+                comment = source.substring(j + 1, valueLineEnd);
+            } else if (j < valueLineEnd) {
+                const column = j - source.lastIndexOf('\n', j - 1);
+                const error = new EnvParseError(`Unexpected character after the closing quote of "${key}"`, line, column, j);
+                errors.push(error);
+                nodes.push({ kind: 'invalid', text: source.substring(start, valueLineEnd), error, line: startLine, start, end: skipLineBreak(source, valueLineEnd) });
+                pos = skipLineBreak(source, valueLineEnd);
+                line++;
+                continue;
+            }
+            end = skipLineBreak(source, valueLineEnd);
+        } else {
+            const hash = findUnescapedHash(source, i, lineEnd);
+            const valueText = source.substring(i, hash === -1 ? lineEnd : hash);
+            rawValue = valueText.trimEnd();
+            value = decodeEnvValue(rawValue, null);
+            valueEnd = i + rawValue.length;
+            if (hash !== -1) comment = source.substring(hash + 1, lineEnd);
+            end = next;
+        }
+
+        nodes.push({
+            kind: 'entry',
+            key,
+            value,
+            rawValue,
+            quote,
+            exported,
+            comment,
+            line: startLine,
+            column: keyStart - start + 1,
+            start,
+            end,
+            valueStart,
+            valueEnd,
+        });
+        pos = end;
+        line++;
+    }
+
+    return { nodes, errors };
+}
+
+/**
+ * Resolves `$VAR`, `${VAR}`, `${VAR:-default}` and `${VAR-default}` in the entries, in order.
+ * Each value sees the keys defined before it, then `options.env`. Single-quoted values are left as is.
+ * @param entries The entries to expand.
+ * @param options ExpandEnvOptions to configure interpolation.
+ * @returns The expanded values by key; later entries override earlier ones.
+ */
+export function expandEnv(
+    entries: EnvEntryNode[],
+    options: ExpandEnvOptions = {}
+): Record<string, string> {
+    const values: Record<string, string> = {};
+    const lookup = (name: string): string | undefined =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : options.env?.[name];
+
+    for (const entry of entries) {
+        values[entry.key] = entry.quote === "'"
+            ? entry.value
+            : decodeEnvValue(entry.rawValue, entry.quote, lookup);
+    }
+    return values;
+}
+
+/**
+ * Decodes a value as written between its quotes.
+ * Double quotes process escapes; `\#` and `\$` are unescaped in unquoted values.
+ * When `lookup` is given, `$` references are interpolated.
+ */
+export function decodeEnvValue(
+    rawValue: string,
+    quote: EnvQuote | null,
+    lookup?: (name: string) => string | undefined
+): string {
+    if (quote === "'") return rawValue;
+
+    let result = '';
+    for (let i = 0; i < rawValue.length; i++) {
+        const char = rawValue[i];
+
+        if (char === '\\' && i + 1 < rawValue.length) {
+            const next = rawValue[i + 1];
+            if (quote === '"' && next in ESCAPES) {
+                result += ESCAPES[next];
+                i++;
+                continue;
+            }
+            if (next === '$' || (quote === null && next === '#')) {
+                result += next;
+                i++;
+                continue;
+            }
+            result += char;
+            continue;
+        }
+
+        if (char === '$' && lookup) {
+            const reference = readReference(rawValue, i);
+            if (reference) {
+                let resolved = lookup(reference.name);
+                if (reference.fallback !== null) {
+                    const useFallback = reference.emptyIsUnset ? !resolved : resolved === undefined;
+                    if (useFallback) resolved = decodeEnvValue(reference.fallback, quote, lookup);
+                }
+                result += resolved ?? '';
+                i = reference.end - 1;
+                continue;
+            }
+        }
+
+        result += char;
+    }
+    return result;
+}
+
+const QUOTE_NAMES: Record<EnvQuote, string> = {
+    '"': 'double-quoted',
+    "'": 'single-quoted',
+    '`': 'backtick-quoted',
+};
+
+const ESCAPES: Record<string, string> = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    b: '\b',
+    f: '\f',
+    v: '\v',
+    '"': '"',
+    '\\': '\\',
+};
+
+/**
+ * Reads a `$NAME` or `${NAME[:-|-]fallback}` reference starting at `start`.
+ */
+function readReference(
+    value: string,
+    start: number
+): { name: string; fallback: string | null; emptyIsUnset: boolean; end: number } | null {
+    if (value[start + 1] === '{') {
+        const close = findReferenceEnd(value, start + 2);
+        if (close === -1) return null;
+        const body = value.substring(start + 2, close);
+        const match = /^([A-Za-z_][\w.]*)(?:(:?-)([\s\S]*))?$/.exec(body);
+        if (!match) return null;
+        return {
+            name: match[1],
+            fallback: match[2] ? match[3] : null,
+            emptyIsUnset: match[2] === ':-',
+            end: close + 1,
+        };
+    }
+
+    const match = /^[A-Za-z_]\w*/.exec(value.substring(start + 1));
+    if (!match) return null;
+    return { name: match[0], fallback: null, emptyIsUnset: false, end: start + 1 + match[0].length };
+}
+
+/**
+ * Finds the `}` closing a `${`, allowing nested references in the fallback.
+ */
+function findReferenceEnd(value: string, start: number): number {
+    let depth = 1;
+    for (let i = start; i < value.length; i++) {
+        if (value[i] === '\\') {
+            i++;
+        } else if (value[i] === '$' && value[i + 1] === '{') {
+            depth++;
+            i++;
+        } else if (value[i] === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+function findClosingQuote(source: string, start: number, quote: EnvQuote): number {
+    for (let i = start; i < source.length; i++) {
+        if (source[i] === '\\' && quote === '"') {
+            i++;
+        } else if (source[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function findUnescapedHash(source: string, start: number, end: number): number {
+    for (let i = start; i < end; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '#') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function findLineEnd(source: string, pos: number): number {
+    const lf = source.indexOf('\n', pos);
+    const end = lf === -1 ? source.length : lf;
+    return end > pos && source[end - 1] === '\r' ? end - 1 : end;
+}
+
+function skipLineBreak(source: string, pos: number): number {
+    if (source[pos] === '\r' && source[pos + 1] === '\n') return pos + 2;
+    if (source[pos] === '\n' || source[pos] === '\r') return pos + 1;
+    return pos;
+}
+
+function skipSpaces(source: string, pos: number): number {
+    while (source[pos] === ' ' || source[pos] === '\t') pos++;
+    return pos;
+}
+
+function countLineBreaks(value: string): number {
+    return (value.match(/\r\n|\r|\n/g) ?? []).length;
+}
@@ -0,0 +1,245 @@
+import fs, { readFile } from "./fs-adapter.js";
+import { findEnvFile, findEnvFileSync, FindEnvFileOptions, parseEnv } from "./env.js";
+import { FsesmError, toFsesmError } from "./errors.js";
+
+export type EnvVarType = "string" | "number" | "boolean" | "url" | "enum" | "json" | "port";
+
+export type EnvVarSchema = {
+    type: EnvVarType;
+    required?: boolean; // Default: true, unless a default is given
+    default?: unknown;
+    secret?: boolean; // Never include the value in error messages
+    values?: readonly string[]; // Allowed values for `enum`
+    description?: string;
+};
+
+export type EnvSchema = Record<string, EnvVarSchema>;
+
+type EnvVarValue<S extends EnvVarSchema> =
+    S["type"] extends "number" | "port" ? number :
+    S["type"] extends "boolean" ? boolean :
+    S["type"] extends "json" ? unknown :
+    S["type"] extends "enum" ? (S["values"] extends readonly (infer V)[] ? V : string) :
+    string;
+
+type IsOptional<S extends EnvVarSchema> =
+    S extends { default: {} } ? false :
+    S extends { required: false } ? true :
+    false;
+
+/**
+ * The typed object returned by `loadEnv()` for a schema.
+ */
+export type EnvFromSchema<T extends EnvSchema> = {
+    [K in keyof T]: IsOptional<T[K]> extends true ? EnvVarValue<T[K]> | undefined : EnvVarValue<T[K]>;
+};
+
+export type EnvOverridePolicy = "none" | "empty" | "all";
+
+export type LoadEnvOptions = FindEnvFileOptions & {
+    path?: string; // Path of the `.env` file. Default: the nearest `fileName`
+    fileName?: string; // Default: `.env`
+    expand?: boolean; // Interpolate references in the file. Default: false
+    env?: Record<string, string | undefined>; // Environment to read from and populate. Default: `process.env`
+    populate?: boolean; // Write the file values and defaults into `env`. Default: false
+    override?: EnvOverridePolicy; // Whether file values replace existing `env` values: never, only empty ones, or always. Default: "none"
+};
+
+export type EnvValidationIssue = {
+    key: string;
+    message: string;
+};
+
+/**
+ * Thrown by `loadEnv()` with every invalid or missing variable. Its code is `EINVALIDENV`,
+ * and `path` is the env file that was read, if any.
+ */
+export class EnvValidationError extends FsesmError {
+    readonly issues: EnvValidationIssue[];
+
+    constructor(issues: EnvValidationIssue[], path?: string) {
+        super(`Invalid environment variables:\n${issues.map((issue) => `  ${issue.key}: ${issue.message}`).join("\n")}`, "EINVALIDENV", path);
+        this.name = "EnvValidationError";
+        this.issues = issues;
+    }
+}
+
+/**
+ * Loads a `.env` file and validates it, together with the environment, against a schema.
+ * Values already in the environment take precedence over the file unless `override` says otherwise.
+ * All problems are reported at once in an `EnvValidationError`.
+ * @param schema The type, requirement and default of each variable.
+ * @param options LoadEnvOptions to find the file and populate the environment.
+ * @returns The typed variables.
+ */
+export async function loadEnv<const T extends EnvSchema>(
+    schema: T,
+    options: LoadEnvOptions = {}
+): Promise<EnvFromSchema<T>> {
+    const filePath = options.path ?? await findEnvFile(options.fileName, options);
+    let source: string | null = null;
+    if (filePath) {
+        try {
+            source = await readFile(filePath, "utf-8");
+        } catch (err: any) {
+            if (err.code !== "ENOENT" || options.path === undefined) throw toFsesmError(err, filePath);
+        }
+    }
+    return applyEnvSchema(schema, source, source === null ? undefined : filePath, options);
+}
+
+/**
+ * Synchronous version of `loadEnv()`.
+ */
+export function loadEnvSync<const T extends EnvSchema>(
+    schema: T,
+    options: LoadEnvOptions = {}
+): EnvFromSchema<T> {
+    const filePath = options.path ?? findEnvFileSync(options.fileName, options);
+    let source: string | null = null;
+    if (filePath) {
+        try {
+            source = fs.readFileSync(filePath, "utf-8");
+        } catch (err: any) {
+            if (err.code !== "ENOENT" || options.path === undefined) throw toFsesmError(err, filePath);
+        }
+    }
+    return applyEnvSchema(schema, source, source === null ? undefined : filePath, options);
+}
+
+/**
+ * Validates the file content, if any, and the environment against a schema and populates the environment.
+ */
+function applyEnvSchema<const T extends EnvSchema>(
+    schema: T,
+    source: string | null,
+    filePath: string | undefined,
+    options: LoadEnvOptions
+): EnvFromSchema<T> {
+    const { override = "none", populate = false } = options;
+    const env = options.env ?? process.env;
+    const fileValues: Record<string, string> = source === null
+        ? {}
+        : parseEnv(source, { convertTypes: false, returnEmptyAsNull: false, expand: options.expand, env });
+
+    // Resolve the effective raw value of every key
+    const raw: Record<string, string | undefined> = {};
+    for (const key of new Set([...Object.keys(fileValues), ...Object.keys(schema)])) {
+        raw[key] = pickValue(env[key], fileValues[key], override);
+    }
+
+    const result: Record<string, unknown> = {};
+    const issues: EnvValidationIssue[] = [];
+    for (const [key, spec] of Object.entries(schema)) {
+        const value = raw[key];
+        if (value === undefined || value === "") {
+            if (spec.default !== undefined) {
+                result[key] = spec.default;
+            } else if (spec.required !== false) {
+                issues.push({ key, message: "is required" });
+            }
+            continue;
+        }
+
+        const parsed = parseEnvValue(value, spec);
+        if (parsed.error === undefined) {
+            result[key] = parsed.value;
+        } else {
+            const received = spec.secret ? "" : ` (received ${JSON.stringify(value)})`;
+            issues.push({ key, message: `${parsed.error}${received}` });
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new EnvValidationError(issues, filePath);
+    }
+
+    if (populate) {
+        for (const [key, value] of Object.entries(fileValues)) {
+            if (shouldWrite(env[key], override)) env[key] = value;
+        }
+        for (const [key, spec] of Object.entries(schema)) {
+            if (spec.default !== undefined && (raw[key] === undefined || raw[key] === "") && shouldWrite(env[key], override)) {
+                env[key] = stringifyEnvValue(spec.default);
+            }
+        }
+    }
+
+    return result as EnvFromSchema<T>;
+}
+
+/**
+ * Returns the keys a schema requires, i.e. those that are not optional and have no default.
+ */
+export function getRequiredEnvKeys(schema: EnvSchema): string[] {
+    return Object.entries(schema)
+        .filter(([, spec]) => spec.required !== false && spec.default === undefined)
+        .map(([key]) => key);
+}
+
+/**
+ * Parses a raw string according to a variable's schema.
+ */
+function parseEnvValue(value: string, spec: EnvVarSchema): { value?: unknown; error?: string } {
+    switch (spec.type) {
+        case "string":
+            return { value };
+        case "number": {
+            const number = Number(value);
+            if (value.trim() === "" || !Number.isFinite(number)) {
+                return { error: "must be a number" };
+            }
+            return { value: number };
+        }
+        case "port": {
+            const port = Number(value);
+            if (!/^\d+$/.test(value.trim()) || port > 65535) {
+                return { error: "must be a port number between 0 and 65535" };
+            }
+            return { value: port };
+        }
+        case "boolean": {
+            const normalized = value.trim().toLowerCase();
+            if (["true", "1", "yes", "on"].includes(normalized)) return { value: true };
+            if (["false", "0", "no", "off"].includes(normalized)) return { value: false };
+            return { error: "must be a boolean (true/false, 1/0, yes/no, on/off)" };
+        }
+        case "url":
+            try {
+                new URL(value);
+                return { value };
+            } catch {
+                return { error: "must be a valid URL" };
+            }
+        case "enum":
+            if (!spec.values?.includes(value)) {
+                return { error: `must be one of ${(spec.values ?? []).map((v) => JSON.stringify(v)).join(", ")}` };
+            }
+            return { value };
+        case "json":
+            try {
+                return { value: JSON.parse(value) };
+            } catch {
+                return { error: "must be valid JSON" };
+            }
+        default:
+            return { error: `has an unknown schema type "${spec.type}"` };
+    }
+}
+
+function pickValue(envValue: string | undefined, fileValue: string | undefined, override: EnvOverridePolicy): string | undefined {
+    if (fileValue === undefined) return envValue;
+    if (override === "all") return fileValue;
+    if (override === "empty") return envValue === undefined || envValue === "" ? fileValue : envValue;
+    return envValue === undefined ? fileValue : envValue;
+}
+
+function shouldWrite(current: string | undefined, override: EnvOverridePolicy): boolean {
+    if (override === "all") return true;
+    if (override === "empty") return current === undefined || current === "";
+    return current === undefined;
+}
+
+function stringifyEnvValue(value: unknown): string {
+    return typeof value === "string" ? value : JSON.stringify(value);
+}
@@ -0,0 +1,285 @@
+import { createCipheriv, createDecipheriv, randomBytes } from "node:crypto";
+import fs, { readFile } from "./fs-adapter.js";
+import path from "node:path";
+import { EnvDocument } from "./env-document.js";
+import { createSecretCheck } from "./env-example.js";
+import { EnvSchema } from "./env-schema.js";
+import { writeFileWithOptions, writeFileWithOptionsSync, WriteOptions } from "./atomic.js";
+import { FsesmError, toFsesmError } from "./errors.js";
+
+export type EnvKeyOptions = {
+    key?: string | Buffer; // The 32-byte key, as hex or base64
+    keyFile?: string; // A file holding the key, e.g. `.env.key`
+    keyEnv?: string; // The environment variable holding the key. Default: "FSESM_ENV_KEY"
+};
+
+export type EncryptEnvOptions = EnvKeyOptions & WriteOptions & {
+    keys?: string[]; // Keys to encrypt. Default: every key with a value
+    output?: string; // File to write instead of the env file, e.g. `.env.encrypted`
+};
+
+export type DecryptEnvOptions = EnvKeyOptions & WriteOptions & {
+    output?: string; // File to write instead of the env file
+};
+
+export type RedactEnvOptions = {
+    secrets?: string[]; // Keys to redact in addition to the ones that look secret
+    schema?: EnvSchema; // Keys marked `secret` are redacted
+    mask?: string; // Replaces the values. Default: "********"
+};
+
+const ENCRYPTED_PREFIX = "encrypted:";
+const DEFAULT_KEY_ENV = "FSESM_ENV_KEY";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Generates a random key for `encryptEnvFile()`, as 64 hex characters.
+ */
+export function generateEnvKey(): string {
+    return randomBytes(32).toString("hex");
+}
+
+/**
+ * Checks whether an env value was encrypted by `encryptEnvFile()`.
+ */
+export function isEncryptedEnvValue(value: unknown): boolean {
+    return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypts the values of an `.env` file one by one with AES-256-GCM, as `KEY=encrypted:...`.
+ * Keys, comments and order stay readable, so the file can be committed and diffed.
+ * Each value is bound to its key, so encrypted values cannot be swapped between keys.
+ * Values that are empty or already encrypted are left as they are.
+ * @param envPath The path to the `.env` file.
+ * @param options EncryptEnvOptions with the key, or the file or environment variable holding it.
+ * @returns The keys that were encrypted.
+ * @throws FsesmError with code `ENOKEY` if no key is given, or `EINVAL` if the key is invalid.
+ */
+export async function encryptEnvFile(envPath: string, options: EncryptEnvOptions = {}): Promise<string[]> {
+    const key = await resolveEnvKey(options);
+    const doc = EnvDocument.parse(await readEnvSource(envPath));
+    const encrypted = encryptDocument(doc, key, options.keys);
+    await saveDocument(doc, envPath, options);
+    return encrypted;
+}
+
+/**
+ * Synchronous version of `encryptEnvFile()`.
+ */
+export function encryptEnvFileSync(envPath: string, options: EncryptEnvOptions = {}): string[] {
+    const key = resolveEnvKeySync(options);
+    const doc = EnvDocument.parse(readEnvSourceSync(envPath));
+    const encrypted = encryptDocument(doc, key, options.keys);
+    saveDocumentSync(doc, envPath, options);
+    return encrypted;
+}
+
+/**
+ * Decrypts the values of an `.env` file encrypted by `encryptEnvFile()`, keeping comments and formatting.
+ * @param envPath The path to the `.env` file.
+ * @param options DecryptEnvOptions with the key, or the file or environment variable holding it.
+ * @returns The keys that were decrypted.
+ * @throws FsesmError with code `EDECRYPT` if a value cannot be decrypted with the key.
+ */
+export async function decryptEnvFile(envPath: string, options: DecryptEnvOptions = {}): Promise<string[]> {
+    const key = await resolveEnvKey(options);
+    const doc = EnvDocument.parse(await readEnvSource(envPath));
+    const decrypted = decryptDocument(doc, key, envPath);
+    await saveDocument(doc, envPath, options);
+    return decrypted;
+}
+
+/**
+ * Synchronous version of `decryptEnvFile()`.
+ */
+export function decryptEnvFileSync(envPath: string, options: DecryptEnvOptions = {}): string[] {
+    const key = resolveEnvKeySync(options);
+    const doc = EnvDocument.parse(readEnvSourceSync(envPath));
+    const decrypted = decryptDocument(doc, key, envPath);
+    saveDocumentSync(doc, envPath, options);
+    return decrypted;
+}
+
+/**
+ * Returns a copy of env data with the values of secret keys masked, for logs and error messages.
+ * Secret keys are the ones that look secret (see `isSecretEnvKey()`), the given `secrets` and the schema's `secret` keys.
+ * Empty values are kept, so missing secrets still show.
+ * @param env The env data, e.g. from `readEnvFile()` or `process.env`.
+ * @param options RedactEnvOptions with more secret keys and the mask.
+ * @returns The redacted copy.
+ */
+export function redactEnv<T extends Record<string, unknown>>(env: T, options: RedactEnvOptions = {}): T {
+    const { mask = "********" } = options;
+    const isSecret = createSecretCheck(options);
+    const result: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(env)) {
+        const empty = value === null || value === undefined || value === "";
+        result[key] = !empty && isSecret(key) ? mask : value;
+    }
+    return result as T;
+}
+
+/**
+ * Whether `readEnvFile()` should decrypt, i.e. a key or a place to read it from was given.
+ */
+export function hasEnvKey(options: EnvKeyOptions): boolean {
+    return options.key !== undefined || options.keyFile !== undefined || options.keyEnv !== undefined;
+}
+
+/**
+ * Decrypts the encrypted values in `.env` source, leaving the rest untouched.
+ */
+export async function decryptEnvSource(source: string, options: EnvKeyOptions, filePath?: string): Promise<string> {
+    if (!source.includes(ENCRYPTED_PREFIX)) return source;
+    const doc = EnvDocument.parse(source);
+    decryptDocument(doc, await resolveEnvKey(options), filePath);
+    return doc.toString();
+}
+
+/**
+ * Synchronous version of `decryptEnvSource()`.
+ */
+export function decryptEnvSourceSync(source: string, options: EnvKeyOptions, filePath?: string): string {
+    if (!source.includes(ENCRYPTED_PREFIX)) return source;
+    const doc = EnvDocument.parse(source);
+    decryptDocument(doc, resolveEnvKeySync(options), filePath);
+    return doc.toString();
+}
+
+function encryptDocument(doc: EnvDocument, key: Buffer, keys?: string[]): string[] {
+    const encrypted: string[] = [];
+    for (const name of keys ?? doc.keys()) {
+        const value = doc.get(name);
+        if (!value || isEncryptedEnvValue(value)) continue;
+        doc.set(name, encryptValue(name, value, key));
+        encrypted.push(name);
+    }
+    return encrypted;
+}
+
+function decryptDocument(doc: EnvDocument, key: Buffer, filePath?: string): string[] {
+    const decrypted: string[] = [];
+    for (const name of doc.keys()) {
+        const value = doc.get(name);
+        if (!isEncryptedEnvValue(value)) continue;
+        doc.set(name, decryptValue(name, value, key, filePath));
+        decrypted.push(name);
+    }
+    return decrypted;
+}
+
+/**
+ * Encrypts a value as `encrypted:` followed by the base64 of the IV, the auth tag and the ciphertext.
+ * The key name is authenticated data, so the value only decrypts under the same name.
+ */
+function encryptValue(name: string, value: string, key: Buffer): string {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(name, "utf-8"));
+    const ciphertext = Buffer.concat([cipher.update(value, "utf-8"), cipher.final()]);
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+}
+
+function decryptValue(name: string, value: string, key: Buffer, filePath?: string): string {
+    const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), "base64");
+    try {
+        if (data.length < IV_LENGTH + TAG_LENGTH) throw new Error("Value is too short");
+        const decipher = createDecipheriv(ALGORITHM, key, data.subarray(0, IV_LENGTH));
+        decipher.setAAD(Buffer.from(name, "utf-8"));
+        decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+        return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString("utf-8");
+    } catch (err) {
+        const location = filePath ? ` in ${filePath}` : "";
+        throw new FsesmError(`Could not decrypt ${name}${location}: wrong key or corrupted value`, "EDECRYPT", filePath, err);
+    }
+}
+
+async function resolveEnvKey(options: EnvKeyOptions): Promise<Buffer> {
+    if (options.key === undefined && options.keyFile !== undefined) {
+        const keyPath = path.resolve(options.keyFile);
+        const source = await readFile(keyPath, "utf-8").catch((err) => {
+            throw toFsesmError(err, keyPath);
+        });
+        return parseEnvKey(source, keyPath);
+    }
+    return parseEnvKey(getKeyFromOptions(options));
+}
+
+function resolveEnvKeySync(options: EnvKeyOptions): Buffer {
+    if (options.key === undefined && options.keyFile !== undefined) {
+        const keyPath = path.resolve(options.keyFile);
+        let source: string;
+        try {
+            source = fs.readFileSync(keyPath, "utf-8");
+        } catch (err) {
+            throw toFsesmError(err, keyPath);
+        }
+        return parseEnvKey(source, keyPath);
+    }
+    return parseEnvKey(getKeyFromOptions(options));
+}
+
+function getKeyFromOptions(options: EnvKeyOptions): string | Buffer {
+    if (options.key !== undefined) return options.key;
+    const keyEnv = options.keyEnv ?? DEFAULT_KEY_ENV;
+    const key = process.env[keyEnv];
+    if (!key) {
+        throw new FsesmError(`No env encryption key: pass \`key\` or \`keyFile\`, or set ${keyEnv}`, "ENOKEY");
+    }
+    return key;
+}
+
+/**
+ * Reads a 32-byte key given as a buffer, 64 hex characters or base64.
+ */
+function parseEnvKey(input: string | Buffer, keyPath?: string): Buffer {
+    let key: Buffer;
+    if (Buffer.isBuffer(input)) {
+        key = input;
+    } else {
+        const text = input.trim();
+        key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+    }
+    if (key.length !== 32) {
+        throw new FsesmError("Invalid env encryption key: expected 32 bytes as hex or base64", "EINVAL", keyPath);
+    }
+    return key;
+}
+
+async function readEnvSource(envPath: string): Promise<string> {
+    return readFile(envPath, "utf-8").catch((err) => {
+        throw toFsesmError(err, envPath);
+    });
+}
+
+function readEnvSourceSync(envPath: string): string {
+    try {
+        return fs.readFileSync(envPath, "utf-8");
+    } catch (err) {
+        throw toFsesmError(err, envPath);
+    }
+}
+
+/**
+ * Writes the document back to the env file if it changed, or always to `output`.
+ */
+async function saveDocument(doc: EnvDocument, envPath: string, options: EncryptEnvOptions | DecryptEnvOptions): Promise<void> {
+    const { output, ...writeOptions } = options;
+    if (output === undefined) {
+        await doc.save(envPath, writeOptions);
+    } else {
+        await writeFileWithOptions(output, doc.toString(), writeOptions);
+    }
+}
+
+function saveDocumentSync(doc: EnvDocument, envPath: string, options: EncryptEnvOptions | DecryptEnvOptions): void {
+    const { output, ...writeOptions } = options;
+    if (output === undefined) {
+        doc.saveSync(envPath, writeOptions);
+    } else {
+        writeFileWithOptionsSync(output, doc.toString(), writeOptions);
+    }
+}
@@ -1,13 +1,46 @@
-import { readFile, lstat, writeFile } from "node:fs/promises";
+import fs, { readFile, lstat } from "./fs-adapter.js";
 import path from "node:path";
-import { findFileUpwards } from "./upwards.js";
-import { ensureFile } from "./index.js";
-import { UpdateJsonFunc } from "./types.js";
+import { findFileUpwards, findFileUpwardsSync } from "./upwards.js";
+import { ensureFile, pathExists } from "./index.js";
+import { ensureFileSync, pathExistsSync } from "./sync.js";
+import { UpdateJsonFunc, UpdateJsonSyncFunc } from "./types.js";
+import { EnvEntryNode, EnvParseError, expandEnv, tokenizeEnv } from "./env-parser.js";
+import { EnvDocument } from "./env-document.js";
+import { EnvSchema, getRequiredEnvKeys } from "./env-schema.js";
+import { WriteOptions } from "./atomic.js";
+import { UpdateOptions, withOptionalLock } from "./lock.js";
+import { SafeOptions, toFsesmError } from "./errors.js";
+import { getLogger } from "./logger.js";
+import { findWorkspaceRoot, findWorkspaceRootSync } from "./workspace.js";
+import { decryptEnvSource, decryptEnvSourceSync, EnvKeyOptions, hasEnvKey } from "./env-secrets.js";
 
 export type FindEnvFileOptions = {
     cwd?: string;
     maxDepth?: number;
 }
+
+export type ParseEnvOptions = {
+    returnEmptyAsNull?: boolean; // Return empty values as `null`. Default: true
+    convertTypes?: boolean; // Convert numbers, booleans and `null`. Default: true
+    expand?: boolean; // Interpolate `$VAR`, `${VAR}` and `${VAR:-default}`. Default: false
+    env?: Record<string, string | undefined>; // Variables used for interpolation when not defined earlier in the file, e.g. `process.env`
+    onError?: (error: EnvParseError) => void; // Called for each invalid line, which is skipped
+    strict?: boolean; // Throw an `EnvParseError` for the first invalid line instead of skipping it. Default: false
+}
+
+export type ReadEnvCascadeOptions = ParseEnvOptions & {
+    mode?: string; // e.g. `development`, `production` or `test`
+    cwd?: string;
+    root?: string | string[]; // Files marking the project directory the env files are read from. Default: `package.json` or `.git`
+    local?: boolean; // Whether to read `.env.local`. Default: true, except in the `test` mode
+    inherit?: boolean; // Also read the env files of the workspace root below the project's own. Default: false
+}
+
+export type EnvCascadeResult<T extends Record<string, any> = Record<string, any>> = {
+    data: T;
+    sources: Record<string, string>; // The file each key came from
+    files: string[]; // The files that were read, from lowest to highest precedence
+}
 /**
  * Finds the nearest `.env` file.
  * Returns `null` if the file does not exist.
@@ -36,70 +69,243 @@ export async function findEnvFile(
     return null;
 }
 
+/**
+ * Synchronous version of `findEnvFile()`.
+ */
+export function findEnvFileSync(
+    fileName?: string,
+    options: FindEnvFileOptions = {}
+): string | null {
+    const filePath = findFileUpwardsSync(fileName ?? ".env", options);
+
+    if (!filePath) return null;
+    try {
+        if (fs.lstatSync(filePath).isFile()) {
+            return filePath;
+        }
+    } catch (err: any) {
+        if (err.code !== "ENOENT" && err.code !== "EACCES" && err.code !== "EPERM") {
+            throw err;
+        }
+    }
+
+    return null;
+}
+
 /**
  * Reads the nearest `.env` file.
  * Returns `null` if the file does not exist.
- * @param options FindEnvFileOptions to find the `.env` file.
+ * Given `key`, `keyFile` or `keyEnv`, values encrypted by `encryptEnvFile()` are decrypted before parsing.
+ * @param options FindEnvFileOptions to find the `.env` file, ParseEnvOptions to parse it and EnvKeyOptions to decrypt it.
  * @returns The path and parsed `.env` data.
  */
 export async function readEnvFile<T extends Record<string, any> = Record<string, any>>(
     fileName?: string,
-    options: FindEnvFileOptions = {}
+    options: FindEnvFileOptions & ParseEnvOptions & EnvKeyOptions = {}
 ): Promise<{ path: string; data: T } | null> {
     const filePath = await findEnvFile(fileName, options);
     if (!filePath) return null;
 
-    const source = await readFile(filePath, "utf-8");
-    const parsed = parseEnv<T>(source);
+    let source = await readFile(filePath, "utf-8").catch((err) => {
+        throw toFsesmError(err, filePath);
+    });
+    if (hasEnvKey(options)) source = await decryptEnvSource(source, options, filePath);
+    const parsed = parseEnv<T>(source, options);
     return { path: filePath, data: parsed };
 }
 
+/**
+ * Synchronous version of `readEnvFile()`.
+ */
+export function readEnvFileSync<T extends Record<string, any> = Record<string, any>>(
+    fileName?: string,
+    options: FindEnvFileOptions & ParseEnvOptions & EnvKeyOptions = {}
+): { path: string; data: T } | null {
+    const filePath = findEnvFileSync(fileName, options);
+    if (!filePath) return null;
+
+    let source: string;
+    try {
+        source = fs.readFileSync(filePath, "utf-8");
+    } catch (err) {
+        throw toFsesmError(err, filePath);
+    }
+    if (hasEnvKey(options)) source = decryptEnvSourceSync(source, options, filePath);
+    return { path: filePath, data: parseEnv<T>(source, options) };
+}
+
 /**
 * Parses a string of environment variables into an object.
+* Follows dotenv: double-quoted values may span lines and support escapes, single-quoted values are literal.
+* Invalid lines are skipped, as dotenv does, and reported to `onError`.
+* With `strict: true`, throws an `EnvParseError` with the line and column of the first invalid line instead.
 * @param source The source string to parse.
-* @param returnEmptyAsNull Whether to return empty values as `null`.
+* @param options ParseEnvOptions, or whether to return empty values as `null`.
 * @returns The parsed object.
 */
 export function parseEnv<T extends Record<string, any> = Record<string, string | number | boolean | null>>(
     source: string,
-    returnEmptyAsNull = true
+    options: boolean | ParseEnvOptions = {}
 ): T {
-    const obj: Record<string, string | number | boolean | null> = {};
-    let lines = source.replace(/\r\n?/g, '\n'); // Normalize line endings
+    const { returnEmptyAsNull = true, convertTypes = true, expand = false, env, onError, strict } =
+        typeof options === "boolean" ? { returnEmptyAsNull: options } as ParseEnvOptions : options;
 
-    // Regular expression: supports `export VAR=`, complex keys, `= in value`
-    const LINE = /^\s*(?:export\s+)?([\w.@$:-]+)\s*=\s*(.*)?\s*$/gm;
-    let match;
+    const entries = tokenizeEntries(source, { onError, strict });
+    return buildEnvObject(entries, { returnEmptyAsNull, convertTypes, expand, env }) as T;
+}
 
-    while ((match = LINE.exec(lines)) !== null) {
-        let key = match[1].trim();
-        let value = match[2]?.trim() ?? '';
+/**
+ * Reads and merges the conventional layered env files of a project:
+ * `.env`, `.env.local`, `.env.[mode]` and `.env.[mode].local`, later files taking precedence.
+ * The files are read from the nearest directory containing a `root` marker.
+ * @param options ReadEnvCascadeOptions to select the mode and the project directory.
+ * @returns The merged data, the file each key came from, and the files that were read.
+ */
+export async function readEnvCascade<T extends Record<string, any> = Record<string, any>>(
+    options: ReadEnvCascadeOptions = {}
+): Promise<EnvCascadeResult<T>> {
+    const cwd = path.resolve(options.cwd ?? process.cwd());
+    const projectDir = await findMarkedDirectory(cwd, getRootMarkers(options)) ?? cwd;
+
+    const dirs = [projectDir];
+    if (options.inherit) {
+        const workspaceDir = await findWorkspaceRoot({ cwd: projectDir });
+        if (workspaceDir && workspaceDir !== projectDir) dirs.unshift(workspaceDir);
+    }
 
-        // Remove comments `#`, if they are not inside quotes
-        if (!/^['"`]/.test(value)) {
-            value = value.split(/(?<!\\)#/)[0].trim(); // Remove everything after `#`, if not escaped
+    const files: { path: string; source: string }[] = [];
+    for (const filePath of getCascadePaths(dirs, options)) {
+        try {
+            files.push({ path: filePath, source: await readFile(filePath, "utf-8") });
+        } catch (err: any) {
+            if (err.code !== "ENOENT" && err.code !== "EISDIR") throw toFsesmError(err, filePath);
         }
+    }
+    return mergeEnvCascade<T>(files, options);
+}
+
+/**
+ * Synchronous version of `readEnvCascade()`.
+ */
+export function readEnvCascadeSync<T extends Record<string, any> = Record<string, any>>(
+    options: ReadEnvCascadeOptions = {}
+): EnvCascadeResult<T> {
+    const cwd = path.resolve(options.cwd ?? process.cwd());
+    const projectDir = findMarkedDirectorySync(cwd, getRootMarkers(options)) ?? cwd;
+
+    const dirs = [projectDir];
+    if (options.inherit) {
+        const workspaceDir = findWorkspaceRootSync({ cwd: projectDir });
+        if (workspaceDir && workspaceDir !== projectDir) dirs.unshift(workspaceDir);
+    }
 
-        // Check for quotes
-        if ((value.startsWith('"') && value.endsWith('"')) ||
-            (value.startsWith("'") && value.endsWith("'")) ||
-            (value.startsWith("`") && value.endsWith("`"))) {
-            value = value.slice(1, -1);
+    const files: { path: string; source: string }[] = [];
+    for (const filePath of getCascadePaths(dirs, options)) {
+        try {
+            files.push({ path: filePath, source: fs.readFileSync(filePath, "utf-8") });
+        } catch (err: any) {
+            if (err.code !== "ENOENT" && err.code !== "EISDIR") throw toFsesmError(err, filePath);
         }
+    }
+    return mergeEnvCascade<T>(files, options);
+}
+
+/**
+ * Returns the env file names of the cascade, from lowest to highest precedence.
+ * @param mode The mode, e.g. `production`.
+ * @param local Whether to include `.env.local`.
+ */
+export function getEnvCascadeFiles(mode?: string, local = true): string[] {
+    const files = [".env"];
+    if (local) files.push(".env.local");
+    if (mode) files.push(`.env.${mode}`, `.env.${mode}.local`);
+    return files;
+}
+
+function getRootMarkers(options: ReadEnvCascadeOptions): string[] {
+    return options.root === undefined ? ["package.json", ".git"] : [options.root].flat();
+}
 
-        // Handle escaped characters
-        value = value.replace(/\\n/g, '\n')
-            .replace(/\\r/g, '\r')
-            .replace(/\\t/g, '\t')
-            .replace(/\\b/g, '\b')
-            .replace(/\\f/g, '\f')
-            .replace(/\\\\/g, '\\');
+/**
+ * Lists the candidate env files of the cascade, from lowest to highest precedence.
+ */
+function getCascadePaths(dirs: string[], options: ReadEnvCascadeOptions): string[] {
+    const fileNames = getEnvCascadeFiles(options.mode, options.local ?? options.mode !== "test");
+    return dirs.flatMap((dir) => fileNames.map((fileName) => path.join(dir, fileName)));
+}
+
+/**
+ * Merges the files that were read, in order, and tracks the file each key came from.
+ */
+function mergeEnvCascade<T>(files: { path: string; source: string }[], options: ReadEnvCascadeOptions): EnvCascadeResult<T> {
+    const { returnEmptyAsNull = true, convertTypes = true, expand = false, env, onError, strict } = options;
+    const entries: EnvEntryNode[] = [];
+    const sources: Record<string, string> = {};
+    for (const file of files) {
+        for (const entry of tokenizeEntries(file.source, { onError, strict })) {
+            entries.push(entry);
+            sources[entry.key] = file.path;
+        }
+    }
+
+    // Merged before interpolation, so a file can refer to keys from the files below it
+    const data = buildEnvObject(entries, { returnEmptyAsNull, convertTypes, expand, env }) as T;
+    return { data, sources, files: files.map((file) => file.path) };
+}
+
+/**
+ * Tokenizes `.env` source, skipping invalid lines, or throwing the first syntax error with `strict`.
+ */
+function tokenizeEntries(source: string, options: Pick<ParseEnvOptions, "onError" | "strict">): EnvEntryNode[] {
+    const { nodes, errors } = tokenizeEnv(source);
+    if (errors.length > 0) {
+        if (options.strict) throw errors[0];
+        if (options.onError) errors.forEach(options.onError);
+    }
+    return nodes.filter((node): node is EnvEntryNode => node.kind === "entry");
+}
+
+/**
+ * Turns entries into an object, interpolating and converting values as configured.
+ */
+function buildEnvObject(
+    entries: EnvEntryNode[],
+    options: ParseEnvOptions
+): Record<string, string | number | boolean | null> {
+    const { returnEmptyAsNull, convertTypes, expand, env } = options;
+    const values: Record<string, string> = expand
+        ? expandEnv(entries, { env })
+        : Object.fromEntries(entries.map((entry) => [entry.key, entry.value]));
+
+    // Automatic type conversion
+    const obj: Record<string, string | number | boolean | null> = {};
+    for (const [key, value] of Object.entries(values)) {
+        obj[key] = convertTypes
+            ? convertType(value, returnEmptyAsNull)
+            : returnEmptyAsNull && value === '' ? null : value;
+    }
+    return obj;
+}
 
-        // Automatic type conversion
-        obj[key] = convertType(value, returnEmptyAsNull);
+/**
+ * Finds the nearest directory, starting at `startDir`, that contains one of the marker files.
+ */
+async function findMarkedDirectory(startDir: string, markers: string[]): Promise<string | null> {
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+        for (const marker of markers) {
+            if (await pathExists(path.join(dir, marker))) return dir;
+        }
+        if (path.dirname(dir) === dir) return null;
     }
+}
 
-    return obj as T;
+function findMarkedDirectorySync(startDir: string, markers: string[]): string | null {
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+        for (const marker of markers) {
+            if (pathExistsSync(path.join(dir, marker))) return dir;
+        }
+        if (path.dirname(dir) === dir) return null;
+    }
 }
 
 /**
@@ -107,7 +313,7 @@ export function parseEnv<T extends Record<string, any> = Record<string, string |
  */
 function convertType(value: string, returnEmptyAsNull: boolean): string | number | boolean | null {
     if (returnEmptyAsNull && value === '') return null; // Empty values → null (or leave as string)
-    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value); // Number (not "123abc")
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value)) return Number(value); // Number (not "123abc" or "01234")
     if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true"; // Boolean (case insensitive)
     if (/^(null|undefined)$/i.test(value)) return null; // null/undefined → null
     return value; // Leave the rest as string
@@ -115,73 +321,71 @@ function convertType(value: string, returnEmptyAsNull: boolean): string | number
 
 /**
  * Writes a key-value pair to an `.env` file.
- * If the key already exists, it will be updated.
+ * If the key already exists, it will be updated in place, keeping its `export` prefix, comment and quoting.
  * @param envPath The path to the `.env` file.
  * @param key The key to write.
  * @param value The value to write.
  * @param onlyIfEmpty Whether to write only if the key is empty.
+ * @param options WriteOptions for the write, and `safe: true` to log failures instead of throwing. Default: `safe: false`.
  */
 export async function writeEnvVar(
     envPath: string,
     key: string,
     value: string,
-    onlyIfEmpty = false
+    onlyIfEmpty = false,
+    options: WriteOptions & SafeOptions = {}
 ): Promise<void> {
     const filePath = path.isAbsolute(envPath) ? envPath : path.resolve(process.cwd(), envPath);
     const envFilename = path.basename(filePath);
 
     try {
         await ensureFile(filePath);
-        let envContent = "";
+        const doc = await EnvDocument.load(filePath);
 
-        // Read the file if it exists
-        try {
-            envContent = await readFile(filePath, "utf8");
-        } catch {
-            console.log(`${envFilename} not found. A new file will be created at ${filePath}.`);
+        // If `onlyIfEmpty`, do not overwrite existing non-empty values
+        if (onlyIfEmpty && (doc.get(key) ?? "").trim() !== "") {
+            getLogger().info(`${key} already exists in ${envFilename} and will not be updated.`);
+            return;
         }
 
-        // Parse the .env content
-        const parsedEnv = parseEnv(envContent, false);
-        const lines = envContent.split("\n");
-        let found = false;
-
-        // Update or add the variable
-        const updatedLines = lines.map((line) => {
-            const trimmed = line.trim();
-
-            // Skip empty lines and comments
-            if (!trimmed || trimmed.startsWith("#")) return line;
-
-            const eqIndex = line.indexOf("=");
-            if (eqIndex === -1) return line; // Skip lines without "="
-
-            const currentKey = line.substring(0, eqIndex).trim();
-            if (currentKey === key) {
-                found = true;
-
-                // If `onlyIfEmpty`, do not overwrite existing non-empty values
-                if (onlyIfEmpty && parsedEnv[key]?.toString().trim() !== "") {
-                    console.log(`${key} already exists in ${envFilename} and will not be updated.`);
-                    return line;
-                }
+        doc.set(key, value);
+        await doc.save(filePath, options);
+    } catch (error) {
+        if (!options.safe) throw toFsesmError(error, filePath);
+        getLogger().error(
+            `Failed to update ${key} in ${envFilename}:`,
+            error instanceof Error ? error.message : error
+        );
+    }
+}
 
-                // Update the value, preserving formatting
-                return `${key}="${value}"`;
-            }
+/**
+ * Synchronous version of `writeEnvVar()`.
+ */
+export function writeEnvVarSync(
+    envPath: string,
+    key: string,
+    value: string,
+    onlyIfEmpty = false,
+    options: WriteOptions & SafeOptions = {}
+): void {
+    const filePath = path.isAbsolute(envPath) ? envPath : path.resolve(process.cwd(), envPath);
+    const envFilename = path.basename(filePath);
 
-            return line; // Leave the line unchanged
-        });
+    try {
+        ensureFileSync(filePath);
+        const doc = EnvDocument.loadSync(filePath);
 
-        // If the key was not found, add it
-        if (!found) {
-            updatedLines.push(`${key}="${value}"`);
+        if (onlyIfEmpty && (doc.get(key) ?? "").trim() !== "") {
+            getLogger().info(`${key} already exists in ${envFilename} and will not be updated.`);
+            return;
         }
 
-        // Write the updated content back to the file
-        await writeFile(filePath, updatedLines.join("\n"), "utf8");
+        doc.set(key, value);
+        doc.saveSync(filePath, options);
     } catch (error) {
-        console.error(
+        if (!options.safe) throw toFsesmError(error, filePath);
+        getLogger().error(
             `Failed to update ${key} in ${envFilename}:`,
             error instanceof Error ? error.message : error
         );
@@ -191,60 +395,152 @@ export async function writeEnvVar(
 /*
 * Finds the keys in an `.env` file that are empty or missing.
 * @param envPath The path to the `.env` file.
+* @param schema Optional schema whose required keys are also reported when absent from the file.
 * @returns The keys that are empty or missing.
-* @throws If the file does not exist.
+* @throws FsesmNotFoundError if the file does not exist.
 */
-export async function getEmptyEnvKeys<T extends Record<string, any> = Record<string, any>>(envPath: string): Promise<(keyof T)[]> {
+export async function getEmptyEnvKeys<T extends Record<string, any> = Record<string, any>>(envPath: string, schema?: EnvSchema): Promise<(keyof T)[]> {
     try {
-        const envContent = await readFile(envPath, "utf-8");
-        const parsedEnv = parseEnv<T>(envContent, false);
-        const missingKeys: (keyof T)[] = [];
-
-        for (const [key, value] of Object.entries(parsedEnv)) {
-            if (value === null || value === "") {
-                missingKeys.push(key as keyof T);
-            }
-        }
+        return collectEmptyEnvKeys<T>(await readFile(envPath, "utf-8"), schema);
+    } catch (error) {
+        throw toFsesmError(error, envPath);
+    }
+}
 
-        return missingKeys;
+/**
+ * Synchronous version of `getEmptyEnvKeys()`.
+ */
+export function getEmptyEnvKeysSync<T extends Record<string, any> = Record<string, any>>(envPath: string, schema?: EnvSchema): (keyof T)[] {
+    try {
+        return collectEmptyEnvKeys<T>(fs.readFileSync(envPath, "utf-8"), schema);
     } catch (error) {
-        console.error(`.env not found at path: ${envPath}`);
-        throw error;
+        throw toFsesmError(error, envPath);
     }
 }
 
+function collectEmptyEnvKeys<T>(envContent: string, schema?: EnvSchema): (keyof T)[] {
+    const parsedEnv = parseEnv(envContent, false);
+    const missingKeys: (keyof T)[] = [];
+
+    for (const [key, value] of Object.entries(parsedEnv)) {
+        if (value === null || value === "") {
+            missingKeys.push(key as keyof T);
+        }
+    }
+
+    // Required keys with no default that are absent from the file
+    for (const key of schema ? getRequiredEnvKeys(schema) : []) {
+        if (!(key in parsedEnv)) {
+            missingKeys.push(key as keyof T);
+        }
+    }
+
+    return missingKeys;
+}
+
 /**
  * Writes a record of key-value pairs to an `.env` file.
- * If the key already exists, it will be updated.
+ * If the key already exists, it will be updated. The file is written once.
  * @param envPath The path to the `.env` file.
  * @param record The record to write.
+ * @param options WriteOptions for the write, e.g. `backup`, and `safe: true` to log failures instead of throwing. Default: `safe: false`.
  */
 export async function writeEnvRecord(
     envPath: string,
-    record: Record<string, string>
+    record: Record<string, string>,
+    options: WriteOptions & SafeOptions = {}
 ): Promise<void> {
     try {
         await ensureFile(envPath);
+        const doc = await EnvDocument.load(envPath);
         for (const [key, value] of Object.entries(record)) {
-            await writeEnvVar(envPath, key, value);
+            doc.set(key, value);
         }
+        await doc.save(envPath, options);
     } catch (error) {
-        console.error(`Error saving ${envPath}:`, error);
+        if (!options.safe) throw toFsesmError(error, envPath);
+        getLogger().error(`Error saving ${envPath}:`, error);
+    }
+}
+
+/**
+ * Synchronous version of `writeEnvRecord()`.
+ */
+export function writeEnvRecordSync(
+    envPath: string,
+    record: Record<string, string>,
+    options: WriteOptions & SafeOptions = {}
+): void {
+    try {
+        ensureFileSync(envPath);
+        const doc = EnvDocument.loadSync(envPath);
+        for (const [key, value] of Object.entries(record)) {
+            doc.set(key, value);
+        }
+        doc.saveSync(envPath, options);
+    } catch (error) {
+        if (!options.safe) throw toFsesmError(error, envPath);
+        getLogger().error(`Error saving ${envPath}:`, error);
     }
 }
 
 /**
  * Updates an `.env` file using an async updater function.
  * The updater receives the current data and should return the updated data.
+ * Keys missing from the returned data are removed; unchanged keys keep their formatting.
  * @param envPath The path to the `.env` file.
  * @param update Function to update the `.env` data.
+ * @param options UpdateOptions for the write, e.g. `backup`, and `lock` to run the update under `withLock()`.
  */
 export async function updateEnv<T extends Record<string, any> = Record<string, any>>(
     envPath: string,
-    update: UpdateJsonFunc<T>
+    update: UpdateJsonFunc<T>,
+    options: UpdateOptions = {}
 ): Promise<void> {
-    const envContent = await readFile(envPath, "utf-8");
+    await withOptionalLock(envPath, options.lock, async () => {
+        const envContent = await readFile(envPath, "utf-8").catch((err) => {
+            throw toFsesmError(err, envPath);
+        });
+        const doc = EnvDocument.parse(envContent);
+        const parsedEnv = parseEnv(envContent, false);
+        const updated = await update({ ...parsedEnv } as T);
+
+        applyEnvUpdate(doc, parsedEnv, updated);
+        await doc.save(envPath, options);
+    });
+}
+
+/**
+ * Synchronous version of `updateEnv()`. The `lock` option is not supported.
+ */
+export function updateEnvSync<T extends Record<string, any> = Record<string, any>>(
+    envPath: string,
+    update: UpdateJsonSyncFunc<T>,
+    options: WriteOptions = {}
+): void {
+    let envContent: string;
+    try {
+        envContent = fs.readFileSync(envPath, "utf-8");
+    } catch (err) {
+        throw toFsesmError(err, envPath);
+    }
+    const doc = EnvDocument.parse(envContent);
     const parsedEnv = parseEnv(envContent, false);
-    const updated = await update(parsedEnv as T);
-    await writeEnvRecord(envPath, updated);
+    const updated = update({ ...parsedEnv } as T);
+
+    applyEnvUpdate(doc, parsedEnv, updated);
+    doc.saveSync(envPath, options);
+}
+
+/**
+ * Removes the keys missing from `updated` and sets the changed ones, leaving unchanged lines untouched.
+ */
+function applyEnvUpdate(doc: EnvDocument, parsedEnv: Record<string, any>, updated: Record<string, any>): void {
+    for (const key of Object.keys(parsedEnv)) {
+        if (!(key in updated)) doc.delete(key);
+    }
+    for (const [key, value] of Object.entries(updated)) {
+        if (parsedEnv[key] === value) continue;
+        doc.set(key, value === null || value === undefined ? "" : String(value));
+    }
 }
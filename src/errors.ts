@@ -0,0 +1,89 @@
+/**
+ * Base class of the errors thrown by fsesm.
+ * `code` mirrors the Node.js error code where there is one, and `cause` holds the original error.
+ */
+export class FsesmError extends Error {
+    readonly code: string;
+    readonly path?: string;
+
+    constructor(message: string, code: string, path?: string, cause?: unknown) {
+        super(message);
+        this.name = "FsesmError";
+        this.code = code;
+        this.path = path;
+        // Set by hand, as `new Error(message, { cause })` needs Node.js 16.9; non-enumerable, like the native one
+        if (cause !== undefined) {
+            Object.defineProperty(this, "cause", { value: cause, writable: true, configurable: true });
+        }
+    }
+}
+
+/**
+ * A file or directory does not exist.
+ */
+export class FsesmNotFoundError extends FsesmError {
+    constructor(path: string, cause?: unknown) {
+        super(`No such file or directory: ${path}`, "ENOENT", path, cause);
+        this.name = "FsesmNotFoundError";
+    }
+}
+
+/**
+ * Access to a file or directory was denied.
+ */
+export class FsesmPermissionError extends FsesmError {
+    constructor(path: string, cause?: unknown) {
+        super(`Permission denied: ${path}`, (cause as NodeJS.ErrnoException)?.code ?? "EACCES", path, cause);
+        this.name = "FsesmPermissionError";
+    }
+}
+
+export type ParseErrorPosition = {
+    path?: string;
+    line?: number; // 1-based
+    column?: number; // 1-based
+    offset?: number; // 0-based offset into the source
+};
+
+/**
+ * The content of a file could not be parsed. Carries the position of the error when it is known.
+ */
+export class FsesmParseError extends FsesmError {
+    readonly line?: number;
+    readonly column?: number;
+    readonly offset?: number;
+
+    constructor(message: string, position: ParseErrorPosition = {}, cause?: unknown) {
+        super(message, "EPARSE", position.path, cause);
+        this.name = "FsesmParseError";
+        this.line = position.line;
+        this.column = position.column;
+        this.offset = position.offset;
+    }
+}
+
+export type SafeOptions = {
+    safe?: boolean; // Return a fallback (e.g. `null`) and report to the logger instead of throwing. Default: `true` for readers, `false` for writers; see each function
+};
+
+/**
+ * Converts a Node.js file system error to the matching fsesm error. Other errors are returned as is.
+ */
+export function toFsesmError(err: unknown, path: string): unknown {
+    if (err instanceof FsesmError) return err;
+    const code = (err as NodeJS.ErrnoException)?.code;
+    if (code === "ENOENT" || code === "ENOTDIR") return new FsesmNotFoundError(path, err);
+    if (code === "EACCES" || code === "EPERM") return new FsesmPermissionError(path, err);
+    return err;
+}
+
+/**
+ * Creates a parse error for a source position, computing the line and column.
+ */
+export function createParseError(message: string, source: string, offset: number, path?: string, cause?: unknown): FsesmParseError {
+    const before = source.substring(0, offset);
+    const line = before.split("\n").length;
+    const column = offset - before.lastIndexOf("\n");
+    const location = path ? `${path}:${line}:${column}` : `line ${line}, column ${column}`;
+    return new FsesmParseError(`${message} (${location})`, { path, line, column, offset }, cause);
+}
@@ -1,26 +1,225 @@
-import { opendir, readFile } from 'node:fs/promises';
+import { Dirent, Stats } from 'node:fs';
+import fs, { lstat, opendir, stat } from './fs-adapter.js';
 import path from 'node:path';
+import { Readable } from 'node:stream';
+import { createMatcher, globToRegExp, Matcher } from './glob.js';
+import {
+    IgnoreRuleGroup,
+    loadIgnoreGroup,
+    loadIgnoreGroupSync,
+    loadRootIgnoreGroups,
+    loadRootIgnoreGroupsSync,
+    matchIgnoreRules,
+} from './ignore.js';
+import { toFsesmError } from './errors.js';
+import { getLogger } from './logger.js';
 
-type GlobOptions = {
+export type GlobOptions = {
     cwd?: string;
     maxDepth?: number;
     ignore?: string | string[];
     matchFilesWithoutExtensions?: boolean;
     absolute?: boolean;
     useGitignore?: boolean;
+    ignoreFiles?: string[]; // Extra gitignore-style files, e.g. `.npmignore` or `.dockerignore`
     type?: 'files' | 'folders' | 'all'; // New option: search type
+    dot?: boolean; // Whether wildcards match dotfiles. Default: true
+    nocase?: boolean; // Case-insensitive matching of patterns and `ignore`
+    concurrency?: number; // Maximum number of directories read in parallel
+    objectMode?: boolean; // Return `FindEntry` objects instead of path strings
+    stats?: boolean; // Return `FindEntry` objects including `size`, `mtime` and `mode`
+    followSymlinks?: boolean; // Resolve symbolic links and traverse linked directories. Default: false
+    minSize?: number; // Minimum file size in bytes
+    maxSize?: number; // Maximum file size in bytes
+    newerThan?: Date | number; // Only entries modified after this date
+    olderThan?: Date | number; // Only entries modified before this date
+    filter?: (entry: FindEntry) => boolean | Promise<boolean>; // Returning `false` for a directory prunes it
+    safe?: boolean; // Skip unreadable directories and report them to the logger instead of throwing. Default: true
 };
 
+export type FindEntry = {
+    path: string;
+    name: string;
+    type: 'file' | 'directory';
+    symlink: boolean; // Whether the entry was reached through a symbolic link
+    dirent: Dirent;
+    size?: number;
+    mtime?: Date;
+    mode?: number;
+};
+
+type ObjectModeOptions = GlobOptions & ({ objectMode: true } | { stats: true });
+
+/**
+ * Default number of directories read in parallel.
+ * Keeps the walk well below the usual open file descriptor limits.
+ */
+const DEFAULT_CONCURRENCY = 16;
+
+type WalkContext = {
+    baseDir: string;
+    maxDepth: number;
+    absolute: boolean;
+    matchFilesWithoutExtensions: boolean;
+    type: 'files' | 'folders' | 'all';
+    concurrency: number;
+    objectMode: boolean;
+    needStats: boolean;
+    followSymlinks: boolean;
+    minSize: number;
+    maxSize: number;
+    newerThan: number;
+    olderThan: number;
+    filter?: (entry: FindEntry) => boolean | Promise<boolean>;
+    safe: boolean;
+    matcher: Matcher;
+    ignoreMatchers: RegExp[];
+    ignoreNegMatchers: RegExp[];
+    ignoreFileNames: string[];
+    skipGitDir: boolean;
+    stopped: boolean;
+};
+
+type WalkTask = {
+    dirPath: string;
+    depth: number;
+    ignoreGroups: IgnoreRuleGroup[];
+    ancestors: string[]; // `dev:ino` of the directories above, to detect symlink cycles
+};
+
+type WalkResult = {
+    matches: FindEntry[];
+    subdirs: WalkTask[];
+};
+
+// An entry read from a directory, waiting for the `filter` option
+type FilterCandidate = {
+    entry: FindEntry;
+    stats: Stats | undefined;
+    visit: DirentVisit;
+};
+
+// A directory read that never rejects, so reads still in flight cannot cause unhandled rejections
+type SettledRead = { result: WalkResult } | { error: unknown };
+
 /**
  * Finds files and folders matching glob patterns.
+ * Unreadable directories are skipped and reported to the logger; with `safe: false`, the error is thrown. Default: `safe: true`.
  * @param patterns Glob patterns to search for.
  * @param options GlobOptions to configure the search.
- * @returns A promise that resolves to an array of matching paths.
+ * @returns A promise that resolves to an array of matching paths, or entries in object mode.
  */
+export async function find(patterns: string | string[], options: ObjectModeOptions): Promise<FindEntry[]>;
+export async function find(patterns: string | string[], options?: GlobOptions): Promise<string[]>;
 export async function find(
     patterns: string | string[],
     options: GlobOptions = {}
-): Promise<string[]> {
+): Promise<(string | FindEntry)[]> {
+    const results: (string | FindEntry)[] = [];
+    for await (const match of findIterate(patterns, options)) {
+        results.push(match);
+    }
+    return results;
+}
+
+/**
+ * Finds files and folders matching glob patterns, yielding matches as they are found.
+ * Breaking out of the loop stops the traversal.
+ * @param patterns Glob patterns to search for.
+ * @param options GlobOptions to configure the search.
+ * @returns An async iterator of matching paths.
+ */
+export function findIterate(patterns: string | string[], options: ObjectModeOptions): AsyncGenerator<FindEntry, void, undefined>;
+export function findIterate(patterns: string | string[], options?: GlobOptions): AsyncGenerator<string, void, undefined>;
+export async function* findIterate(
+    patterns: string | string[],
+    options: GlobOptions = {}
+): AsyncGenerator<string | FindEntry, void, undefined> {
+    const ctx = createWalkContext(patterns, options);
+    const ignoreGroups = ctx.ignoreFileNames.length > 0
+        ? await loadRootIgnoreGroups(ctx.baseDir, ctx.ignoreFileNames)
+        : [];
+    const queue: WalkTask[] = [{ dirPath: ctx.baseDir, depth: 0, ignoreGroups, ancestors: [] }];
+    const running: Promise<SettledRead>[] = [];
+
+    try {
+        while (queue.length > 0 || running.length > 0) {
+            // Keep at most `concurrency` directories open at once
+            while (queue.length > 0 && running.length < ctx.concurrency) {
+                const task = queue.shift();
+                running.push(readDirectory(task, ctx).then((result) => ({ result }), (error) => ({ error })));
+            }
+
+            // Results are consumed in start order, so the output order is stable
+            const read = await running.shift();
+            if ('error' in read) throw read.error;
+            const { matches, subdirs } = read.result;
+            for (const subdir of subdirs) {
+                queue.push(subdir);
+            }
+            for (const match of matches) {
+                yield ctx.objectMode ? match : match.path;
+            }
+        }
+    } finally {
+        // Let the other reads close their directories before the iterator completes
+        ctx.stopped = true;
+        await Promise.all(running);
+    }
+}
+
+/**
+ * Synchronous version of `find()`, with the same options and result order.
+ * `filter` must be synchronous.
+ * @param patterns Glob patterns to search for.
+ * @param options GlobOptions to configure the search.
+ * @returns An array of matching paths, or entries in object mode.
+ */
+export function findSync(patterns: string | string[], options: ObjectModeOptions): FindEntry[];
+export function findSync(patterns: string | string[], options?: GlobOptions): string[];
+export function findSync(
+    patterns: string | string[],
+    options: GlobOptions = {}
+): (string | FindEntry)[] {
+    const ctx = createWalkContext(patterns, options);
+    const ignoreGroups = ctx.ignoreFileNames.length > 0
+        ? loadRootIgnoreGroupsSync(ctx.baseDir, ctx.ignoreFileNames)
+        : [];
+    const queue: WalkTask[] = [{ dirPath: ctx.baseDir, depth: 0, ignoreGroups, ancestors: [] }];
+    const results: (string | FindEntry)[] = [];
+
+    // Breadth-first like `findIterate()`, so both return the same order
+    while (queue.length > 0) {
+        const { matches, subdirs } = readDirectorySync(queue.shift(), ctx);
+        queue.push(...subdirs);
+        for (const match of matches) {
+            results.push(ctx.objectMode ? match : match.path);
+        }
+    }
+    return results;
+}
+
+/**
+ * Finds files and folders matching glob patterns as an object-mode readable stream.
+ * Destroying the stream stops the traversal.
+ * @param patterns Glob patterns to search for.
+ * @param options GlobOptions to configure the search.
+ * @returns A readable stream of matching paths.
+ */
+export function findStream(
+    patterns: string | string[],
+    options: GlobOptions = {}
+): Readable {
+    return Readable.from(findIterate(patterns, options));
+}
+
+/**
+ * Compiles the patterns and ignore rules shared by a single traversal.
+ */
+function createWalkContext(
+    patterns: string | string[],
+    options: GlobOptions
+): WalkContext {
     const {
         cwd = process.cwd(),
         maxDepth = Infinity,
@@ -28,118 +227,338 @@ export async function find(
         matchFilesWithoutExtensions = true,
         absolute = false,
         useGitignore = false,
+        ignoreFiles = [],
         type = 'files', // Default to searching for files
+        dot = true,
+        nocase = false,
+        concurrency = DEFAULT_CONCURRENCY,
+        stats = false,
+        objectMode = stats,
+        followSymlinks = false,
+        minSize = 0,
+        maxSize = Infinity,
+        newerThan,
+        olderThan,
+        filter,
+        safe = true,
     } = options;
 
     const baseDir = path.resolve(cwd);
-    const results: string[] = [];
 
-    // Normalize patterns and compile to regular expressions
-    const patternList = Array.isArray(patterns) ? patterns : [patterns];
-    const normalizedPatterns = patternList.map((p) => p.replace(/\\/g, '/'));
-    const matchers = normalizedPatterns.map(globToRegex);
+    // Compile patterns; `!` patterns exclude matches of the others
+    const matcher = createMatcher(patterns, { dot, nocase });
 
-    // Load and combine ignore patterns from .gitignore
-    const gitignorePatterns = useGitignore ? await loadGitignore(baseDir) : [];
-    const ignoreList = [...(Array.isArray(ignore) ? ignore : [ignore]), ...gitignorePatterns];
+    const ignoreList = Array.isArray(ignore) ? ignore : [ignore];
 
-    // Normalize ignore patterns and separate into negative and regular
+    // Separate ignore patterns into negative and regular. Ignore patterns always match dotfiles
     const ignoreMatchers: RegExp[] = [];
     const ignoreNegMatchers: RegExp[] = [];
     for (const ign of ignoreList) {
-        const normIgn = ign.replace(/\\/g, '/');
-        if (normIgn.startsWith('!')) {
-            ignoreNegMatchers.push(globToRegex(normIgn.substring(1)));
+        if (ign.startsWith('!') && ign[1] !== '(') {
+            ignoreNegMatchers.push(globToRegExp(ign.substring(1), { dot: true, nocase }));
         } else {
-            ignoreMatchers.push(globToRegex(normIgn));
+            ignoreMatchers.push(globToRegExp(ign, { dot: true, nocase }));
         }
     }
 
-    /**
-     * Recursive directory traversal and collection of matching files/folders.
-     */
-    async function walk(dirPath: string, currentDepth: number) {
-        if (currentDepth > maxDepth) return;
+    return {
+        baseDir,
+        maxDepth,
+        absolute,
+        matchFilesWithoutExtensions,
+        type,
+        concurrency: Math.max(1, Math.floor(concurrency) || 1),
+        objectMode,
+        needStats: stats || minSize > 0 || maxSize !== Infinity || newerThan != null || olderThan != null,
+        followSymlinks,
+        minSize,
+        maxSize,
+        newerThan: newerThan == null ? -Infinity : toTime(newerThan),
+        olderThan: olderThan == null ? Infinity : toTime(olderThan),
+        filter,
+        safe,
+        matcher,
+        ignoreMatchers,
+        ignoreNegMatchers,
+        // `.gitignore` first, so the extra ignore files take precedence within a directory
+        ignoreFileNames: [...(useGitignore ? ['.gitignore'] : []), ...ignoreFiles],
+        skipGitDir: useGitignore,
+        stopped: false,
+    };
+}
 
-        try {
-            const dir = await opendir(dirPath);
-            const promises: Promise<void>[] = [];
-
-            for await (const dirent of dir) {
-                const name = dirent.name;
-                const fullPath = path.join(dirPath, name);
-                const relPath = path.relative(baseDir, fullPath);
-                const relPathUnix = relPath.split(path.sep).join('/');
-
-                if (isIgnored(relPathUnix)) continue;
-
-                if (dirent.isDirectory()) {
-                    if (type === 'folders' || type === 'all') {
-                        if (matchers.some(matcher => matcher.test(relPathUnix))) {
-                            results.push(absolute ? path.resolve(baseDir, relPath) : relPath);
-                        }
-                    }
+/**
+ * Reads a single directory and collects its matches and subdirectories to visit.
+ * Stops early once the traversal has been closed.
+ */
+async function readDirectory(task: WalkTask, ctx: WalkContext): Promise<WalkResult> {
+    const { dirPath, depth } = task;
+    const result: WalkResult = { matches: [], subdirs: [] };
+    if (ctx.stopped || depth > ctx.maxDepth) return result;
+    const candidates: FilterCandidate[] = [];
 
-                    if (currentDepth < maxDepth) {
-                        promises.push(walk(fullPath, currentDepth + 1));
-                    }
-                } else if (dirent.isFile() && (type === 'files' || type === 'all')) {
-                    if (!matchFilesWithoutExtensions && path.extname(name) === '') continue;
+    try {
+        // The walk root's own ignore files are loaded up front together with its ancestors'
+        let ignoreGroups = task.ignoreGroups;
+        if (depth > 0 && ctx.ignoreFileNames.length > 0) {
+            const group = await loadIgnoreGroup(dirPath, toRelativeDir(dirPath, ctx), ctx.ignoreFileNames);
+            if (group) ignoreGroups = [...ignoreGroups, group];
+        }
 
-                    if (matchers.some(matcher => matcher.test(relPathUnix))) {
-                        results.push(absolute ? path.resolve(baseDir, relPath) : relPath);
-                    }
+        // A directory that is its own ancestor is a symlink cycle; one reached through another link is read again
+        let ancestors = task.ancestors;
+        if (ctx.followSymlinks) {
+            ancestors = enterDirectory(await stat(dirPath), task);
+            if (!ancestors) return result;
+        }
+
+        const dir = await opendir(dirPath);
+
+        for await (const dirent of dir) {
+            if (ctx.stopped) break;
+            if (ctx.skipGitDir && dirent.name === '.git') continue;
+
+            // Symbolic links are only considered when following them
+            const fullPath = path.join(dirPath, dirent.name);
+            let stats: Stats | undefined;
+            if (dirent.isSymbolicLink()) {
+                if (!ctx.followSymlinks) continue;
+                try {
+                    stats = await stat(fullPath);
+                } catch {
+                    continue; // Broken link
                 }
             }
 
-            await Promise.all(promises);
-        } catch (err) {
-            console.error(`Error reading directory ${dirPath}:`, err);
+            const visit = classifyDirent(dirent, fullPath, stats, task, ignoreGroups, ancestors, ctx);
+            if (!visit) continue;
+            if (!visit.needsEntry) {
+                result.subdirs.push(...visit.subdirs);
+                continue;
+            }
+
+            if (!stats && ctx.needStats) {
+                stats = await lstat(fullPath);
+            }
+            candidates.push({ entry: createEntry(visit.entryPath, dirent, visit.isDirectory, visit.symlink, stats), stats, visit });
         }
+    } catch (err) {
+        if (!ctx.safe) throw toFsesmError(err, dirPath);
+        getLogger().warn(`Error reading directory ${dirPath}:`, err);
     }
 
-    await walk(baseDir, 0);
-    return results;
+    // Outside the read errors above, so errors thrown by `filter` always reach the caller
+    for (const { entry, stats, visit } of candidates) {
+        if (ctx.stopped) break;
+        if (ctx.filter && !(await ctx.filter(entry))) continue;
+        collectEntry(entry, stats, visit, result, ctx);
+    }
+    return result;
+}
+
+/**
+ * Synchronous version of `readDirectory()`. `filter` must return a boolean, not a promise.
+ */
+function readDirectorySync(task: WalkTask, ctx: WalkContext): WalkResult {
+    const { dirPath, depth } = task;
+    const result: WalkResult = { matches: [], subdirs: [] };
+    if (ctx.stopped || depth > ctx.maxDepth) return result;
+    const candidates: FilterCandidate[] = [];
 
-    /**
-     * Checks if a path should be ignored.
-     */
-    function isIgnored(relPathUnix: string): boolean {
-        if (ignoreNegMatchers.some((matcher) => matcher.test(relPathUnix))) {
-            return false;
+    try {
+        let ignoreGroups = task.ignoreGroups;
+        if (depth > 0 && ctx.ignoreFileNames.length > 0) {
+            const group = loadIgnoreGroupSync(dirPath, toRelativeDir(dirPath, ctx), ctx.ignoreFileNames);
+            if (group) ignoreGroups = [...ignoreGroups, group];
         }
-        if (ignoreMatchers.some((matcher) => matcher.test(relPathUnix))) {
-            return true;
+
+        let ancestors = task.ancestors;
+        if (ctx.followSymlinks) {
+            ancestors = enterDirectory(fs.statSync(dirPath), task);
+            if (!ancestors) return result;
         }
-        return false;
-    }
 
-    /**
-     * Converts a glob pattern to a regular expression.
-     */
-    function globToRegex(pattern: string): RegExp {
-        let escaped = pattern
-            .replace(/[.+^${}()|[\]\\]/g, "\\$&")
-            .replace(/\?/g, "[^/]")
-            .replace(/\*\*\//g, "(?:.+/)?")
-            .replace(/\*/g, "[^/]*");
-
-        return new RegExp(`^${escaped}$`);
+        const dir = fs.opendirSync(dirPath);
+        try {
+            for (let dirent = dir.readSync(); dirent !== null; dirent = dir.readSync()) {
+                if (ctx.skipGitDir && dirent.name === '.git') continue;
+
+                const fullPath = path.join(dirPath, dirent.name);
+                let stats: Stats | undefined;
+                if (dirent.isSymbolicLink()) {
+                    if (!ctx.followSymlinks) continue;
+                    try {
+                        stats = fs.statSync(fullPath);
+                    } catch {
+                        continue;
+                    }
+                }
+
+                const visit = classifyDirent(dirent, fullPath, stats, task, ignoreGroups, ancestors, ctx);
+                if (!visit) continue;
+                if (!visit.needsEntry) {
+                    result.subdirs.push(...visit.subdirs);
+                    continue;
+                }
+
+                if (!stats && ctx.needStats) {
+                    stats = fs.lstatSync(fullPath);
+                }
+                candidates.push({ entry: createEntry(visit.entryPath, dirent, visit.isDirectory, visit.symlink, stats), stats, visit });
+            }
+        } finally {
+            dir.closeSync();
+        }
+    } catch (err) {
+        if (!ctx.safe) throw toFsesmError(err, dirPath);
+        getLogger().warn(`Error reading directory ${dirPath}:`, err);
     }
 
-    /**
-     * Loads and parses the .gitignore file.
-     */
-    async function loadGitignore(dir: string): Promise<string[]> {
-        try {
-            const gitignorePath = path.join(dir, '.gitignore');
-            const content = await readFile(gitignorePath, 'utf-8');
-            return content
-                .split('\n')
-                .map((line) => line.trim())
-                .filter((line) => line && !line.startsWith('#'));
-        } catch {
-            return [];
+    for (const { entry, stats, visit } of candidates) {
+        if (ctx.filter) {
+            const keep = ctx.filter(entry);
+            if (keep instanceof Promise) throw new TypeError('findSync() does not support an async filter');
+            if (!keep) continue;
         }
+        collectEntry(entry, stats, visit, result, ctx);
+    }
+    return result;
+}
+
+type DirentVisit = {
+    entryPath: string;
+    isDirectory: boolean;
+    symlink: boolean;
+    matched: boolean; // A directory matching the patterns and the `type` option
+    needsEntry: boolean; // Whether an entry has to be created for `filter` or the results
+    subdirs: WalkTask[];
+};
+
+/**
+ * Decides what to do with a directory entry, after symbolic links have been resolved to `stats`.
+ * @returns `null` to skip the entry.
+ */
+function classifyDirent(
+    dirent: Dirent,
+    fullPath: string,
+    stats: Stats | undefined,
+    task: WalkTask,
+    ignoreGroups: IgnoreRuleGroup[],
+    ancestors: string[],
+    ctx: WalkContext
+): DirentVisit | null {
+    const relPath = path.relative(ctx.baseDir, fullPath);
+    const relPathUnix = relPath.split(path.sep).join('/');
+    const symlink = dirent.isSymbolicLink();
+    const isDirectory = stats ? stats.isDirectory() : dirent.isDirectory();
+    const isFile = stats ? stats.isFile() : dirent.isFile();
+
+    if (!isDirectory && !isFile) return null;
+    if (isIgnored(relPathUnix, isDirectory, ignoreGroups, ctx)) return null;
+
+    const wantsDirectory = ctx.type === 'folders' || ctx.type === 'all';
+    const wantsFile = ctx.type === 'files' || ctx.type === 'all';
+    if (isFile) {
+        if (!wantsFile) return null;
+        if (!ctx.matchFilesWithoutExtensions && path.extname(dirent.name) === '') return null;
+        if (!ctx.matcher(relPathUnix)) return null;
+    }
+    const matched = isDirectory && wantsDirectory && ctx.matcher(relPathUnix);
+    const subdirs = isDirectory && task.depth < ctx.maxDepth
+        ? [{ dirPath: fullPath, depth: task.depth + 1, ignoreGroups, ancestors }]
+        : [];
+
+    return {
+        entryPath: ctx.absolute ? path.resolve(ctx.baseDir, relPath) : relPath,
+        isDirectory,
+        symlink,
+        matched,
+        // Directories are passed to `filter` even if they don't match, so it can prune them
+        needsEntry: matched || isFile || (isDirectory && !!ctx.filter),
+        subdirs,
+    };
+}
+
+/**
+ * Adds an entry that passed `filter` to the results, and queues it if it is a directory.
+ */
+function collectEntry(entry: FindEntry, stats: Stats | undefined, visit: DirentVisit, result: WalkResult, ctx: WalkContext): void {
+    if ((visit.matched || !visit.isDirectory) && matchesStats(entry, stats, ctx)) {
+        result.matches.push(entry);
+    }
+    result.subdirs.push(...visit.subdirs);
+}
+
+/**
+ * Adds a directory to the ancestor chain passed down to its subdirectories.
+ * @returns `null` if the directory is already one of its ancestors, i.e. a symlink cycle.
+ */
+function enterDirectory(dirStats: Stats, task: WalkTask): string[] | null {
+    const key = `${dirStats.dev}:${dirStats.ino}`;
+    if (task.ancestors.includes(key)) return null;
+    return [...task.ancestors, key];
+}
+
+function toRelativeDir(dirPath: string, ctx: WalkContext): string {
+    return path.relative(ctx.baseDir, dirPath).split(path.sep).join('/');
+}
+
+/**
+ * Builds the entry reported for a match.
+ */
+function createEntry(
+    entryPath: string,
+    dirent: Dirent,
+    isDirectory: boolean,
+    symlink: boolean,
+    stats?: Stats
+): FindEntry {
+    const entry: FindEntry = {
+        path: entryPath,
+        name: dirent.name,
+        type: isDirectory ? 'directory' : 'file',
+        symlink,
+        dirent,
+    };
+    if (stats) {
+        entry.size = stats.size;
+        entry.mtime = stats.mtime;
+        entry.mode = stats.mode;
+    }
+    return entry;
+}
+
+/**
+ * Applies the size and modification time filters.
+ * Size limits only apply to files.
+ */
+function matchesStats(entry: FindEntry, stats: Stats | undefined, ctx: WalkContext): boolean {
+    if (!stats) return true;
+    if (entry.type === 'file' && (stats.size < ctx.minSize || stats.size > ctx.maxSize)) {
+        return false;
+    }
+    return stats.mtimeMs > ctx.newerThan && stats.mtimeMs < ctx.olderThan;
+}
+
+function toTime(value: Date | number): number {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * Checks if a path should be ignored.
+ * Negated `ignore` patterns win over everything, then `ignore` patterns, then ignore files.
+ */
+function isIgnored(
+    relPathUnix: string,
+    isDir: boolean,
+    ignoreGroups: IgnoreRuleGroup[],
+    ctx: WalkContext
+): boolean {
+    if (ctx.ignoreNegMatchers.some((matcher) => matcher.test(relPathUnix))) {
+        return false;
+    }
+    if (ctx.ignoreMatchers.some((matcher) => matcher.test(relPathUnix))) {
+        return true;
     }
-}
\ No newline at end of file
+    return matchIgnoreRules(ignoreGroups, relPathUnix, isDir) === true;
+}
@@ -0,0 +1,131 @@
+import nodeFs from "node:fs";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+type FsSyncMethod =
+    | "accessSync"
+    | "chownSync"
+    | "closeSync"
+    | "copyFileSync"
+    | "createReadStream"
+    | "existsSync"
+    | "fchmodSync"
+    | "fsyncSync"
+    | "lstatSync"
+    | "lutimesSync"
+    | "mkdirSync"
+    | "openSync"
+    | "opendirSync"
+    | "readdirSync"
+    | "readFileSync"
+    | "readlinkSync"
+    | "readSync"
+    | "realpathSync"
+    | "renameSync"
+    | "rmdirSync"
+    | "rmSync"
+    | "statSync"
+    | "symlinkSync"
+    | "unlinkSync"
+    | "utimesSync"
+    | "writeFileSync";
+
+type FsPromisesMethod =
+    | "access"
+    | "chown"
+    | "copyFile"
+    | "lstat"
+    | "lutimes"
+    | "mkdir"
+    | "open"
+    | "opendir"
+    | "readdir"
+    | "readFile"
+    | "readlink"
+    | "realpath"
+    | "rename"
+    | "rm"
+    | "rmdir"
+    | "stat"
+    | "symlink"
+    | "unlink"
+    | "utimes"
+    | "writeFile";
+
+/**
+ * The part of `node:fs` that fsesm uses. `node:fs` itself is an adapter, and `createMemoryFs()` returns another.
+ */
+export type FsAdapter = Pick<typeof nodeFs, FsSyncMethod> & {
+    promises: Pick<typeof nodeFs.promises, FsPromisesMethod>;
+};
+
+const SYNC_METHODS: FsSyncMethod[] = [
+    "accessSync", "chownSync", "closeSync", "copyFileSync", "createReadStream", "existsSync", "fchmodSync", "fsyncSync",
+    "lstatSync", "lutimesSync", "mkdirSync", "openSync", "opendirSync", "readdirSync", "readFileSync", "readlinkSync",
+    "readSync", "realpathSync", "renameSync", "rmdirSync", "rmSync", "statSync", "symlinkSync", "unlinkSync",
+    "utimesSync", "writeFileSync",
+];
+
+let currentFs: FsAdapter = nodeFs;
+const scopedFs = new AsyncLocalStorage<FsAdapter>();
+
+/**
+ * Sets the file system every fsesm function goes through. Pass `null` to go back to `node:fs`.
+ * `watch()` and the `import()` of JS configs by `loadConfig()` always use the real file system.
+ */
+export function setFs(adapter: FsAdapter | null): void {
+    currentFs = adapter ?? nodeFs;
+}
+
+/**
+ * Returns the file system in use: the one of the enclosing `withFs()` call, or the one set with `setFs()`.
+ */
+export function getFs(): FsAdapter {
+    return scopedFs.getStore() ?? currentFs;
+}
+
+/**
+ * Runs a function with fsesm going through another file system, including in the async calls it makes.
+ * Unlike `setFs()`, concurrent calls, such as tests running in parallel, each keep their own file system.
+ * @param adapter The file system to use, e.g. from `createMemoryFs()`.
+ * @param fn The function to run.
+ * @returns The result of `fn`.
+ */
+export function withFs<T>(adapter: FsAdapter, fn: () => T): T {
+    return scopedFs.run(adapter, fn);
+}
+
+function delegate<K extends FsPromisesMethod>(name: K): FsAdapter["promises"][K] {
+    return ((...args: unknown[]) => (getFs().promises[name] as (...args: unknown[]) => unknown)(...args)) as FsAdapter["promises"][K];
+}
+
+/**
+ * The synchronous methods of the current file system, used by fsesm in place of `node:fs`.
+ */
+const fs = { constants: nodeFs.constants } as Pick<typeof nodeFs, FsSyncMethod | "constants">;
+for (const name of SYNC_METHODS) {
+    (fs as Record<string, unknown>)[name] = (...args: unknown[]) => (getFs()[name] as (...args: unknown[]) => unknown)(...args);
+}
+export default fs;
+
+// The promise-based methods of the current file system, used by fsesm in place of `node:fs/promises`
+export const constants = nodeFs.constants;
+export const access = delegate("access");
+export const chown = delegate("chown");
+export const copyFile = delegate("copyFile");
+export const lstat = delegate("lstat");
+export const lutimes = delegate("lutimes");
+export const mkdir = delegate("mkdir");
+export const open = delegate("open");
+export const opendir = delegate("opendir");
+export const readdir = delegate("readdir");
+export const readFile = delegate("readFile");
+export const readlink = delegate("readlink");
+export const realpath = delegate("realpath");
+export const rename = delegate("rename");
+export const rm = delegate("rm");
+export const rmdir = delegate("rmdir");
+export const stat = delegate("stat");
+export const symlink = delegate("symlink");
+export const unlink = delegate("unlink");
+export const utimes = delegate("utimes");
+export const writeFile = delegate("writeFile");
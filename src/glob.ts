@@ -0,0 +1,423 @@
+import path from 'node:path';
+
+export type MatchOptions = {
+    dot?: boolean; // Whether `*`, `?` and `**` match names starting with a dot. Default: false
+    nocase?: boolean; // Case-insensitive matching. Default: false
+};
+
+export type Matcher = (filePath: string) => boolean;
+
+type CompileState = {
+    pattern: string;
+    index: number;
+    dot: boolean;
+    depth: number;
+    segmentStart: boolean;
+};
+
+const EXTGLOB_CHARS = '@!?+*';
+
+const POSIX_CLASSES: Record<string, string> = {
+    alnum: 'a-zA-Z0-9',
+    alpha: 'a-zA-Z',
+    blank: ' \\t',
+    digit: '0-9',
+    lower: 'a-z',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: '\\s',
+    upper: 'A-Z',
+    word: '\\w',
+    xdigit: 'A-Fa-f0-9',
+};
+
+/**
+ * Checks whether a path matches one or more glob patterns.
+ * Patterns starting with `!` exclude paths matched by the other patterns.
+ * @param filePath The path to test, relative and with `/` or platform separators.
+ * @param patterns Glob patterns to match against.
+ * @param options MatchOptions to configure matching.
+ * @returns `true` if the path matches.
+ */
+export function isMatch(
+    filePath: string,
+    patterns: string | string[],
+    options: MatchOptions = {}
+): boolean {
+    return createMatcher(patterns, options)(filePath);
+}
+
+/**
+ * Compiles glob patterns into a reusable matcher function.
+ * A path matches if it matches any positive pattern and no `!` pattern.
+ * If all patterns are negated, every other path matches; an empty list matches nothing.
+ * @param patterns Glob patterns to compile.
+ * @param options MatchOptions to configure matching.
+ * @returns A function that tests a path against the patterns.
+ */
+export function createMatcher(
+    patterns: string | string[],
+    options: MatchOptions = {}
+): Matcher {
+    const positive: RegExp[] = [];
+    const negative: RegExp[] = [];
+
+    for (const pattern of Array.isArray(patterns) ? patterns : [patterns]) {
+        if (pattern.startsWith('!') && pattern[1] !== '(') {
+            negative.push(globToRegExp(pattern.substring(1), options));
+        } else {
+            positive.push(globToRegExp(pattern, options));
+        }
+    }
+
+    const matchAll = positive.length === 0 && negative.length > 0;
+
+    return (filePath: string) => {
+        const normalized = normalizePath(filePath);
+        if (negative.some((regex) => regex.test(normalized))) return false;
+        return matchAll || positive.some((regex) => regex.test(normalized));
+    };
+}
+
+/**
+ * Converts a single glob pattern to a regular expression.
+ * Supports `*`, `?`, `**`, `[...]` classes, `{a,b}` and `{1..3}` braces and `@()`, `!()`, `?()`, `+()`, `*()` extglobs.
+ * A leading `!` is not treated specially here; use `createMatcher()` for negated patterns.
+ * @param pattern The glob pattern.
+ * @param options MatchOptions to configure matching.
+ * @returns A regular expression anchored to the whole path.
+ */
+export function globToRegExp(pattern: string, options: MatchOptions = {}): RegExp {
+    const state: CompileState = {
+        pattern: normalizePattern(pattern),
+        index: 0,
+        dot: options.dot ?? false,
+        depth: 0,
+        segmentStart: true,
+    };
+    const source = compileSequence(state, '');
+    return new RegExp(`^${source}$`, options.nocase ? 'i' : '');
+}
+
+/**
+ * Compiles the pattern until the end or one of the `stops` characters.
+ */
+function compileSequence(state: CompileState, stops: string): string {
+    const { pattern } = state;
+    let source = '';
+
+    while (state.index < pattern.length) {
+        const char = pattern[state.index];
+        if (stops.includes(char)) break;
+
+        const atSegmentStart = state.segmentStart;
+        state.segmentStart = false;
+
+        if (char === '\\' && state.index + 1 < pattern.length) {
+            source += escapeRegex(pattern[state.index + 1]);
+            state.index += 2;
+            continue;
+        }
+
+        if (char === '/') {
+            source += '/';
+            state.segmentStart = true;
+            state.index++;
+            continue;
+        }
+
+        if (EXTGLOB_CHARS.includes(char) && pattern[state.index + 1] === '(') {
+            const compiled = compileExtglob(state, atSegmentStart);
+            if (compiled !== null) {
+                source += compiled;
+                continue;
+            }
+        }
+
+        if (char === '*') {
+            let end = state.index;
+            while (pattern[end] === '*') end++;
+            const segment = `${dotGuard(state, true)}[^/]*`;
+
+            // `**` as a whole segment spans directories
+            if (end - state.index > 1 && atSegmentStart) {
+                if (pattern[end] === '/') {
+                    source += `(?:${dotGuard(state, true)}[^/]+/)*`;
+                    state.index = end + 1;
+                    state.segmentStart = true;
+                    continue;
+                }
+                if (end === pattern.length && state.depth === 0) {
+                    // A trailing `/**` also matches the directory itself
+                    if (source.endsWith('/')) {
+                        source = source.slice(0, -1) + `(?:/${segment}(?:/${segment})*)?`;
+                    } else {
+                        source += `${segment}(?:/${segment})*`;
+                    }
+                    state.index = end;
+                    continue;
+                }
+            }
+
+            source += atSegmentStart ? segment : '[^/]*';
+            state.index = end;
+            continue;
+        }
+
+        if (char === '?') {
+            source += `${atSegmentStart ? dotGuard(state, true) : ''}[^/]`;
+            state.index++;
+            continue;
+        }
+
+        if (char === '[') {
+            const compiled = compileClass(state, atSegmentStart);
+            if (compiled !== null) {
+                source += compiled;
+                continue;
+            }
+        }
+
+        if (char === '{') {
+            const compiled = compileBraces(state, atSegmentStart);
+            if (compiled !== null) {
+                source += compiled;
+                continue;
+            }
+        }
+
+        source += escapeRegex(char);
+        state.index++;
+    }
+
+    return source;
+}
+
+/**
+ * Compiles `{a,b}` alternatives and `{1..3}` / `{a..c}` ranges.
+ * Returns `null` if the braces are not closed or contain no alternatives.
+ */
+function compileBraces(state: CompileState, atSegmentStart: boolean): string | null {
+    const { pattern } = state;
+    const end = findClosing(pattern, state.index, '{', '}');
+    if (end === -1) return null;
+
+    const body = pattern.substring(state.index + 1, end);
+    const range = expandRange(body);
+    if (range) {
+        state.index = end + 1;
+        return `(?:${range.map(escapeRegex).join('|')})`;
+    }
+    if (!hasTopLevelComma(body)) return null;
+
+    const alternatives: string[] = [];
+    state.index++;
+    state.depth++;
+    while (true) {
+        state.segmentStart = atSegmentStart;
+        alternatives.push(compileSequence(state, ',}'));
+        const char = pattern[state.index++];
+        if (char !== ',') break;
+    }
+    state.depth--;
+    state.segmentStart = false;
+
+    return `(?:${alternatives.join('|')})`;
+}
+
+/**
+ * Compiles `@(a|b)`, `?(a|b)`, `+(a|b)`, `*(a|b)` and `!(a|b)` extglobs.
+ * Returns `null` if the parentheses are not closed.
+ */
+function compileExtglob(state: CompileState, atSegmentStart: boolean): string | null {
+    const { pattern } = state;
+    const type = pattern[state.index];
+    const end = findClosing(pattern, state.index + 1, '(', ')');
+    if (end === -1) return null;
+
+    const alternatives: string[] = [];
+    state.index += 2;
+    state.depth++;
+    while (true) {
+        state.segmentStart = atSegmentStart;
+        alternatives.push(compileSequence(state, '|)'));
+        const char = pattern[state.index++];
+        if (char !== '|') break;
+    }
+    state.depth--;
+    state.segmentStart = false;
+
+    const group = `(?:${alternatives.join('|')})`;
+    const guard = atSegmentStart ? dotGuard(state, false) : '';
+
+    switch (type) {
+        case '@':
+            return group;
+        case '?':
+            return `${group}?`;
+        case '+':
+            return `${group}+`;
+        case '*':
+            return `${guard}${group}*`;
+        default: {
+            // `!(x)` must not match where `x` followed by the rest of the pattern would
+            let rest = '(?:/|$)';
+            if (state.depth === 0) {
+                const restState: CompileState = { ...state };
+                rest = `${compileSequence(restState, '')}$`;
+            }
+            return `(?:(?!${group}${rest})${guard}[^/]*?)`;
+        }
+    }
+}
+
+/**
+ * Compiles a `[...]` character class, including `[!...]`, `[^...]` and POSIX classes.
+ * Returns `null` if the class is not closed.
+ */
+function compileClass(state: CompileState, atSegmentStart: boolean): string | null {
+    const { pattern } = state;
+    let i = state.index + 1;
+    let negated = false;
+    if (pattern[i] === '!' || pattern[i] === '^') {
+        negated = true;
+        i++;
+    }
+
+    let body = '';
+    let first = true;
+    for (; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === ']' && !first) break;
+        first = false;
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            body += escapeClassChar(pattern[++i]);
+        } else if (char === '[' && pattern[i + 1] === ':') {
+            const close = pattern.indexOf(':]', i + 2);
+            const name = close === -1 ? '' : pattern.substring(i + 2, close);
+            if (POSIX_CLASSES[name]) {
+                body += POSIX_CLASSES[name];
+                i = close + 1;
+            } else {
+                body += escapeClassChar(char);
+            }
+        } else {
+            body += char === '-' ? '-' : escapeClassChar(char);
+        }
+    }
+    if (i >= pattern.length) return null;
+
+    state.index = i + 1;
+    if (negated) {
+        return `${atSegmentStart ? dotGuard(state, true) : ''}[^/${body}]`;
+    }
+    return `(?!/)[${body}]`;
+}
+
+/**
+ * Expands `1..3`, `01..10` and `a..e` range bodies.
+ */
+function expandRange(body: string): string[] | null {
+    const numeric = /^(-?\d+)\.\.(-?\d+)$/.exec(body);
+    if (numeric) {
+        const [, startText, endText] = numeric;
+        const start = Number(startText);
+        const end = Number(endText);
+        const width = /^-?0\d/.test(startText) || /^-?0\d/.test(endText)
+            ? Math.max(startText.length, endText.length)
+            : 0;
+        const step = start <= end ? 1 : -1;
+        const values: string[] = [];
+        for (let n = start; step > 0 ? n <= end : n >= end; n += step) {
+            const text = String(Math.abs(n)).padStart(width - (n < 0 ? 1 : 0), '0');
+            values.push(n < 0 ? `-${text}` : text);
+        }
+        return values;
+    }
+
+    const alpha = /^([a-zA-Z])\.\.([a-zA-Z])$/.exec(body);
+    if (alpha) {
+        const start = alpha[1].charCodeAt(0);
+        const end = alpha[2].charCodeAt(0);
+        const step = start <= end ? 1 : -1;
+        const values: string[] = [];
+        for (let c = start; step > 0 ? c <= end : c >= end; c += step) {
+            values.push(String.fromCharCode(c));
+        }
+        return values;
+    }
+
+    return null;
+}
+
+/**
+ * Finds the index of the bracket closing the one at `start`, honouring escapes and nesting.
+ */
+function findClosing(pattern: string, start: number, open: string, close: string): number {
+    let depth = 0;
+    for (let i = start; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === open) {
+            depth++;
+        } else if (char === close) {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Checks whether a brace body has a comma outside nested braces.
+ */
+function hasTopLevelComma(body: string): boolean {
+    let depth = 0;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Prevents wildcards from matching a leading dot unless `dot` is enabled.
+ * `nonEmpty` also rejects the `.` and `..` segments when dots are allowed.
+ */
+function dotGuard(state: CompileState, nonEmpty: boolean): string {
+    if (!state.dot) return '(?!\\.)';
+    return nonEmpty ? '(?!\\.{1,2}(?:/|$))' : '';
+}
+
+function escapeRegex(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function escapeClassChar(value: string): string {
+    return value.replace(/[\\\]\[^]/g, '\\$&');
+}
+
+/**
+ * Converts platform separators to `/` and removes a leading `./`.
+ */
+function normalizePath(filePath: string): string {
+    const unixPath = path.sep === '\\' ? filePath.replace(/\\/g, '/') : filePath;
+    return unixPath.startsWith('./') ? unixPath.substring(2) : unixPath;
+}
+
+/**
+ * On Windows a backslash in a pattern is a separator rather than an escape.
+ */
+function normalizePattern(pattern: string): string {
+    const unixPattern = path.sep === '\\' ? pattern.replace(/\\/g, '/') : pattern;
+    return unixPattern.startsWith('./') ? unixPattern.substring(2) : unixPattern;
+}
@@ -0,0 +1,387 @@
+import fs, { readFile, stat } from './fs-adapter.js';
+import path from 'node:path';
+
+export type IgnoreRule = {
+    pattern: string;
+    negate: boolean;
+    dirOnly: boolean;
+    anchored: boolean;
+    regex: RegExp;
+};
+
+/**
+ * Rules read from one ignore file.
+ * `base` is the directory of the file relative to the walk root (for files inside it),
+ * `prefix` is the walk root relative to the directory of the file (for files above it).
+ */
+export type IgnoreRuleGroup = {
+    base: string;
+    prefix: string;
+    rules: IgnoreRule[];
+};
+
+/**
+ * Parses the content of a `.gitignore`-style file into rules.
+ * Follows git's rules for comments, escapes, negation, directory-only and anchored patterns.
+ * @param content The content of the ignore file.
+ * @returns The parsed rules, in file order.
+ */
+export function parseIgnoreFile(content: string): IgnoreRule[] {
+    const rules: IgnoreRule[] = [];
+
+    for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+        let line = trimTrailingSpaces(rawLine);
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.substring(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/') && !line.endsWith('\\/')) {
+            dirOnly = true;
+            line = line.replace(/\/+$/, '');
+        }
+        if (!line) continue;
+
+        // A slash at the beginning or in the middle anchors the pattern to the file's directory
+        const anchored = line.includes('/');
+        const body = line.startsWith('/') ? line.substring(1) : line;
+
+        rules.push({
+            pattern: rawLine.trim(),
+            negate,
+            dirOnly,
+            anchored,
+            regex: ignorePatternToRegex(body),
+        });
+    }
+
+    return rules;
+}
+
+/**
+ * Matches a path against rule groups.
+ * The last matching rule wins, and groups are expected from lowest to highest precedence.
+ * @param groups The rule groups that apply to the path.
+ * @param relPath The path relative to the walk root, using `/` separators.
+ * @param isDir Whether the path is a directory.
+ * @returns `true` if ignored, `false` if re-included, `null` if no rule matched.
+ */
+export function matchIgnoreRules(
+    groups: IgnoreRuleGroup[],
+    relPath: string,
+    isDir: boolean
+): boolean | null {
+    for (let g = groups.length - 1; g >= 0; g--) {
+        const group = groups[g];
+        let localPath: string;
+        if (group.base) {
+            if (!relPath.startsWith(group.base + '/')) continue;
+            localPath = relPath.substring(group.base.length + 1);
+        } else {
+            localPath = group.prefix ? `${group.prefix}/${relPath}` : relPath;
+        }
+        const baseName = localPath.substring(localPath.lastIndexOf('/') + 1);
+
+        for (let r = group.rules.length - 1; r >= 0; r--) {
+            const rule = group.rules[r];
+            if (rule.dirOnly && !isDir) continue;
+            if (rule.regex.test(rule.anchored ? localPath : baseName)) {
+                return !rule.negate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Loads the rules of the named ignore files found directly in a directory.
+ * @param dirPath The absolute directory path.
+ * @param base The directory relative to the walk root.
+ * @param fileNames The ignore file names to read, in order of increasing precedence.
+ * @returns A rule group, or `null` if none of the files exist or have rules.
+ */
+export async function loadIgnoreGroup(
+    dirPath: string,
+    base: string,
+    fileNames: string[]
+): Promise<IgnoreRuleGroup | null> {
+    const rules: IgnoreRule[] = [];
+    for (const fileName of fileNames) {
+        rules.push(...await readIgnoreFile(path.join(dirPath, fileName)));
+    }
+    return rules.length > 0 ? { base, prefix: '', rules } : null;
+}
+
+/**
+ * Synchronous version of `loadIgnoreGroup()`.
+ */
+export function loadIgnoreGroupSync(
+    dirPath: string,
+    base: string,
+    fileNames: string[]
+): IgnoreRuleGroup | null {
+    const rules: IgnoreRule[] = [];
+    for (const fileName of fileNames) {
+        rules.push(...readIgnoreFileSync(path.join(dirPath, fileName)));
+    }
+    return rules.length > 0 ? { base, prefix: '', rules } : null;
+}
+
+/**
+ * Loads the rules that apply to a walk root from above it:
+ * `.git/info/exclude` and the ignore files of every directory between the repository root and the walk root.
+ * @param baseDir The absolute walk root.
+ * @param fileNames The ignore file names to read in each directory.
+ * @returns Rule groups from lowest to highest precedence, including the walk root's own files.
+ */
+export async function loadRootIgnoreGroups(
+    baseDir: string,
+    fileNames: string[]
+): Promise<IgnoreRuleGroup[]> {
+    const groups: IgnoreRuleGroup[] = [];
+    const repo = await findGitRepository(baseDir);
+    const rootDir = repo?.root ?? baseDir;
+
+    if (repo) {
+        const rules = await readIgnoreFile(path.join(repo.gitDir, 'info', 'exclude'));
+        if (rules.length > 0) {
+            groups.push({ base: '', prefix: toUnixPath(path.relative(rootDir, baseDir)), rules });
+        }
+    }
+
+    for (const dir of getAncestorChain(baseDir, rootDir)) {
+        const group = await loadIgnoreGroup(dir, '', fileNames);
+        if (group) {
+            group.prefix = toUnixPath(path.relative(dir, baseDir));
+            groups.push(group);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Synchronous version of `loadRootIgnoreGroups()`.
+ */
+export function loadRootIgnoreGroupsSync(
+    baseDir: string,
+    fileNames: string[]
+): IgnoreRuleGroup[] {
+    const groups: IgnoreRuleGroup[] = [];
+    const repo = findGitRepositorySync(baseDir);
+    const rootDir = repo?.root ?? baseDir;
+
+    if (repo) {
+        const rules = readIgnoreFileSync(path.join(repo.gitDir, 'info', 'exclude'));
+        if (rules.length > 0) {
+            groups.push({ base: '', prefix: toUnixPath(path.relative(rootDir, baseDir)), rules });
+        }
+    }
+
+    for (const dir of getAncestorChain(baseDir, rootDir)) {
+        const group = loadIgnoreGroupSync(dir, '', fileNames);
+        if (group) {
+            group.prefix = toUnixPath(path.relative(dir, baseDir));
+            groups.push(group);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Lists the directories from the repository root down to the walk root,
+ * so deeper ignore files take precedence.
+ */
+function getAncestorChain(baseDir: string, rootDir: string): string[] {
+    const chain: string[] = [];
+    for (let dir = baseDir; ; dir = path.dirname(dir)) {
+        chain.unshift(dir);
+        if (dir === rootDir || path.dirname(dir) === dir) break;
+    }
+    return chain;
+}
+
+/**
+ * Finds the enclosing git working tree and its git directory.
+ */
+async function findGitRepository(startDir: string): Promise<{ root: string; gitDir: string } | null> {
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+        const dotGit = path.join(dir, '.git');
+        try {
+            const stats = await stat(dotGit);
+            if (stats.isDirectory()) {
+                return { root: dir, gitDir: dotGit };
+            }
+            if (stats.isFile()) {
+                // Worktrees and submodules point to their git directory with a `gitdir:` line
+                const content = await readFile(dotGit, 'utf-8');
+                const match = /^gitdir:\s*(.+)$/m.exec(content);
+                if (match) {
+                    let gitDir = path.resolve(dir, match[1].trim());
+                    try {
+                        const commonDir = (await readFile(path.join(gitDir, 'commondir'), 'utf-8')).trim();
+                        gitDir = path.resolve(gitDir, commonDir);
+                    } catch { }
+                    return { root: dir, gitDir };
+                }
+            }
+        } catch (err: any) {
+            if (!isMissingOrDenied(err)) throw err;
+        }
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+function findGitRepositorySync(startDir: string): { root: string; gitDir: string } | null {
+    for (let dir = startDir; ; dir = path.dirname(dir)) {
+        const dotGit = path.join(dir, '.git');
+        try {
+            const stats = fs.statSync(dotGit);
+            if (stats.isDirectory()) {
+                return { root: dir, gitDir: dotGit };
+            }
+            if (stats.isFile()) {
+                const content = fs.readFileSync(dotGit, 'utf-8');
+                const match = /^gitdir:\s*(.+)$/m.exec(content);
+                if (match) {
+                    let gitDir = path.resolve(dir, match[1].trim());
+                    try {
+                        const commonDir = fs.readFileSync(path.join(gitDir, 'commondir'), 'utf-8').trim();
+                        gitDir = path.resolve(gitDir, commonDir);
+                    } catch { }
+                    return { root: dir, gitDir };
+                }
+            }
+        } catch (err: any) {
+            if (!isMissingOrDenied(err)) throw err;
+        }
+        if (path.dirname(dir) === dir) return null;
+    }
+}
+
+function isMissingOrDenied(err: any): boolean {
+    return err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'EACCES' || err.code === 'EPERM';
+}
+
+/**
+ * Reads and parses an ignore file, returning no rules if it is missing or unreadable.
+ */
+async function readIgnoreFile(filePath: string): Promise<IgnoreRule[]> {
+    try {
+        return parseIgnoreFile(await readFile(filePath, 'utf-8'));
+    } catch {
+        return [];
+    }
+}
+
+function readIgnoreFileSync(filePath: string): IgnoreRule[] {
+    try {
+        return parseIgnoreFile(fs.readFileSync(filePath, 'utf-8'));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Removes trailing spaces unless they are escaped with a backslash.
+ */
+function trimTrailingSpaces(line: string): string {
+    let end = line.length;
+    while (end > 0 && (line[end - 1] === ' ' || line[end - 1] === '\t')) {
+        if (end > 1 && line[end - 2] === '\\') break;
+        end--;
+    }
+    return line.substring(0, end);
+}
+
+/**
+ * Converts a git wildmatch pattern to a regular expression.
+ * `*`, `?` and bracket expressions never match `/`; `**` spans directories only as a whole segment.
+ */
+function ignorePatternToRegex(pattern: string): RegExp {
+    let source = '';
+    let i = 0;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                const atStart = i === 0 || pattern[i - 1] === '/';
+                const atEnd = i + 2 === pattern.length;
+                if (atStart && pattern[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 3;
+                    continue;
+                }
+                if (atStart && atEnd) {
+                    source += '.*';
+                    i += 2;
+                    continue;
+                }
+                // `**` that is not a whole segment behaves like `*`
+                while (pattern[i] === '*') i++;
+                source += '[^/]*';
+                continue;
+            }
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = findClassEnd(pattern, i);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                let body = pattern.substring(i + 1, end);
+                let negated = false;
+                if (body.startsWith('!') || body.startsWith('^')) {
+                    negated = true;
+                    body = body.substring(1);
+                }
+                body = body.replace(/\\(.)/g, '$1').replace(/[\\\]^]/g, '\\$&');
+                source += negated ? `[^/${body}]` : `(?!/)[${body}]`;
+                i = end + 1;
+                continue;
+            }
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegex(pattern[i + 1]);
+            i += 2;
+            continue;
+        } else {
+            source += escapeRegex(char);
+        }
+        i++;
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the closing `]` of a bracket expression, or -1 if it is not closed.
+ */
+function findClassEnd(pattern: string, start: number): number {
+    let i = start + 1;
+    if (pattern[i] === '!' || pattern[i] === '^') i++;
+    if (pattern[i] === ']') i++;
+    for (; i < pattern.length; i++) {
+        if (pattern[i] === '\\') {
+            i++;
+        } else if (pattern[i] === ']') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function escapeRegex(value: string): string {
+    return value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+function toUnixPath(value: string): string {
+    return value.split(path.sep).join('/');
+}
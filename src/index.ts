@@ -1,20 +1,11 @@
-import {
-    access,
-    constants,
-    cp,
-    lstat,
-    mkdir,
-    open,
-    readdir,
-    readFile,
-    rename,
-    rm,
-    symlink,
-    unlink,
-    writeFile,
-} from "node:fs/promises";
+import { access, constants, lstat, mkdir, open, readdir, readFile, rm, symlink, unlink } from "./fs-adapter.js";
 import { dirname, join } from "node:path";
 import { UpdateJsonFunc } from "./types.js";
+import { writeFileWithOptions, WriteOptions } from "./atomic.js";
+import { withOptionalLock } from "./lock.js";
+import { parseJsonText, ReadJsonOptions, updateJsonText, UpdateJsonOptions } from "./json.js";
+import { SafeOptions, toFsesmError } from "./errors.js";
+import { getLogger } from "./logger.js";
 
 
 /**
@@ -28,87 +19,87 @@ export async function ensureDir(dirPath: string): Promise<void> {
 /**
  * Ensures that a file exists.
  * If missing, it creates parent directories and an empty file.
+ * Throws an `FsesmPermissionError` if it cannot be created; with `safe: true`, logs it instead. Default: `safe: false`.
  */
-export async function ensureFile(filePath: string): Promise<void> {
+export async function ensureFile(filePath: string, options: SafeOptions = {}): Promise<void> {
     try {
         await ensureDir(dirname(filePath));
         const fileHandle = await open(filePath, "a");
         await fileHandle.close();
-    } catch {
-        // Ignore errors
+    } catch (err) {
+        if (!options.safe) throw toFsesmError(err, filePath);
+        getLogger().warn(`Could not create ${filePath}:`, err);
     }
 }
 
 /**
  * Reads and parses a JSON file.
- * Returns `null` if the file does not exist or has invalid JSON.
+ * Use `format: "jsonc"` for files with comments and trailing commas, such as `tsconfig.json`, or `"json5"`.
+ * Returns `null` if the file does not exist or has invalid JSON. With `safe: false`, throws
+ * an `FsesmNotFoundError`, `FsesmPermissionError` or `FsesmParseError` with the position instead. Default: `safe: true`.
  */
-export async function readJson<T = unknown>(filePath: string): Promise<T | null> {
+export async function readJson<T = unknown>(filePath: string, options: ReadJsonOptions & SafeOptions = {}): Promise<T | null> {
     try {
         const data = await readFile(filePath, "utf-8");
-        return JSON.parse(data) as T;
-    } catch {
+        return parseJsonText<T>(data, options.format, filePath);
+    } catch (err) {
+        if (options.safe === false) throw toFsesmError(err, filePath);
         return null;
     }
 }
 
 /**
  * Writes an object to a JSON file.
- * Creates parent directories if needed.
+ * Creates parent directories if needed. The file is replaced atomically unless `atomic: false` is given.
  */
-export async function writeJson(filePath: string, data: unknown): Promise<void> {
+export async function writeJson(filePath: string, data: unknown, options: WriteOptions = {}): Promise<void> {
     await ensureDir(dirname(filePath));
-    await writeFile(filePath, JSON.stringify(data, null, 2), "utf-8");
+    await writeFileWithOptions(filePath, JSON.stringify(data, null, 2), options);
 }
 
 /**
  * Updates a JSON file using an async updater function.
  * The updater receives the current data and should return the updated data.
+ * With `preserveFormat`, only the changed values are rewritten, keeping comments, indentation and key order.
+ * With `lock: true`, the read, the updater and the write run under `withLock()`.
+ * Returns `undefined` if the file is missing or invalid; with `safe: false`, throws the error from `readJson()` instead.
+ * Default: `safe: true`.
  */
-export async function updateJson<T = unknown>(filePath: string, updater: UpdateJsonFunc<T>): Promise<T> {
-    const data = await readJson<T>(filePath);
-    if (!data) return;
-    const updated = await updater(data);
-    await writeJson(filePath, updated);
-    return updated;
-}
-
-/**
- * Writes data to a file, ensuring parent directories exist.
- */
-export async function outputFile(filePath: string, data: string | Buffer): Promise<void> {
-    await ensureDir(dirname(filePath));
-    await writeFile(filePath, data);
-}
-
-/**
- * Moves a file or directory.
- * - If moving across devices (EXDEV), it will copy and delete.
- * - If `overwrite = true`, it removes the destination before renaming.
- */
-export async function move(src: string, dest: string, overwrite = false): Promise<void> {
-    try {
-        if (overwrite && (await pathExists(dest))) {
-            await remove(dest);
+export async function updateJson<T = unknown>(filePath: string, updater: UpdateJsonFunc<T>, options: UpdateJsonOptions = {}): Promise<T> {
+    const { format = "json", preserveFormat = format !== "json" } = options;
+    return withOptionalLock(filePath, options.lock, async () => {
+        if (!preserveFormat) {
+            const data = await readJson<T>(filePath, options);
+            if (!data) return;
+            const updated = await updater(data);
+            await writeJson(filePath, updated, options);
+            return updated;
         }
-        await rename(src, dest);
-    } catch (err: any) {
-        if (err.code === "EXDEV") {
-            await ensureDir(dirname(dest));
-            await cp(src, dest, { recursive: true });
-            await rm(src, { recursive: true, force: true });
+
+        let source: string;
+        let data: T;
+        try {
+            source = await readFile(filePath, "utf-8");
+            data = parseJsonText<T>(source, format, filePath);
+        } catch (err) {
+            if (options.safe === false) throw toFsesmError(err, filePath);
             return;
         }
-        throw err;
-    }
+        if (!data) return;
+        const updated = await updater(data);
+        const text = updateJsonText(source, updated, format);
+        if (text !== source) await writeFileWithOptions(filePath, text, options);
+        return updated;
+    });
 }
 
 /**
- * Copies a file or directory.
- * Uses Node.js `fs.cp()`, which supports recursive copying.
+ * Writes data to a file, ensuring parent directories exist.
+ * The file is replaced atomically unless `atomic: false` is given.
  */
-export async function copy(src: string, dest: string): Promise<void> {
-    await cp(src, dest, { recursive: true });
+export async function outputFile(filePath: string, data: string | Buffer, options: WriteOptions = {}): Promise<void> {
+    await ensureDir(dirname(filePath));
+    await writeFileWithOptions(filePath, data, options);
 }
 
 /**
@@ -255,7 +246,122 @@ export async function listFiles(dirPath: string): Promise<string[]> {
 }
 
 export * from "./types.js";
-export * from "./find.js";
-export * from "./env.js";
-export * from "./upwards.js";
-export * from "./package.js";
\ No newline at end of file
+export { FsesmError, FsesmNotFoundError, FsesmPermissionError, FsesmParseError, ParseErrorPosition, SafeOptions } from "./errors.js";
+export { FsesmLogger, setLogger } from "./logger.js";
+export { setFs, getFs, withFs, FsAdapter } from "./fs-adapter.js";
+export { createMemoryFs, MemoryFs, MemoryFsTree, MemoryFsOptions } from "./memory-fs.js";
+export { writeFileAtomic, WriteFileAtomicOptions, WriteOptions } from "./atomic.js";
+export { find, findIterate, findStream, FindEntry, GlobOptions } from "./find.js";
+export * from "./glob.js";
+export * from "./watch.js";
+export {
+    findEnvFile,
+    readEnvFile,
+    readEnvCascade,
+    parseEnv,
+    getEnvCascadeFiles,
+    writeEnvVar,
+    writeEnvRecord,
+    updateEnv,
+    getEmptyEnvKeys,
+    FindEnvFileOptions,
+    ParseEnvOptions,
+    ReadEnvCascadeOptions,
+    EnvCascadeResult,
+} from "./env.js";
+export * from "./env-parser.js";
+export * from "./env-document.js";
+export {
+    loadEnv,
+    getRequiredEnvKeys,
+    EnvValidationError,
+    EnvVarType,
+    EnvVarSchema,
+    EnvSchema,
+    EnvFromSchema,
+    EnvOverridePolicy,
+    LoadEnvOptions,
+    EnvValidationIssue,
+} from "./env-schema.js";
+export {
+    diffEnv,
+    syncEnvExample,
+    ensureEnvFromExample,
+    isSecretEnvKey,
+    EnvDiff,
+    SyncEnvExampleOptions,
+    SyncEnvExampleResult,
+    EnsureEnvFromExampleResult,
+} from "./env-example.js";
+export {
+    encryptEnvFile,
+    decryptEnvFile,
+    generateEnvKey,
+    isEncryptedEnvValue,
+    redactEnv,
+    EnvKeyOptions,
+    EncryptEnvOptions,
+    DecryptEnvOptions,
+    RedactEnvOptions,
+} from "./env-secrets.js";
+export * from "./lock.js";
+export { copy, move, ConflictPolicy, CopyOptions, CopyProgress, MoveOptions } from "./copy.js";
+export {
+    hashDir,
+    diffDirs,
+    syncDir,
+    HashDirOptions,
+    DiffDirsOptions,
+    SyncDirOptions,
+    DirManifest,
+    DirManifestEntry,
+    DirDiff,
+    SyncDirOperation,
+} from "./tree.js";
+export { JsonFormat, ReadJsonOptions, UpdateJsonOptions } from "./json.js";
+export {
+    findWorkspaceRoot,
+    listWorkspacePackages,
+    getWorkspaceGraph,
+    WorkspaceOptions,
+    WorkspaceGraphOptions,
+    WorkspacePackage,
+    WorkspaceGraph,
+    DependencyType,
+} from "./workspace.js";
+export {
+    findFileUpwards,
+    findUp,
+    findUpAll,
+    findProjectRoot,
+    FindFileUpwardsOptions,
+    FindUpOptions,
+    FindUpPredicate,
+    FindUpMatch,
+    FindProjectRootOptions,
+} from "./upwards.js";
+export {
+    findPackageJson,
+    readPackageJson,
+    updatePackageJson,
+    addDependency,
+    removeDependency,
+    setScript,
+    removeScript,
+    bumpVersion,
+    setField,
+    FindPackageJsonOptions,
+    EditPackageJsonOptions,
+    DependencyOptions,
+    BumpVersionOptions,
+} from "./package.js";
+export { incrementVersion, ReleaseType } from "./semver.js";
+export {
+    loadConfig,
+    getConfigSearchPlaces,
+    clearConfigCache,
+    ConfigFormat,
+    LoadConfigOptions,
+    LoadedConfig,
+} from "./config.js";
+export { getPackageInfo, resolvePackageEntry, PackageInfo, ModuleFormat } from "./resolve.js";
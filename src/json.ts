@@ -0,0 +1,516 @@
+import { UpdateOptions } from "./lock.js";
+import { createParseError, FsesmParseError, SafeOptions } from "./errors.js";
+
+export type JsonFormat = "json" | "jsonc" | "json5";
+
+export type ReadJsonOptions = {
+    format?: JsonFormat; // `jsonc` allows comments and trailing commas, `json5` the full JSON5 syntax. Default: "json"
+};
+
+export type UpdateJsonOptions = UpdateOptions & ReadJsonOptions & SafeOptions & {
+    preserveFormat?: boolean; // Apply the changes as text edits that keep comments and formatting. Default: true for jsonc and json5
+};
+
+/**
+ * A parsed value with its position in the source. Object children are properties.
+ */
+type JsonNode = {
+    type: "object" | "array" | "property" | "string" | "number" | "boolean" | "null";
+    start: number;
+    end: number;
+    value?: unknown; // Primitive value
+    key?: string; // Property key
+    children?: JsonNode[]; // Object properties, array items, or the value of a property
+    commaEnd?: number; // Offset after the comma following a property or item, if any
+};
+
+type JsonEdit = {
+    start: number;
+    end: number;
+    text: string;
+};
+
+type JsonStyle = {
+    indent: string;
+    eol: string;
+};
+
+/**
+ * Parses JSON, JSONC or JSON5 source.
+ * @param filePath The file the source was read from, for error messages.
+ * @throws FsesmParseError with the line and column of the first error.
+ */
+export function parseJsonText<T = unknown>(source: string, format: JsonFormat = "json", filePath?: string): T {
+    if (format !== "json") {
+        return toValue(new JsonParser(source, true, format === "json5", filePath).parseDocument()) as T;
+    }
+    try {
+        return JSON.parse(source) as T;
+    } catch (err) {
+        // `JSON.parse` doesn't always report a position; the strict parser finds the same error with one
+        new JsonParser(source, false, false, filePath).parseDocument();
+        throw new FsesmParseError(filePath ? `${(err as Error).message} (${filePath})` : (err as Error).message, { path: filePath }, err);
+    }
+}
+
+/**
+ * Rewrites JSON source so it holds `updated`, changing only the parts that differ.
+ * Comments, indentation, key order and line endings of untouched parts are kept;
+ * new properties and values follow the file's detected indentation, and new properties
+ * are placed before the existing property that follows them in `updated`.
+ */
+export function updateJsonText(source: string, updated: unknown, format: JsonFormat = "json"): string {
+    const root = new JsonParser(source, format !== "json", format === "json5").parseDocument();
+    const style = detectStyle(source);
+    const edits: JsonEdit[] = [];
+    diffNode(source, root, updated, style, edits);
+
+    // Apply from the end; at the same offset, replacements before insertions, later insertions first
+    const ordered = edits
+        .map((edit, index) => ({ edit, index }))
+        .sort((a, b) => b.edit.start - a.edit.start || b.edit.end - a.edit.end || b.index - a.index);
+    let result = source;
+    for (const { edit } of ordered) {
+        result = result.substring(0, edit.start) + edit.text + result.substring(edit.end);
+    }
+    return result;
+}
+
+class JsonParser {
+    private pos = 0;
+    private readonly source: string;
+    private readonly relaxed: boolean; // Comments and trailing commas
+    private readonly json5: boolean;
+    private readonly filePath?: string;
+
+    constructor(source: string, relaxed: boolean, json5: boolean, filePath?: string) {
+        this.source = source.charCodeAt(0) === 0xfeff ? " " + source.substring(1) : source;
+        this.relaxed = relaxed;
+        this.json5 = json5 && relaxed;
+        this.filePath = filePath;
+    }
+
+    parseDocument(): JsonNode {
+        const node = this.parseValue();
+        this.skipTrivia();
+        if (this.pos < this.source.length) this.fail("Unexpected content after the value");
+        return node;
+    }
+
+    private parseValue(): JsonNode {
+        this.skipTrivia();
+        const char = this.source[this.pos];
+        if (char === "{") return this.parseObject();
+        if (char === "[") return this.parseArray();
+        if (char === '"' || (char === "'" && this.json5)) {
+            const start = this.pos;
+            const value = this.parseString();
+            return { type: "string", start, end: this.pos, value };
+        }
+        for (const [word, value] of LITERALS) {
+            if (this.source.startsWith(word, this.pos) && !isIdentifierChar(this.source[this.pos + word.length])) {
+                const start = this.pos;
+                this.pos += word.length;
+                return { type: value === null ? "null" : "boolean", start, end: this.pos, value };
+            }
+        }
+        return this.parseNumber();
+    }
+
+    private parseObject(): JsonNode {
+        const node: JsonNode = { type: "object", start: this.pos, end: 0, children: [] };
+        this.pos++;
+        for (;;) {
+            this.skipTrivia();
+            if (this.source[this.pos] === "}") break;
+
+            const start = this.pos;
+            const key = this.parseKey();
+            this.skipTrivia();
+            if (this.source[this.pos] !== ":") this.fail(`Expected ":" after "${key}"`);
+            this.pos++;
+            const value = this.parseValue();
+            const property: JsonNode = { type: "property", key, start, end: value.end, children: [value] };
+            node.children.push(property);
+
+            if (!this.parseSeparator(property, "}")) break;
+        }
+        this.pos++;
+        node.end = this.pos;
+        return node;
+    }
+
+    private parseArray(): JsonNode {
+        const node: JsonNode = { type: "array", start: this.pos, end: 0, children: [] };
+        this.pos++;
+        for (;;) {
+            this.skipTrivia();
+            if (this.source[this.pos] === "]") break;
+            const item = this.parseValue();
+            node.children.push(item);
+            if (!this.parseSeparator(item, "]")) break;
+        }
+        this.pos++;
+        node.end = this.pos;
+        return node;
+    }
+
+    /**
+     * Reads the comma after a property or item.
+     * @returns `true` if another member may follow.
+     */
+    private parseSeparator(member: JsonNode, close: string): boolean {
+        this.skipTrivia();
+        const char = this.source[this.pos];
+        if (char === ",") {
+            this.pos++;
+            member.commaEnd = this.pos;
+            this.skipTrivia();
+            if (this.source[this.pos] === close) {
+                if (!this.relaxed) this.fail("Trailing comma");
+                return false;
+            }
+            return true;
+        }
+        if (char !== close) this.fail(`Expected "," or "${close}"`);
+        return false;
+    }
+
+    private parseKey(): string {
+        const char = this.source[this.pos];
+        if (char === '"' || (char === "'" && this.json5)) return this.parseString();
+        if (this.json5 && isIdentifierStart(char)) {
+            const start = this.pos;
+            while (isIdentifierChar(this.source[this.pos])) this.pos++;
+            return this.source.substring(start, this.pos);
+        }
+        return this.fail("Expected a property name");
+    }
+
+    private parseString(): string {
+        const quote = this.source[this.pos++];
+        let result = "";
+        for (;;) {
+            const char = this.source[this.pos++];
+            if (char === undefined || char === "\n" || char === "\r") {
+                this.pos--;
+                this.fail("Unterminated string");
+            }
+            if (char === quote) return result;
+            if (char !== "\\") {
+                result += char;
+                continue;
+            }
+
+            const next = this.source[this.pos++];
+            if (next in STRING_ESCAPES) {
+                result += STRING_ESCAPES[next];
+            } else if (next === "u") {
+                result += String.fromCharCode(this.readHex(4));
+            } else if (this.json5 && next === "x") {
+                result += String.fromCharCode(this.readHex(2));
+            } else if (this.json5 && (next === "\n" || next === "\r" || next === "\u2028" || next === "\u2029")) {
+                // Line continuation
+                if (next === "\r" && this.source[this.pos] === "\n") this.pos++;
+            } else if (this.json5 && next === "0" && !/\d/.test(this.source[this.pos] ?? "")) {
+                result += "\0";
+            } else if (this.json5 && next !== undefined && !/[1-9]/.test(next)) {
+                result += next;
+            } else {
+                this.pos--;
+                this.fail("Invalid escape sequence");
+            }
+        }
+    }
+
+    private readHex(length: number): number {
+        const hex = this.source.substr(this.pos, length);
+        if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) this.fail("Invalid escape sequence");
+        this.pos += length;
+        return parseInt(hex, 16);
+    }
+
+    private parseNumber(): JsonNode {
+        const pattern = this.json5 ? JSON5_NUMBER : JSON_NUMBER;
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.source);
+        if (!match || isIdentifierChar(this.source[this.pos + match[0].length])) {
+            this.fail(this.pos < this.source.length ? `Unexpected character "${this.source[this.pos]}"` : "Unexpected end of input");
+        }
+        const start = this.pos;
+        this.pos += match[0].length;
+        return { type: "number", start, end: this.pos, value: toNumber(match[0]) };
+    }
+
+    private skipTrivia(): void {
+        const { source } = this;
+        while (this.pos < source.length) {
+            const char = source[this.pos];
+            if (char === " " || char === "\t" || char === "\n" || char === "\r" || (this.json5 && /[\v\f\u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff]/.test(char))) {
+                this.pos++;
+            } else if (this.relaxed && source.startsWith("//", this.pos)) {
+                const end = source.indexOf("\n", this.pos);
+                this.pos = end === -1 ? source.length : end;
+            } else if (this.relaxed && source.startsWith("/*", this.pos)) {
+                const end = source.indexOf("*/", this.pos + 2);
+                if (end === -1) this.fail("Unterminated comment");
+                this.pos = end + 2;
+            } else {
+                return;
+            }
+        }
+    }
+
+    private fail(message: string): never {
+        throw createParseError(message, this.source, this.pos, this.filePath);
+    }
+}
+
+const LITERALS: [string, boolean | null][] = [["true", true], ["false", false], ["null", null]];
+
+const STRING_ESCAPES: Record<string, string> = {
+    '"': '"',
+    "'": "'",
+    "\\": "\\",
+    "/": "/",
+    b: "\b",
+    f: "\f",
+    n: "\n",
+    r: "\r",
+    t: "\t",
+    v: "\v",
+};
+
+const JSON_NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const JSON5_NUMBER = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)/y;
+
+function toNumber(text: string): number {
+    const sign = text[0] === "-" ? -1 : 1;
+    const unsigned = text.replace(/^[+-]/, "");
+    if (/^0[xX]/.test(unsigned)) return sign * parseInt(unsigned.substring(2), 16);
+    return sign * Number(unsigned);
+}
+
+function isIdentifierStart(char: string | undefined): boolean {
+    return char !== undefined && /[\p{L}\p{Nl}$_]/u.test(char);
+}
+
+function isIdentifierChar(char: string | undefined): boolean {
+    return char !== undefined && /[\p{L}\p{Nl}\p{Mn}\p{Mc}\p{Nd}\p{Pc}$_\u200c\u200d]/u.test(char);
+}
+
+function toValue(node: JsonNode): unknown {
+    if (node.type === "object") {
+        const result: Record<string, unknown> = {};
+        for (const property of node.children) {
+            result[property.key] = toValue(property.children[0]);
+        }
+        return result;
+    }
+    if (node.type === "array") return node.children.map(toValue);
+    return node.value;
+}
+
+/**
+ * Collects the edits that turn `node` into `value`.
+ */
+function diffNode(source: string, node: JsonNode, value: unknown, style: JsonStyle, edits: JsonEdit[]): void {
+    if (node.type === "object" && isPlainObject(value)) {
+        diffObject(source, node, value, style, edits);
+        return;
+    }
+    if (node.type === "array" && Array.isArray(value) && value.length >= node.children.length) {
+        node.children.forEach((item, i) => diffNode(source, item, value[i], style, edits));
+        const last = node.children[node.children.length - 1];
+        const added = value.slice(node.children.length).map((item): [null, unknown] => [null, item]);
+        appendMembers(source, node, last, last?.commaEnd !== undefined, added, style, edits);
+        return;
+    }
+    if (isEqual(node, value)) return;
+    edits.push({ start: node.start, end: node.end, text: formatValue(value, lineIndent(source, node.start), style) });
+}
+
+function diffObject(source: string, node: JsonNode, value: Record<string, unknown>, style: JsonStyle, edits: JsonEdit[]): void {
+    const properties = node.children;
+    const kept = properties.filter((property) => Object.prototype.hasOwnProperty.call(value, property.key) && value[property.key] !== undefined);
+
+    // New properties go before the kept property that follows them in `value`, or at the end
+    const inserted = new Map<JsonNode, [string, unknown][]>();
+    let added: [string, unknown][] = [];
+    for (const key of Object.keys(value)) {
+        if (value[key] === undefined) continue;
+        const next = kept.find((property) => property.key === key);
+        if (!next) {
+            added.push([key, value[key]]);
+        } else if (added.length > 0) {
+            inserted.set(next, added);
+            added = [];
+        }
+    }
+
+    if (kept.length === 0) {
+        // Nothing to keep: rebuild the object
+        if (properties.length > 0 || added.length > 0) {
+            edits.push({ start: node.start, end: node.end, text: formatValue(value, lineIndent(source, node.start), style) });
+        }
+        return;
+    }
+
+    for (const property of properties) {
+        if (!kept.includes(property)) {
+            edits.push(removeMember(source, property));
+        } else if (property === findLast(kept, property.key)) {
+            diffNode(source, property.children[0], value[property.key], style, edits);
+        }
+    }
+    for (const [next, members] of inserted) {
+        edits.push(insertMembers(source, node, next, members, style));
+    }
+
+    const last = kept[kept.length - 1];
+    const trailingComma = properties[properties.length - 1].commaEnd !== undefined;
+    if (last !== properties[properties.length - 1] && !trailingComma && added.length === 0) {
+        // The members after `last` are gone, and so is the need for its comma
+        edits.push({ start: last.end, end: last.commaEnd, text: "" });
+        return;
+    }
+    appendMembers(source, node, last, trailingComma, added, style, edits);
+}
+
+/**
+ * Removes a property together with its comma, and its line if it is alone on it.
+ */
+function removeMember(source: string, member: JsonNode): JsonEdit {
+    const lineStart = source.lastIndexOf("\n", member.start - 1) + 1;
+    const end = skipLineComment(source, member.commaEnd ?? member.end);
+    const rest = /^[ \t]*(\r?\n|$)/.exec(source.substring(end));
+    if (source.substring(lineStart, member.start).trim() === "" && rest) {
+        return { start: lineStart, end: end + rest[0].length, text: "" };
+    }
+
+    // Shares its line with other members: take the spaces around it as well
+    let start = member.start;
+    if (member.commaEnd === undefined) {
+        while (start > 0 && /[ \t]/.test(source[start - 1])) start--;
+        return { start, end: member.end, text: "" };
+    }
+    return { start, end: member.commaEnd + /^[ \t]*/.exec(source.substring(member.commaEnd))[0].length, text: "" };
+}
+
+/**
+ * Adds properties (with a key) or items (with a `null` key) after the last member of a container.
+ * @param trailingComma Whether the container's last member is followed by a comma.
+ */
+function appendMembers(
+    source: string,
+    node: JsonNode,
+    last: JsonNode | undefined,
+    trailingComma: boolean,
+    members: [string | null, unknown][],
+    style: JsonStyle,
+    edits: JsonEdit[]
+): void {
+    if (members.length === 0) return;
+    if (!last) {
+        const empty = node.type === "object"
+            ? Object.fromEntries(members)
+            : members.map(([, item]) => item);
+        edits.push({ start: node.start, end: node.end, text: formatValue(empty, lineIndent(source, node.start), style) });
+        return;
+    }
+
+    const multiline = /[\r\n]/.test(source.substring(node.start, node.end));
+    const indent = multiline ? lineIndent(source, last.start) : null;
+    const separator = multiline ? style.eol + indent : " ";
+    const text = members
+        .map(([key, item]) => {
+            const formatted = formatValue(item, indent, style);
+            return separator + (key === null ? formatted : `${JSON.stringify(key)}: ${formatted}`);
+        })
+        .join(",") + (trailingComma ? "," : "");
+
+    if (last.commaEnd !== undefined) {
+        const at = multiline ? skipLineComment(source, last.commaEnd) : last.commaEnd;
+        edits.push({ start: at, end: at, text });
+        return;
+    }
+    // Insert the comma right after the value, and the members after a comment trailing it
+    const at = multiline ? skipLineComment(source, last.end) : last.end;
+    edits.push({ start: last.end, end: last.end, text: "," });
+    edits.push({ start: at, end: at, text });
+}
+
+/**
+ * Inserts properties before a member of an object, on their own lines if the member is on its own line.
+ */
+function insertMembers(source: string, node: JsonNode, next: JsonNode, members: [string, unknown][], style: JsonStyle): JsonEdit {
+    const lineStart = source.lastIndexOf("\n", next.start - 1) + 1;
+    const multiline = /[\r\n]/.test(source.substring(node.start, node.end));
+    const ownLine = multiline && source.substring(lineStart, next.start).trim() === "";
+    const indent = multiline ? lineIndent(source, next.start) : null;
+    const text = members
+        .map(([key, item]) => `${JSON.stringify(key)}: ${formatValue(item, indent, style)},`)
+        .map((member) => ownLine ? indent + member + style.eol : member + " ")
+        .join("");
+    const at = ownLine ? lineStart : next.start;
+    return { start: at, end: at, text };
+}
+
+/**
+ * Formats a new value, indented to continue at `indent`, or on one line if `indent` is `null`
+ * because the container it goes into is written on one line.
+ */
+function formatValue(value: unknown, indent: string | null, style: JsonStyle): string {
+    if (indent === null) return JSON.stringify(value === undefined ? null : value);
+    const text = JSON.stringify(value === undefined ? null : value, null, style.indent);
+    return text.replace(/\n/g, style.eol + indent);
+}
+
+/**
+ * Skips whitespace and a `//` comment up to the end of the line, if the line only has those left.
+ */
+function skipLineComment(source: string, pos: number): number {
+    const match = /^[ \t]*\/\/[^\r\n]*/.exec(source.substring(pos));
+    return match ? pos + match[0].length : pos;
+}
+
+function lineIndent(source: string, pos: number): string {
+    const lineStart = source.lastIndexOf("\n", pos - 1) + 1;
+    return /^[ \t]*/.exec(source.substring(lineStart))[0];
+}
+
+function detectStyle(source: string): JsonStyle {
+    const indentMatch = /^([ \t]+)\S/m.exec(source);
+    return {
+        indent: indentMatch ? (indentMatch[1][0] === "\t" ? "\t" : indentMatch[1]) : "  ",
+        eol: source.includes("\r\n") ? "\r\n" : "\n",
+    };
+}
+
+function isEqual(node: JsonNode, value: unknown): boolean {
+    if (node.type === "object") {
+        if (!isPlainObject(value)) return false;
+        const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+        const values = toValue(node) as Record<string, unknown>;
+        return keys.length === Object.keys(values).length
+            && node.children.every((property) => property !== findLast(node.children, property.key)
+                || isEqual(property.children[0], value[property.key]));
+    }
+    if (node.type === "array") {
+        return Array.isArray(value)
+            && value.length === node.children.length
+            && node.children.every((item, i) => isEqual(item, value[i]));
+    }
+    return Object.is(node.value, value) || (node.value === 0 && value === 0);
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function findLast(properties: JsonNode[], key: string): JsonNode | undefined {
+    for (let i = properties.length - 1; i >= 0; i--) {
+        if (properties[i].key === key) return properties[i];
+    }
+    return undefined;
+}
@@ -0,0 +1,185 @@
+import { mkdir, readFile, rename, rm, stat, utimes, writeFile } from "./fs-adapter.js";
+import { hostname } from "node:os";
+import path from "node:path";
+import { randomBytes } from "node:crypto";
+import { WriteOptions } from "./atomic.js";
+import { FsesmError } from "./errors.js";
+
+export type LockOptions = {
+    lockPath?: string; // Path of the lock directory. Default: `<file>.lock`
+    timeout?: number; // Give up after this many milliseconds. Default: 10000
+    stale?: number; // Treat a lock not refreshed for this many milliseconds as abandoned. Default: 10000
+    retryDelay?: number; // First delay between attempts, doubled up to `maxRetryDelay`. Default: 25
+    maxRetryDelay?: number; // Default: 500
+};
+
+export type UpdateOptions = WriteOptions & {
+    lock?: boolean | LockOptions; // Run the whole read-modify-write under `withLock()`. Default: false
+};
+
+type LockOwner = {
+    pid: number;
+    hostname: string;
+    token: string; // Unique per acquisition, to tell a lock from the one that replaced it
+};
+
+type LockState = {
+    mtimeMs: number;
+    owner: LockOwner | null; // `null` until the owner has written `owner.json`
+};
+
+/**
+ * Thrown by `withLock()` when the lock could not be acquired in time.
+ */
+export class LockTimeoutError extends FsesmError {
+    readonly lockPath: string;
+
+    constructor(lockPath: string, timeout: number) {
+        super(`Timed out after ${timeout}ms waiting for the lock ${lockPath}`, "ELOCKED", lockPath);
+        this.name = "LockTimeoutError";
+        this.lockPath = lockPath;
+    }
+}
+
+/**
+ * Runs a function while holding a cross-process lock on a file.
+ * The lock is a `<file>.lock` directory, created atomically with `mkdir`, that records the owner's PID.
+ * A lock whose owner process is gone, or that was not refreshed within `stale`, is taken over.
+ * The lock is refreshed while the function runs and released when it settles.
+ * @param filePath The file to lock. It does not need to exist.
+ * @param fn The function to run under the lock.
+ * @param options LockOptions to configure the timeout, staleness and retries.
+ * @returns The result of `fn`.
+ */
+export async function withLock<T>(filePath: string, fn: () => Promise<T> | T, options: LockOptions = {}): Promise<T> {
+    const { timeout = 10000, stale = 10000, retryDelay = 25, maxRetryDelay = 500 } = options;
+    const lockPath = path.resolve(options.lockPath ?? `${filePath}.lock`);
+
+    const deadline = Date.now() + timeout;
+    let delay = retryDelay;
+    let owner = await tryAcquire(lockPath, stale);
+    while (!owner) {
+        if (Date.now() >= deadline) {
+            throw new LockTimeoutError(lockPath, timeout);
+        }
+        await sleep(Math.min(delay, Math.max(deadline - Date.now(), 0)));
+        delay = Math.min(delay * 2, maxRetryDelay);
+        owner = await tryAcquire(lockPath, stale);
+    }
+
+    // Keep the lock fresh so long-running updates are not mistaken for abandoned ones
+    const refresh = setInterval(() => {
+        const now = new Date();
+        utimes(lockPath, now, now).catch(() => { });
+    }, Math.max(stale / 2, 100));
+    refresh.unref();
+
+    try {
+        return await fn();
+    } finally {
+        clearInterval(refresh);
+        await releaseLock(lockPath, owner);
+    }
+}
+
+/**
+ * Runs `fn` under `withLock()` if `lock` is set, otherwise runs it directly.
+ */
+export async function withOptionalLock<T>(
+    filePath: string,
+    lock: boolean | LockOptions | undefined,
+    fn: () => Promise<T> | T
+): Promise<T> {
+    if (!lock) return fn();
+    return withLock(filePath, fn, lock === true ? {} : lock);
+}
+
+/**
+ * Tries once to create the lock, taking over a stale one.
+ * @returns The owner record written to the lock, or `null` if another process holds it.
+ */
+async function tryAcquire(lockPath: string, stale: number): Promise<LockOwner | null> {
+    try {
+        await mkdir(lockPath);
+    } catch (err: any) {
+        if (err.code !== "EEXIST") throw err;
+        const state = await readLockState(lockPath);
+        if (!state || !isStale(state, stale)) return null;
+
+        // Rename before removing, so only one of several waiters takes over the stale lock
+        const abandoned = `${lockPath}.${randomBytes(6).toString("hex")}.stale`;
+        try {
+            await rename(lockPath, abandoned);
+        } catch (renameErr: any) {
+            if (renameErr.code === "ENOENT") return null;
+            throw renameErr;
+        }
+
+        // Another waiter may have taken over between the check and the rename, and what was renamed is its live lock.
+        // Put it back; if a third waiter holds the lock path by now, leave it where it is rather than remove a lock we don't own
+        if (!isSameLock(await readLockState(abandoned), state)) {
+            await rename(abandoned, lockPath).catch(() => { });
+            return null;
+        }
+        await rm(abandoned, { recursive: true, force: true });
+        return tryAcquire(lockPath, stale);
+    }
+
+    const owner: LockOwner = { pid: process.pid, hostname: hostname(), token: randomBytes(12).toString("hex") };
+    await writeFile(path.join(lockPath, "owner.json"), JSON.stringify(owner), "utf-8");
+    return owner;
+}
+
+/**
+ * Removes the lock if it is still ours.
+ * A holder whose lock was taken over as stale must not remove the lock of its successor.
+ */
+async function releaseLock(lockPath: string, owner: LockOwner): Promise<void> {
+    const state = await readLockState(lockPath);
+    if (state?.owner?.token !== owner.token) return;
+    await rm(lockPath, { recursive: true, force: true });
+}
+
+/**
+ * Reads the modification time and owner of a lock.
+ * @returns The state, or `null` if the lock was released in the meantime.
+ */
+async function readLockState(lockPath: string): Promise<LockState | null> {
+    let mtimeMs: number;
+    try {
+        mtimeMs = (await stat(lockPath)).mtimeMs;
+    } catch (err: any) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+    try {
+        return { mtimeMs, owner: JSON.parse(await readFile(path.join(lockPath, "owner.json"), "utf-8")) };
+    } catch {
+        // The owner may not have written its PID yet
+        return { mtimeMs, owner: null };
+    }
+}
+
+function isStale(state: LockState, stale: number): boolean {
+    if (Date.now() - state.mtimeMs > stale) return true;
+
+    // A lock from a process on this machine that no longer runs is stale right away
+    return state.owner !== null && state.owner.hostname === hostname() && !isProcessAlive(state.owner.pid);
+}
+
+function isSameLock(state: LockState | null, expected: LockState): boolean {
+    return state !== null && state.mtimeMs === expected.mtimeMs && state.owner?.token === expected.owner?.token;
+}
+
+function isProcessAlive(pid: number): boolean {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err: any) {
+        return err.code === "EPERM";
+    }
+}
+
+function sleep(ms: number): Promise<void> {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
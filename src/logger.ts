@@ -0,0 +1,29 @@
+export type FsesmLogger = {
+    info(message: string, ...args: unknown[]): void;
+    warn(message: string, ...args: unknown[]): void;
+    error(message: string, ...args: unknown[]): void;
+};
+
+const silentLogger: FsesmLogger = {
+    info() { },
+    warn() { },
+    error() { },
+};
+
+let currentLogger: FsesmLogger = console;
+
+/**
+ * Sets the logger used for messages that are not errors of the call itself,
+ * such as unreadable directories skipped by `find()` or failures swallowed by `safe: true`.
+ * Pass `null` to silence fsesm. Default: `console`.
+ */
+export function setLogger(logger: FsesmLogger | null): void {
+    currentLogger = logger ?? silentLogger;
+}
+
+/**
+ * Returns the logger set with `setLogger()`.
+ */
+export function getLogger(): FsesmLogger {
+    return currentLogger;
+}
@@ -0,0 +1,662 @@
+import { constants } from "node:fs";
+import { constants as osConstants } from "node:os";
+import path from "node:path";
+import { Readable } from "node:stream";
+import { fileURLToPath } from "node:url";
+import { FsAdapter } from "./fs-adapter.js";
+
+/**
+ * The files of a memory file system: a string or buffer is a file and an object a directory.
+ * Keys can be nested objects or paths such as `src/index.ts`.
+ */
+export type MemoryFsTree = {
+    [path: string]: string | Uint8Array | MemoryFsTree;
+};
+
+export type MemoryFsOptions = {
+    cwd?: string; // Directory relative paths of the tree are created in. Default: `process.cwd()`
+};
+
+export type MemoryFs = FsAdapter & {
+    /**
+     * Lists the files under a directory with their content, and its empty directories as `{}`. Symlinks are left out.
+     * @param dir The directory to list. Default: the `cwd` of the memory file system
+     * @returns The content of each file by its path relative to `dir`, with `/` separators.
+     */
+    snapshot(dir?: string): Record<string, string | {}>;
+};
+
+type MemoryNode = {
+    type: "file" | "directory" | "symlink";
+    content: Buffer; // Files
+    children: Map<string, MemoryNode>; // Directories
+    target: string; // Symlinks
+    ino: number;
+    mode: number;
+    uid: number;
+    gid: number;
+    atimeMs: number;
+    mtimeMs: number;
+    ctimeMs: number;
+    birthtimeMs: number;
+};
+
+type Lookup = {
+    path: string; // The resolved path
+    parent: MemoryNode | null; // `null` for a root
+    name: string;
+    node: MemoryNode | null; // `null` if the path does not exist
+};
+
+type OpenFile = {
+    node: MemoryNode;
+    append: boolean;
+    writable: boolean;
+    position: number;
+};
+
+type PathArg = string | Buffer | URL;
+
+const TYPE_BITS = { file: constants.S_IFREG, directory: constants.S_IFDIR, symlink: constants.S_IFLNK };
+const MAX_SYMLINKS = 40;
+
+const ERROR_MESSAGES: Record<string, string> = {
+    EBADF: "bad file descriptor",
+    EEXIST: "file already exists",
+    EINVAL: "invalid argument",
+    EISDIR: "illegal operation on a directory",
+    ELOOP: "too many symbolic links encountered",
+    ENOENT: "no such file or directory",
+    ENOTDIR: "not a directory",
+    ENOTEMPTY: "directory not empty",
+};
+
+/**
+ * Creates an in-memory file system to pass to `setFs()` or `withFs()`, e.g. in tests.
+ * It behaves like `node:fs` for what fsesm uses, with files, directories, symlinks, modes, times and the same error codes.
+ * Relative paths given to fsesm are resolved from `process.cwd()`, as with the real file system.
+ * @param tree The initial files; relative paths are created under `options.cwd`.
+ * @param options MemoryFsOptions with the directory relative paths of the tree are created in.
+ * @returns The file system, with a `snapshot()` method for assertions.
+ */
+export function createMemoryFs(tree: MemoryFsTree = {}, options: MemoryFsOptions = {}): MemoryFs {
+    const memory = new MemoryFileSystem();
+    const cwd = path.resolve(options.cwd ?? process.cwd());
+    memory.mkdirSync(cwd, { recursive: true });
+    memory.addTree(cwd, tree);
+    return memory.toAdapter(cwd);
+}
+
+/**
+ * A `node:fs` compatible Stats object.
+ */
+class MemoryStats {
+    readonly dev = 1;
+    readonly rdev = 0;
+    readonly nlink = 1;
+    readonly blksize = 4096;
+    readonly ino: number;
+    readonly mode: number;
+    readonly uid: number;
+    readonly gid: number;
+    readonly size: number;
+    readonly blocks: number;
+    readonly atimeMs: number;
+    readonly mtimeMs: number;
+    readonly ctimeMs: number;
+    readonly birthtimeMs: number;
+
+    constructor(private readonly node: MemoryNode) {
+        this.ino = node.ino;
+        this.mode = TYPE_BITS[node.type] | node.mode;
+        this.uid = node.uid;
+        this.gid = node.gid;
+        this.size = node.type === "file" ? node.content.length : node.type === "symlink" ? Buffer.byteLength(node.target) : 4096;
+        this.blocks = Math.ceil(this.size / 512);
+        this.atimeMs = node.atimeMs;
+        this.mtimeMs = node.mtimeMs;
+        this.ctimeMs = node.ctimeMs;
+        this.birthtimeMs = node.birthtimeMs;
+    }
+
+    get atime(): Date { return new Date(this.atimeMs); }
+    get mtime(): Date { return new Date(this.mtimeMs); }
+    get ctime(): Date { return new Date(this.ctimeMs); }
+    get birthtime(): Date { return new Date(this.birthtimeMs); }
+
+    isFile(): boolean { return this.node.type === "file"; }
+    isDirectory(): boolean { return this.node.type === "directory"; }
+    isSymbolicLink(): boolean { return this.node.type === "symlink"; }
+    isBlockDevice(): boolean { return false; }
+    isCharacterDevice(): boolean { return false; }
+    isFIFO(): boolean { return false; }
+    isSocket(): boolean { return false; }
+}
+
+/**
+ * A `node:fs` compatible Dirent object.
+ */
+class MemoryDirent {
+    constructor(readonly name: string, readonly parentPath: string, private readonly type: MemoryNode["type"]) { }
+
+    get path(): string { return this.parentPath; }
+
+    isFile(): boolean { return this.type === "file"; }
+    isDirectory(): boolean { return this.type === "directory"; }
+    isSymbolicLink(): boolean { return this.type === "symlink"; }
+    isBlockDevice(): boolean { return false; }
+    isCharacterDevice(): boolean { return false; }
+    isFIFO(): boolean { return false; }
+    isSocket(): boolean { return false; }
+}
+
+/**
+ * A `node:fs` compatible Dir, as returned by `opendir()`. The entries are listed when it is opened.
+ */
+class MemoryDir {
+    private closed = false;
+
+    constructor(readonly path: string, private readonly entries: MemoryDirent[]) { }
+
+    readSync(): MemoryDirent | null {
+        if (this.closed) throw new Error("Directory handle was closed");
+        return this.entries.shift() ?? null;
+    }
+
+    async read(): Promise<MemoryDirent | null> {
+        return this.readSync();
+    }
+
+    closeSync(): void {
+        this.closed = true;
+    }
+
+    async close(): Promise<void> {
+        this.closeSync();
+    }
+
+    async *[Symbol.asyncIterator](): AsyncGenerator<MemoryDirent> {
+        try {
+            for (let dirent = this.readSync(); dirent !== null; dirent = this.readSync()) yield dirent;
+        } finally {
+            this.closeSync();
+        }
+    }
+}
+
+/**
+ * A `node:fs/promises` compatible FileHandle for the operations fsesm uses.
+ */
+class MemoryFileHandle {
+    constructor(private readonly memory: MemoryFileSystem, readonly fd: number) { }
+
+    async writeFile(data: string | Uint8Array, options?: BufferEncoding | { encoding?: BufferEncoding | null }): Promise<void> {
+        this.memory.writeFileSync(this.fd, data, options);
+    }
+
+    async readFile(options?: BufferEncoding | { encoding?: BufferEncoding | null }): Promise<string | Buffer> {
+        return this.memory.readFileSync(this.fd, options);
+    }
+
+    async chmod(mode: number): Promise<void> {
+        this.memory.fchmodSync(this.fd, mode);
+    }
+
+    async stat(): Promise<MemoryStats> {
+        return this.memory.fstatSync(this.fd);
+    }
+
+    async sync(): Promise<void> {
+        this.memory.fsyncSync(this.fd);
+    }
+
+    async datasync(): Promise<void> {
+        this.memory.fsyncSync(this.fd);
+    }
+
+    async close(): Promise<void> {
+        this.memory.closeSync(this.fd);
+    }
+}
+
+class MemoryFileSystem {
+    private readonly roots = new Map<string, MemoryNode>();
+    private readonly files = new Map<number, OpenFile>();
+    private nextIno = 1;
+    private nextFd = 3;
+
+    addTree(dir: string, tree: MemoryFsTree): void {
+        for (const [name, value] of Object.entries(tree)) {
+            const fullPath = path.resolve(dir, name);
+            if (typeof value === "string" || value instanceof Uint8Array) {
+                this.mkdirSync(path.dirname(fullPath), { recursive: true });
+                this.writeFileSync(fullPath, value);
+            } else {
+                this.mkdirSync(fullPath, { recursive: true });
+                this.addTree(fullPath, value);
+            }
+        }
+    }
+
+    snapshot(dir: string): Record<string, string | {}> {
+        const result: Record<string, string | {}> = {};
+        const visit = (node: MemoryNode, relativePath: string) => {
+            if (node.type === "file") {
+                result[relativePath] = node.content.toString("utf-8");
+            } else if (node.type === "directory") {
+                if (node.children.size === 0 && relativePath !== "") result[relativePath] = {};
+                for (const [name, child] of [...node.children].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+                    visit(child, relativePath === "" ? name : `${relativePath}/${name}`);
+                }
+            }
+        };
+        visit(this.existing(dir, true, "scandir").node, "");
+        return result;
+    }
+
+    toAdapter(cwd: string): MemoryFs {
+        const sync = {
+            accessSync: (p: PathArg) => void this.existing(p, true, "access"),
+            chownSync: (p: PathArg, uid: number, gid: number) => this.chownSync(p, uid, gid),
+            closeSync: (fd: number) => this.closeSync(fd),
+            copyFileSync: (src: PathArg, dest: PathArg, mode?: number) => this.copyFileSync(src, dest, mode),
+            createReadStream: (p: PathArg) => this.createReadStream(p),
+            existsSync: (p: PathArg) => this.existsSync(p),
+            fchmodSync: (fd: number, mode: number) => this.fchmodSync(fd, mode),
+            fsyncSync: (fd: number) => this.fsyncSync(fd),
+            lstatSync: (p: PathArg, options?: { throwIfNoEntry?: boolean }) => this.statSync(p, false, options),
+            lutimesSync: (p: PathArg, atime: TimeArg, mtime: TimeArg) => this.utimesSync(p, atime, mtime, false),
+            mkdirSync: (p: PathArg, options?: MkdirArg) => this.mkdirSync(p, options),
+            openSync: (p: PathArg, flags?: string, mode?: number) => this.openSync(p, flags, mode),
+            opendirSync: (p: PathArg) => this.opendirSync(p),
+            readdirSync: (p: PathArg, options?: ReaddirArg) => this.readdirSync(p, options),
+            readFileSync: (p: PathArg | number, options?: EncodingArg) => this.readFileSync(p, options),
+            readlinkSync: (p: PathArg) => this.readlinkSync(p),
+            readSync: (fd: number, buffer: Uint8Array, offset?: number, length?: number, position?: number | null) =>
+                this.readSync(fd, buffer, offset, length, position),
+            realpathSync: (p: PathArg) => this.existing(p, true, "realpath").path,
+            renameSync: (from: PathArg, to: PathArg) => this.renameSync(from, to),
+            rmdirSync: (p: PathArg) => this.rmdirSync(p),
+            rmSync: (p: PathArg, options?: { recursive?: boolean; force?: boolean }) => this.rmSync(p, options),
+            statSync: (p: PathArg, options?: { throwIfNoEntry?: boolean }) => this.statSync(p, true, options),
+            symlinkSync: (target: PathArg, p: PathArg) => this.symlinkSync(target, p),
+            unlinkSync: (p: PathArg) => this.unlinkSync(p),
+            utimesSync: (p: PathArg, atime: TimeArg, mtime: TimeArg) => this.utimesSync(p, atime, mtime, true),
+            writeFileSync: (p: PathArg | number, data: string | Uint8Array, options?: WriteFileArg) => this.writeFileSync(p, data, options),
+        };
+        // Calls are synchronous underneath, but errors are still returned as rejections
+        const promisify = <A extends unknown[], R>(fn: (...args: A) => R) => async (...args: A): Promise<R> => fn(...args);
+        const promises = {
+            access: promisify(sync.accessSync),
+            chown: promisify(sync.chownSync),
+            copyFile: promisify(sync.copyFileSync),
+            lstat: promisify(sync.lstatSync),
+            lutimes: promisify(sync.lutimesSync),
+            mkdir: promisify(sync.mkdirSync),
+            open: promisify((p: PathArg, flags?: string, mode?: number) => new MemoryFileHandle(this, this.openSync(p, flags, mode))),
+            opendir: promisify(sync.opendirSync),
+            readdir: promisify(sync.readdirSync),
+            readFile: promisify((p: PathArg, options?: EncodingArg) => this.readFileSync(p, options)),
+            readlink: promisify(sync.readlinkSync),
+            realpath: promisify(sync.realpathSync),
+            rename: promisify(sync.renameSync),
+            rm: promisify(sync.rmSync),
+            rmdir: promisify(sync.rmdirSync),
+            stat: promisify(sync.statSync),
+            symlink: promisify(sync.symlinkSync),
+            unlink: promisify(sync.unlinkSync),
+            utimes: promisify(sync.utimesSync),
+            writeFile: promisify((p: PathArg, data: string | Uint8Array, options?: WriteFileArg) => this.writeFileSync(p, data, options)),
+        };
+        return { ...sync, promises, snapshot: (dir?: string) => this.snapshot(path.resolve(dir ?? cwd)) } as unknown as MemoryFs;
+    }
+
+    existsSync(p: PathArg): boolean {
+        try {
+            return this.lookup(p, true, "access").node !== null;
+        } catch {
+            return false;
+        }
+    }
+
+    statSync(p: PathArg, follow: boolean, options: { throwIfNoEntry?: boolean } = {}): MemoryStats | undefined {
+        const syscall = follow ? "stat" : "lstat";
+        if (options.throwIfNoEntry === false && !this.existsSync(p)) return undefined;
+        return new MemoryStats(this.existing(p, follow, syscall).node);
+    }
+
+    fstatSync(fd: number): MemoryStats {
+        return new MemoryStats(this.openFile(fd, "fstat").node);
+    }
+
+    mkdirSync(p: PathArg, options?: MkdirArg): string | undefined {
+        const { recursive = false, mode = 0o777 } = typeof options === "number" ? { mode: options } : options ?? {};
+        const target = this.lookup(p, true, "mkdir", recursive);
+        if (target.node) {
+            if (recursive && target.node.type === "directory") return undefined;
+            throw fsError(recursive && target.node.type !== "directory" ? "ENOTDIR" : "EEXIST", "mkdir", target.path);
+        }
+        if (!recursive) {
+            this.addChild(target, this.createNode("directory", mode), "mkdir");
+            return undefined;
+        }
+
+        // Create the missing ancestors first; the result is the first directory created
+        let first: string | undefined;
+        const missing: string[] = [];
+        for (let dir = target.path; !this.existsSync(dir); dir = path.dirname(dir)) missing.unshift(dir);
+        for (const dir of missing) {
+            const lookup = this.lookup(dir, true, "mkdir");
+            if (lookup.node) throw fsError("EEXIST", "mkdir", dir);
+            this.addChild(lookup, this.createNode("directory", mode), "mkdir");
+            first ??= dir;
+        }
+        return first;
+    }
+
+    readdirSync(p: PathArg, options?: ReaddirArg): (string | MemoryDirent)[] {
+        const dir = this.directory(p, "scandir");
+        const withFileTypes = typeof options === "object" && options?.withFileTypes;
+        return [...dir.node.children.keys()].sort().map((name) =>
+            withFileTypes ? new MemoryDirent(name, dir.path, dir.node.children.get(name).type) : name
+        );
+    }
+
+    opendirSync(p: PathArg): MemoryDir {
+        const dir = this.directory(p, "opendir");
+        return new MemoryDir(dir.path, this.readdirSync(dir.path, { withFileTypes: true }) as MemoryDirent[]);
+    }
+
+    readFileSync(p: PathArg | number, options?: EncodingArg): string | Buffer {
+        const encoding = typeof options === "string" ? options : options?.encoding;
+        const node = typeof p === "number" ? this.openFile(p, "read").node : this.existing(p, true, "open").node;
+        if (node.type === "directory") throw fsError("EISDIR", "read", typeof p === "number" ? undefined : toPath(p));
+        node.atimeMs = Date.now();
+        const content = Buffer.from(node.content);
+        return encoding ? content.toString(encoding) : content;
+    }
+
+    writeFileSync(p: PathArg | number, data: string | Uint8Array, options?: WriteFileArg): void {
+        const { encoding = "utf-8", mode, flag = "w" } = typeof options === "string" ? { encoding: options } : options ?? {};
+        const buffer = typeof data === "string" ? Buffer.from(data, encoding ?? "utf-8") : Buffer.from(data);
+        const fd = typeof p === "number" ? p : this.openSync(p, flag, mode);
+        try {
+            const file = this.openFile(fd, "write");
+            if (!file.writable) throw fsError("EBADF", "write");
+            const { node } = file;
+            const start = file.append ? node.content.length : file.position;
+            const end = start + buffer.length;
+            node.content = Buffer.concat([node.content.subarray(0, start), buffer, node.content.subarray(end)]);
+            file.position = end;
+            node.mtimeMs = node.ctimeMs = Date.now();
+        } finally {
+            if (typeof p !== "number") this.closeSync(fd);
+        }
+    }
+
+    openSync(p: PathArg, flags = "r", mode = 0o666): number {
+        const writable = /[wa+]/.test(flags);
+        const target = this.lookup(p, true, "open");
+        let node = target.node;
+        if (node && flags.includes("x")) throw fsError("EEXIST", "open", target.path);
+        if (!node) {
+            if (!/[wa]/.test(flags)) throw fsError("ENOENT", "open", target.path);
+            node = this.createNode("file", mode);
+            this.addChild(target, node, "open");
+        } else if (node.type === "directory" && writable) {
+            throw fsError("EISDIR", "open", target.path);
+        } else if (flags.startsWith("w")) {
+            node.content = Buffer.alloc(0);
+            node.mtimeMs = node.ctimeMs = Date.now();
+        }
+        const fd = this.nextFd++;
+        this.files.set(fd, { node, append: flags.startsWith("a"), writable, position: 0 });
+        return fd;
+    }
+
+    readSync(fd: number, buffer: Uint8Array, offset = 0, length = buffer.length - offset, position: number | null = null): number {
+        const file = this.openFile(fd, "read");
+        if (file.node.type === "directory") throw fsError("EISDIR", "read");
+        const start = position ?? file.position;
+        const bytes = file.node.content.subarray(start, start + length);
+        buffer.set(bytes, offset);
+        if (position === null) file.position = start + bytes.length;
+        return bytes.length;
+    }
+
+    closeSync(fd: number): void {
+        this.openFile(fd, "close");
+        this.files.delete(fd);
+    }
+
+    fchmodSync(fd: number, mode: number): void {
+        const { node } = this.openFile(fd, "fchmod");
+        node.mode = mode & 0o7777;
+        node.ctimeMs = Date.now();
+    }
+
+    fsyncSync(fd: number): void {
+        this.openFile(fd, "fsync");
+    }
+
+    chownSync(p: PathArg, uid: number, gid: number): void {
+        const { node } = this.existing(p, true, "chown");
+        node.uid = uid;
+        node.gid = gid;
+        node.ctimeMs = Date.now();
+    }
+
+    utimesSync(p: PathArg, atime: TimeArg, mtime: TimeArg, follow: boolean): void {
+        const { node } = this.existing(p, follow, follow ? "utime" : "lutime");
+        node.atimeMs = toTimeMs(atime);
+        node.mtimeMs = toTimeMs(mtime);
+        node.ctimeMs = Date.now();
+    }
+
+    copyFileSync(src: PathArg, dest: PathArg, mode = 0): void {
+        const source = this.existing(src, true, "copyfile").node;
+        if (source.type === "directory") throw fsError("EISDIR", "copyfile", toPath(src));
+        const target = this.lookup(dest, true, "copyfile");
+        if (target.node && mode & constants.COPYFILE_EXCL) throw fsError("EEXIST", "copyfile", target.path);
+        if (target.node?.type === "directory") throw fsError("EISDIR", "copyfile", target.path);
+
+        const node = target.node ?? this.createNode("file", source.mode);
+        node.content = Buffer.from(source.content);
+        node.mode = source.mode;
+        node.mtimeMs = node.ctimeMs = Date.now();
+        if (!target.node) this.addChild(target, node, "copyfile");
+    }
+
+    symlinkSync(target: PathArg, p: PathArg): void {
+        const link = this.lookup(p, false, "symlink");
+        if (link.node) throw fsError("EEXIST", "symlink", link.path);
+        const node = this.createNode("symlink", 0o777);
+        node.target = toPath(target);
+        this.addChild(link, node, "symlink");
+    }
+
+    readlinkSync(p: PathArg): string {
+        const link = this.existing(p, false, "readlink");
+        if (link.node.type !== "symlink") throw fsError("EINVAL", "readlink", link.path);
+        return link.node.target;
+    }
+
+    renameSync(from: PathArg, to: PathArg): void {
+        const source = this.existing(from, false, "rename");
+        const target = this.lookup(to, false, "rename");
+        if (source.node === target.node) return;
+        if (source.node.type === "directory" && (target.path + path.sep).startsWith(source.path + path.sep)) {
+            throw fsError("EINVAL", "rename", source.path);
+        }
+        if (target.node) {
+            if (target.node.type === "directory") {
+                if (source.node.type !== "directory") throw fsError("EISDIR", "rename", target.path);
+                if (target.node.children.size > 0) throw fsError("ENOTEMPTY", "rename", target.path);
+            } else if (source.node.type === "directory") {
+                throw fsError("ENOTDIR", "rename", target.path);
+            }
+            this.removeChild(target);
+        }
+        this.removeChild(source);
+        this.addChild(target, source.node, "rename");
+        source.node.ctimeMs = Date.now();
+    }
+
+    unlinkSync(p: PathArg): void {
+        const entry = this.existing(p, false, "unlink");
+        if (entry.node.type === "directory") throw fsError("EISDIR", "unlink", entry.path);
+        this.removeChild(entry);
+    }
+
+    rmdirSync(p: PathArg): void {
+        const entry = this.existing(p, false, "rmdir");
+        if (entry.node.type !== "directory") throw fsError("ENOTDIR", "rmdir", entry.path);
+        if (entry.node.children.size > 0) throw fsError("ENOTEMPTY", "rmdir", entry.path);
+        this.removeChild(entry);
+    }
+
+    rmSync(p: PathArg, options: { recursive?: boolean; force?: boolean } = {}): void {
+        const entry = this.lookup(p, false, "rm", options.force);
+        if (!entry.node) {
+            if (options.force) return;
+            throw fsError("ENOENT", "rm", entry.path);
+        }
+        if (entry.node.type === "directory" && !options.recursive) {
+            throw Object.assign(new Error(`Path is a directory: rm returned EISDIR (is a directory) ${entry.path}`), {
+                code: "ERR_FS_EISDIR",
+                path: entry.path,
+                syscall: "rm",
+            });
+        }
+        this.removeChild(entry);
+    }
+
+    createReadStream(p: PathArg): Readable {
+        // Read on the first pull, so a missing file is reported as an `error` event like `node:fs` does
+        const read = () => this.readFileSync(p);
+        let done = false;
+        return new Readable({
+            read() {
+                if (done) return;
+                done = true;
+                try {
+                    this.push(read());
+                    this.push(null);
+                } catch (err) {
+                    this.destroy(err as Error);
+                }
+            },
+        });
+    }
+
+    /**
+     * Resolves a path, following symlinks in its directories and, with `follow`, in its last component.
+     * @param missingOk Return missing directories as a missing entry instead of throwing `ENOENT`.
+     */
+    private lookup(p: PathArg, follow: boolean, syscall: string, missingOk = false, depth = 0): Lookup {
+        const fullPath = path.resolve(toPath(p));
+        const { root } = path.parse(fullPath);
+        if (!this.roots.has(root)) this.roots.set(root, this.createNode("directory", 0o755));
+
+        const parts = fullPath.substring(root.length).split(path.sep).filter(Boolean);
+        let node = this.roots.get(root);
+        let current = root;
+        let parent: MemoryNode | null = null;
+        for (let i = 0; i < parts.length; i++) {
+            if (node.type !== "directory") throw fsError("ENOTDIR", syscall, toPath(p));
+            const child = node.children.get(parts[i]);
+            const childPath = path.join(current, parts[i]);
+            const last = i === parts.length - 1;
+            if (!child) {
+                if (last || missingOk) return { path: path.join(childPath, ...parts.slice(i + 1)), parent: last ? node : null, name: parts[parts.length - 1], node: null };
+                throw fsError("ENOENT", syscall, toPath(p));
+            }
+            if (child.type === "symlink" && (!last || follow)) {
+                if (depth >= MAX_SYMLINKS) throw fsError("ELOOP", syscall, toPath(p));
+                const target = path.resolve(current, child.target);
+                return this.lookup(path.join(target, ...parts.slice(i + 1)), follow, syscall, missingOk, depth + 1);
+            }
+            parent = node;
+            node = child;
+            current = childPath;
+        }
+        return { path: current, parent, name: path.basename(current), node };
+    }
+
+    private existing(p: PathArg, follow: boolean, syscall: string): Lookup & { node: MemoryNode } {
+        const entry = this.lookup(p, follow, syscall);
+        if (!entry.node) throw fsError("ENOENT", syscall, toPath(p));
+        return entry as Lookup & { node: MemoryNode };
+    }
+
+    private directory(p: PathArg, syscall: string): Lookup & { node: MemoryNode } {
+        const entry = this.existing(p, true, syscall);
+        if (entry.node.type !== "directory") throw fsError("ENOTDIR", syscall, toPath(p));
+        return entry;
+    }
+
+    private openFile(fd: number, syscall: string): OpenFile {
+        const file = this.files.get(fd);
+        if (!file) throw fsError("EBADF", syscall);
+        return file;
+    }
+
+    private createNode(type: MemoryNode["type"], mode: number): MemoryNode {
+        const now = Date.now();
+        const umask = type === "symlink" ? 0 : 0o022;
+        return {
+            type,
+            content: Buffer.alloc(0),
+            children: new Map(),
+            target: "",
+            ino: this.nextIno++,
+            mode: mode & ~umask & 0o7777,
+            uid: process.getuid?.() ?? 0,
+            gid: process.getgid?.() ?? 0,
+            atimeMs: now,
+            mtimeMs: now,
+            ctimeMs: now,
+            birthtimeMs: now,
+        };
+    }
+
+    private addChild(entry: Lookup, node: MemoryNode, syscall: string): void {
+        if (!entry.parent) throw fsError("ENOENT", syscall, entry.path);
+        entry.parent.children.set(entry.name, node);
+        entry.parent.mtimeMs = entry.parent.ctimeMs = Date.now();
+    }
+
+    private removeChild(entry: Lookup): void {
+        entry.parent.children.delete(entry.name);
+        entry.parent.mtimeMs = entry.parent.ctimeMs = Date.now();
+    }
+}
+
+type TimeArg = number | string | Date;
+type MkdirArg = number | { recursive?: boolean; mode?: number };
+type ReaddirArg = BufferEncoding | { withFileTypes?: boolean; encoding?: BufferEncoding | null };
+type EncodingArg = BufferEncoding | { encoding?: BufferEncoding | null; flag?: string } | null;
+type WriteFileArg = BufferEncoding | { encoding?: BufferEncoding | null; mode?: number; flag?: string };
+
+function toPath(p: PathArg): string {
+    if (p instanceof URL) return fileURLToPath(p);
+    return Buffer.isBuffer(p) ? p.toString("utf-8") : String(p);
+}
+
+function toTimeMs(time: TimeArg): number {
+    if (time instanceof Date) return time.getTime();
+    return typeof time === "number" ? time * 1000 : Number(time) * 1000;
+}
+
+/**
+ * Creates an error like the ones `node:fs` throws, with `code`, `errno`, `syscall` and `path`.
+ */
+function fsError(code: string, syscall: string, filePath?: string): NodeJS.ErrnoException {
+    const target = filePath === undefined ? "" : ` '${filePath}'`;
+    const err: NodeJS.ErrnoException = new Error(`${code}: ${ERROR_MESSAGES[code]}, ${syscall}${target}`);
+    err.code = code;
+    err.errno = -(osConstants.errno[code as keyof typeof osConstants.errno] ?? 0);
+    err.syscall = syscall;
+    if (filePath !== undefined) err.path = filePath;
+    return err;
+}
@@ -1,12 +1,44 @@
-import { lstat, readFile, writeFile } from "node:fs/promises";
-import { findFileUpwards } from "./upwards.js";
-import { UpdateJsonFunc } from "./types.js";
+import fs, { lstat, readFile } from "./fs-adapter.js";
+import { findFileUpwards, findFileUpwardsSync } from "./upwards.js";
+import { UpdateJsonFunc, UpdateJsonSyncFunc } from "./types.js";
+import { writeFileWithOptions, writeFileWithOptionsSync, WriteOptions } from "./atomic.js";
+import { UpdateOptions, withOptionalLock } from "./lock.js";
+import { parseJsonText, updateJsonText } from "./json.js";
+import { FsesmError, toFsesmError } from "./errors.js";
+import { incrementVersion, ReleaseType } from "./semver.js";
+import { DependencyType } from "./workspace.js";
 
 export type FindPackageJsonOptions = {
     cwd?: string;
     maxDepth?: number;
 };
 
+export type EditPackageJsonOptions = FindPackageJsonOptions & UpdateOptions;
+
+export type DependencyOptions = EditPackageJsonOptions & {
+    dev?: boolean; // Add to `devDependencies`
+    peer?: boolean; // Add to `peerDependencies`
+    optional?: boolean; // Add to `optionalDependencies`
+};
+
+export type BumpVersionOptions = EditPackageJsonOptions & {
+    preid?: string; // Prerelease identifier, e.g. `beta`
+};
+
+const DEPENDENCY_FIELDS: DependencyType[] = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+/**
+ * The conventional order of the top-level fields, used to place new fields.
+ */
+const FIELD_ORDER = [
+    "$schema", "name", "displayName", "version", "private", "description", "keywords", "homepage", "bugs",
+    "repository", "funding", "license", "author", "contributors", "maintainers", "sideEffects", "type",
+    "imports", "exports", "main", "module", "browser", "types", "typings", "typesVersions", "bin", "man",
+    "directories", "files", "workspaces", "scripts", "config", "resolutions", "overrides", "dependencies",
+    "devDependencies", "dependenciesMeta", "peerDependencies", "peerDependenciesMeta", "optionalDependencies",
+    "bundledDependencies", "bundleDependencies", "packageManager", "engines", "os", "cpu", "publishConfig",
+];
+
 /**
  * Finds the nearest `package.json` file.
  * Returns `null` if the file does not exist.
@@ -41,22 +73,319 @@ export async function readPackageJson<T extends Record<string, any> = Record<str
 } | null> {
     const filePath = "string" === typeof options ? options : await findPackageJson(options);
     if (!filePath) return null;
-    const source = await readFile(filePath, "utf-8");
-    const parsed = JSON.parse(source);
-    return { path: filePath, data: parsed };
+    const source = await readFile(filePath, "utf-8").catch((err) => {
+        throw toFsesmError(err, filePath);
+    });
+    return { path: filePath, data: parseJsonText<T>(source, "json", filePath) };
 }
 
 /**
  * Updates the nearest `package.json` file.
  * Returns `null` if the file does not exist.
- * @param options FindPackageJsonOptions to find the `package.json` file.
+ * @param options FindPackageJsonOptions to find the `package.json` file, and UpdateOptions for the write and locking.
  * @param update Function to update the JSON data.
  * @returns The updated JSON data.
  */
-export async function updatePackageJson<T extends Record<string, any> = Record<string, any>>(update: UpdateJsonFunc<T>, options: FindPackageJsonOptions = {}): Promise<T | null> {
-    const data = await readPackageJson(options);
-    if (!data) return null;
-    const updated = await update(data.data as T);
-    await writeFile(data.path, JSON.stringify(updated, null, 2) + "\n");
+export async function updatePackageJson<T extends Record<string, any> = Record<string, any>>(update: UpdateJsonFunc<T>, options: FindPackageJsonOptions & UpdateOptions = {}): Promise<T | null> {
+    const filePath = await findPackageJson(options);
+    if (!filePath) return null;
+    return withOptionalLock(filePath, options.lock, async () => {
+        const source = await readFile(filePath, "utf-8").catch((err) => {
+            throw toFsesmError(err, filePath);
+        });
+        const updated = await update(parseJsonText<T>(source, "json", filePath));
+        // Only the changes are written, so the file keeps its indentation and key order
+        const text = updateJsonText(source, updated, "json");
+        if (text !== source) await writeFileWithOptions(filePath, text, options);
+        return updated;
+    });
+}
+
+/**
+ * Adds or updates a dependency of the nearest `package.json`, in `dependencies` unless `dev`, `peer` or `optional` is set.
+ * Like npm, a package is moved out of the other one of `dependencies`, `devDependencies` and `optionalDependencies`.
+ * The dependency map is kept sorted and a new map is placed at its conventional position.
+ * Returns `null` if the file does not exist.
+ * @param name The package name.
+ * @param range The version range, e.g. `^1.2.0` or `workspace:*`.
+ * @param options DependencyOptions to choose the dependency type and find the file.
+ * @returns The updated JSON data.
+ */
+export async function addDependency<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    range: string,
+    options: DependencyOptions = {}
+): Promise<T | null> {
+    return updatePackageJson<T>((data) => setDependency(data, name, range, getDependencyType(options)), options);
+}
+
+/**
+ * Removes a dependency from all dependency maps of the nearest `package.json`. Maps left empty are removed.
+ * Returns `null` if the file does not exist.
+ * @param name The package name.
+ * @param options EditPackageJsonOptions to find the file.
+ * @returns The updated JSON data.
+ */
+export async function removeDependency<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: EditPackageJsonOptions = {}
+): Promise<T | null> {
+    return updatePackageJson<T>((data) => deleteDependency(data, name, DEPENDENCY_FIELDS), options);
+}
+
+/**
+ * Adds or replaces a script of the nearest `package.json`. New scripts are added last.
+ * Returns `null` if the file does not exist.
+ * @param name The script name.
+ * @param command The command to run.
+ * @param options EditPackageJsonOptions to find the file.
+ * @returns The updated JSON data.
+ */
+export async function setScript<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    command: string,
+    options: EditPackageJsonOptions = {}
+): Promise<T | null> {
+    return updatePackageJson<T>((data) => setPath(data, ["scripts", name], command), options);
+}
+
+/**
+ * Removes a script from the nearest `package.json`.
+ * Returns `null` if the file does not exist.
+ * @param name The script name.
+ * @param options EditPackageJsonOptions to find the file.
+ * @returns The updated JSON data.
+ */
+export async function removeScript<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: EditPackageJsonOptions = {}
+): Promise<T | null> {
+    return updatePackageJson<T>((data) => setPath(data, ["scripts", name], undefined), options);
+}
+
+/**
+ * Increments the version of the nearest `package.json` like `npm version`; see `incrementVersion()`.
+ * Returns `null` if the file does not exist.
+ * @param release The part to increment: `major`, `minor`, `patch` or `prerelease`.
+ * @param options BumpVersionOptions with the prerelease identifier, and to find the file.
+ * @returns The new version.
+ * @throws FsesmError if the current version is missing or invalid.
+ */
+export async function bumpVersion(release: ReleaseType, options: BumpVersionOptions = {}): Promise<string | null> {
+    const updated = await updatePackageJson((data) => setVersion(data, release, options.preid), options);
+    return updated?.version ?? null;
+}
+
+/**
+ * Sets a field of the nearest `package.json`. Nested fields are given as a dot-path such as `publishConfig.access`,
+ * or as an array of keys if a key contains a dot. Missing objects on the way are created,
+ * and a new top-level field is placed at its conventional position. `undefined` removes the field.
+ * Returns `null` if the file does not exist.
+ * @param fieldPath The dot-path or keys of the field.
+ * @param value The value to set.
+ * @param options EditPackageJsonOptions to find the file.
+ * @returns The updated JSON data.
+ */
+export async function setField<T extends Record<string, any> = Record<string, any>>(
+    fieldPath: string | string[],
+    value: unknown,
+    options: EditPackageJsonOptions = {}
+): Promise<T | null> {
+    return updatePackageJson<T>((data) => setPath(data, toKeys(fieldPath), value), options);
+}
+
+/**
+ * Synchronous version of `findPackageJson()`.
+ */
+export function findPackageJsonSync(options: FindPackageJsonOptions = {}): string | null {
+    const filePath = findFileUpwardsSync("package.json", options);
+    if (!filePath) return null;
+    try {
+        if (fs.lstatSync(filePath).isFile()) {
+            return filePath;
+        }
+    } catch (err: any) {
+        if (err.code !== "ENOENT" && err.code !== "EACCES" && err.code !== "EPERM") {
+            throw err;
+        }
+    }
+    return null;
+}
+
+/**
+ * Synchronous version of `readPackageJson()`.
+ */
+export function readPackageJsonSync<T extends Record<string, any> = Record<string, any>>(options: FindPackageJsonOptions | string = {}): {
+    path: string;
+    data: T;
+} | null {
+    const filePath = "string" === typeof options ? options : findPackageJsonSync(options);
+    if (!filePath) return null;
+    let source: string;
+    try {
+        source = fs.readFileSync(filePath, "utf-8");
+    } catch (err) {
+        throw toFsesmError(err, filePath);
+    }
+    return { path: filePath, data: parseJsonText<T>(source, "json", filePath) };
+}
+
+/**
+ * Synchronous version of `updatePackageJson()`. The updater must be synchronous, and `lock` is not supported.
+ */
+export function updatePackageJsonSync<T extends Record<string, any> = Record<string, any>>(update: UpdateJsonSyncFunc<T>, options: FindPackageJsonOptions & WriteOptions = {}): T | null {
+    const filePath = findPackageJsonSync(options);
+    if (!filePath) return null;
+    let source: string;
+    try {
+        source = fs.readFileSync(filePath, "utf-8");
+    } catch (err) {
+        throw toFsesmError(err, filePath);
+    }
+    const updated = update(parseJsonText<T>(source, "json", filePath));
+    const text = updateJsonText(source, updated, "json");
+    if (text !== source) writeFileWithOptionsSync(filePath, text, options);
     return updated;
-}
\ No newline at end of file
+}
+
+/**
+ * Synchronous version of `addDependency()`. The `lock` option is not supported.
+ */
+export function addDependencySync<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    range: string,
+    options: Omit<DependencyOptions, "lock"> = {}
+): T | null {
+    return updatePackageJsonSync<T>((data) => setDependency(data, name, range, getDependencyType(options)), options);
+}
+
+/**
+ * Synchronous version of `removeDependency()`. The `lock` option is not supported.
+ */
+export function removeDependencySync<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: Omit<EditPackageJsonOptions, "lock"> = {}
+): T | null {
+    return updatePackageJsonSync<T>((data) => deleteDependency(data, name, DEPENDENCY_FIELDS), options);
+}
+
+/**
+ * Synchronous version of `setScript()`. The `lock` option is not supported.
+ */
+export function setScriptSync<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    command: string,
+    options: Omit<EditPackageJsonOptions, "lock"> = {}
+): T | null {
+    return updatePackageJsonSync<T>((data) => setPath(data, ["scripts", name], command), options);
+}
+
+/**
+ * Synchronous version of `removeScript()`. The `lock` option is not supported.
+ */
+export function removeScriptSync<T extends Record<string, any> = Record<string, any>>(
+    name: string,
+    options: Omit<EditPackageJsonOptions, "lock"> = {}
+): T | null {
+    return updatePackageJsonSync<T>((data) => setPath(data, ["scripts", name], undefined), options);
+}
+
+/**
+ * Synchronous version of `bumpVersion()`. The `lock` option is not supported.
+ */
+export function bumpVersionSync(release: ReleaseType, options: Omit<BumpVersionOptions, "lock"> = {}): string | null {
+    const updated = updatePackageJsonSync((data) => setVersion(data, release, options.preid), options);
+    return updated?.version ?? null;
+}
+
+/**
+ * Synchronous version of `setField()`. The `lock` option is not supported.
+ */
+export function setFieldSync<T extends Record<string, any> = Record<string, any>>(
+    fieldPath: string | string[],
+    value: unknown,
+    options: Omit<EditPackageJsonOptions, "lock"> = {}
+): T | null {
+    return updatePackageJsonSync<T>((data) => setPath(data, toKeys(fieldPath), value), options);
+}
+
+function getDependencyType(options: DependencyOptions): DependencyType {
+    if (options.dev) return "devDependencies";
+    if (options.peer) return "peerDependencies";
+    if (options.optional) return "optionalDependencies";
+    return "dependencies";
+}
+
+function setDependency<T extends Record<string, any>>(data: T, name: string, range: string, field: DependencyType): T {
+    // A peer dependency is usually also a dev dependency, so only the other three exclude each other
+    const others = field === "peerDependencies"
+        ? []
+        : DEPENDENCY_FIELDS.filter((other) => other !== field && other !== "peerDependencies");
+    const result = deleteDependency(data, name, others);
+    return setPath(result, [field], sortKeys({ ...result[field], [name]: range }));
+}
+
+function deleteDependency<T extends Record<string, any>>(data: T, name: string, fields: DependencyType[]): T {
+    let result = data;
+    for (const field of fields) {
+        if (!isPlainObject(result[field]) || !(name in result[field])) continue;
+        const { [name]: _removed, ...rest } = result[field];
+        result = setPath(result, [field], Object.keys(rest).length > 0 ? rest : undefined);
+    }
+    return result;
+}
+
+function setVersion<T extends Record<string, any>>(data: T, release: ReleaseType, preid?: string): T {
+    const version = typeof data.version === "string" ? incrementVersion(data.version, release, preid) : null;
+    if (version === null) {
+        throw new FsesmError(`Invalid version in package.json: ${JSON.stringify(data.version)}`, "EINVAL");
+    }
+    return setPath(data, ["version"], version);
+}
+
+/**
+ * Returns a copy of `data` with the value at `keys` set, or removed if `value` is `undefined`.
+ * A new top-level field is placed after the last existing field that conventionally comes before it.
+ */
+function setPath<T extends Record<string, any>>(data: T, keys: string[], value: unknown): T {
+    const [key, ...rest] = keys;
+    const current = data[key];
+    const next = rest.length === 0 ? value : setPath(isPlainObject(current) ? current : {}, rest, value);
+
+    if (next === undefined) {
+        const { [key]: _removed, ...result } = data;
+        return result as T;
+    }
+    if (key in data) {
+        return { ...data, [key]: next };
+    }
+    return insertField(data, key, next) as T;
+}
+
+function insertField(data: Record<string, any>, key: string, value: unknown): Record<string, any> {
+    const rank = FIELD_ORDER.indexOf(key);
+    const keys = Object.keys(data);
+    let index = keys.length;
+    if (rank !== -1) {
+        const before = keys.map((existing) => FIELD_ORDER.indexOf(existing)).map((other) => other !== -1 && other < rank);
+        index = before.lastIndexOf(true) + 1;
+    }
+    keys.splice(index, 0, key);
+    return Object.fromEntries(keys.map((name) => [name, name === key ? value : data[name]]));
+}
+
+function sortKeys(data: Record<string, unknown>): Record<string, unknown> {
+    return Object.fromEntries(Object.entries(data).sort(([a], [b]) => a.localeCompare(b, "en")));
+}
+
+function toKeys(fieldPath: string | string[]): string[] {
+    const keys = Array.isArray(fieldPath) ? fieldPath : fieldPath.split(".");
+    if (keys.length === 0 || keys.some((key) => key === "")) {
+        throw new TypeError(`Invalid field path: ${JSON.stringify(fieldPath)}`);
+    }
+    return keys;
+}
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
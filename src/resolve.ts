@@ -0,0 +1,321 @@
+import path from "node:path";
+import { FsesmError, FsesmNotFoundError } from "./errors.js";
+import { findPackageJson, findPackageJsonSync, readPackageJson, readPackageJsonSync } from "./package.js";
+import { isFile } from "./index.js";
+import { isFileSync } from "./sync.js";
+
+export type ModuleFormat = "module" | "commonjs" | "json" | "wasm" | "addon";
+
+export type PackageInfo<T extends Record<string, any> = Record<string, any>> = {
+    root: string; // The package directory
+    name: string | null;
+    version: string | null;
+    type: "module" | "commonjs"; // The `type` field that applies to the file. Default: `commonjs`
+    format: ModuleFormat | null; // How Node.js loads the file, or `null` if it is not a module
+    manifest: T;
+};
+
+/**
+ * The conditions `resolvePackageEntry()` matches by default, as `import` from Node.js does.
+ */
+const DEFAULT_CONDITIONS = ["node", "import"];
+
+const INVALID_SEGMENT = /(^|[\\/])(\.\.?|node_modules|%2e%2e?|%2e\.|\.%2e)?([\\/]|$)/i;
+
+type PackageScope = {
+    path: string;
+    data: Record<string, any>;
+};
+
+/**
+ * Finds the package a file belongs to and how Node.js loads the file.
+ * The `type` comes from the nearest `package.json`, even one without a name such as `dist/package.json`;
+ * `root`, `name` and `version` come from the nearest `package.json` with a `name`.
+ * `.mjs`/`.mts` files are ES modules and `.cjs`/`.cts` files CommonJS whatever the `type`.
+ * Returns `null` if the file is not inside a package.
+ * @param filePath The path to the file.
+ * @returns The package root, name, version, `type` and manifest, and the format of the file.
+ */
+export async function getPackageInfo<T extends Record<string, any> = Record<string, any>>(filePath: string): Promise<PackageInfo<T> | null> {
+    let scope: PackageScope | null = null;
+    for (let dir = path.dirname(path.resolve(filePath)); ; dir = path.dirname(dir)) {
+        const manifestPath = await findPackageJson({ cwd: dir });
+        if (!manifestPath) break;
+        const pkg = await readPackageJson(manifestPath);
+        scope ??= pkg;
+        if (typeof pkg.data.name === "string") return createPackageInfo<T>(filePath, scope, pkg);
+        dir = path.dirname(manifestPath);
+        if (path.dirname(dir) === dir) break;
+    }
+    return scope ? createPackageInfo<T>(filePath, scope, scope) : null;
+}
+
+/**
+ * Resolves an entry of a package the way Node.js does, from its manifest and without importing it.
+ * `.` and `./subpath` go through the `exports` field, `#specifier` through the `imports` field,
+ * with conditional, array and `*` pattern targets. A package without `exports` falls back to `main`
+ * (with the extensions Node.js tries) and to `index.js`, and a subpath to the file in the package.
+ * The targets of `exports` and `imports` are not checked to exist, and an `imports` target that
+ * names another package is returned as is.
+ * Returns `null` if the package has no `package.json` or does not export the subpath.
+ * @param pkgDir The package directory.
+ * @param subpath The entry to resolve, e.g. `.`, `./utils` or `#internal`. Default: `.`
+ * @param conditions The conditions to match, in addition to `default`. Default: `["node", "import"]`
+ * @returns The absolute path to the entry.
+ * @throws FsesmError if the `exports` or `imports` field is invalid.
+ */
+export async function resolvePackageEntry(pkgDir: string, subpath = ".", conditions: string[] = DEFAULT_CONDITIONS): Promise<string | null> {
+    const pkg = await readPackageJson(path.join(pkgDir, "package.json")).catch((err) => {
+        if (err instanceof FsesmNotFoundError) return null;
+        throw err;
+    });
+    if (!pkg) return null;
+    const resolved = resolveManifestEntry(pkgDir, pkg, subpath, conditions);
+    if (resolved !== undefined) return resolved;
+
+    for (const candidate of getMainCandidates(pkgDir, pkg.data.main)) {
+        if (await isFile(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Synchronous version of `getPackageInfo()`.
+ */
+export function getPackageInfoSync<T extends Record<string, any> = Record<string, any>>(filePath: string): PackageInfo<T> | null {
+    let scope: PackageScope | null = null;
+    for (let dir = path.dirname(path.resolve(filePath)); ; dir = path.dirname(dir)) {
+        const manifestPath = findPackageJsonSync({ cwd: dir });
+        if (!manifestPath) break;
+        const pkg = readPackageJsonSync(manifestPath);
+        scope ??= pkg;
+        if (typeof pkg.data.name === "string") return createPackageInfo<T>(filePath, scope, pkg);
+        dir = path.dirname(manifestPath);
+        if (path.dirname(dir) === dir) break;
+    }
+    return scope ? createPackageInfo<T>(filePath, scope, scope) : null;
+}
+
+/**
+ * Synchronous version of `resolvePackageEntry()`.
+ */
+export function resolvePackageEntrySync(pkgDir: string, subpath = ".", conditions: string[] = DEFAULT_CONDITIONS): string | null {
+    let pkg: PackageScope;
+    try {
+        pkg = readPackageJsonSync(path.join(pkgDir, "package.json"));
+    } catch (err) {
+        if (err instanceof FsesmNotFoundError) return null;
+        throw err;
+    }
+    const resolved = resolveManifestEntry(pkgDir, pkg, subpath, conditions);
+    if (resolved !== undefined) return resolved;
+
+    for (const candidate of getMainCandidates(pkgDir, pkg.data.main)) {
+        if (isFileSync(candidate)) return candidate;
+    }
+    return null;
+}
+
+function createPackageInfo<T extends Record<string, any>>(filePath: string, scope: PackageScope, pkg: PackageScope): PackageInfo<T> {
+    const type = scope.data.type === "module" ? "module" : "commonjs";
+    return {
+        root: path.dirname(pkg.path),
+        name: pkg.data.name ?? null,
+        version: pkg.data.version ?? null,
+        type,
+        format: getModuleFormat(filePath, type),
+        manifest: pkg.data as T,
+    };
+}
+
+function getModuleFormat(filePath: string, type: "module" | "commonjs"): ModuleFormat | null {
+    switch (path.extname(filePath).toLowerCase()) {
+        case ".mjs":
+        case ".mts":
+            return "module";
+        case ".cjs":
+        case ".cts":
+            return "commonjs";
+        case ".js":
+        case ".ts":
+        case ".jsx":
+        case ".tsx":
+        case "":
+            return type;
+        case ".json":
+            return "json";
+        case ".wasm":
+            return "wasm";
+        case ".node":
+            return "addon";
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolves a subpath through the `exports` or `imports` field.
+ * @returns The resolved path, `null` if it is not exported, or `undefined` if the package has no `exports`
+ * and `main` has to be looked up.
+ */
+function resolveManifestEntry(pkgDir: string, pkg: PackageScope, subpath: string, conditions: string[]): string | null | undefined {
+    const { exports, imports } = pkg.data;
+    const resolve = (matchKey: string, matchObj: Record<string, unknown>, isImports: boolean) => {
+        const target = resolveImportsExports(matchKey, matchObj, isImports, conditions, pkg.path);
+        if (typeof target !== "string") return null;
+        return target.startsWith("./") ? path.join(path.resolve(pkgDir), target) : target;
+    };
+
+    if (subpath.startsWith("#")) {
+        if (subpath === "#" || subpath.startsWith("#/")) {
+            throw new FsesmError(`Invalid module specifier: ${subpath}`, "ERR_INVALID_MODULE_SPECIFIER", pkg.path);
+        }
+        return isObject(imports) ? resolve(subpath, imports, true) : null;
+    }
+
+    const matchKey = subpath === "." || subpath.startsWith("./") ? subpath : `./${subpath.replace(/^\/+/, "")}`;
+    if (exports === undefined || exports === null) {
+        return matchKey === "." ? undefined : path.join(path.resolve(pkgDir), matchKey);
+    }
+
+    const keys = isObject(exports) ? Object.keys(exports) : [];
+    const dotKeys = keys.filter((key) => key.startsWith("."));
+    if (dotKeys.length > 0 && dotKeys.length !== keys.length) {
+        throw new FsesmError(`Invalid "exports" in ${pkg.path}: keys must all start with "." or none of them`, "ERR_INVALID_PACKAGE_CONFIG", pkg.path);
+    }
+    // Without "." keys, `exports` is the main entry itself
+    const matchObj = dotKeys.length > 0 ? exports : { ".": exports };
+    return resolve(matchKey, matchObj, false);
+}
+
+/**
+ * PACKAGE_IMPORTS_EXPORTS_RESOLVE of the Node.js ESM resolution algorithm. Returns the target relative to the package.
+ */
+function resolveImportsExports(
+    matchKey: string,
+    matchObj: Record<string, unknown>,
+    isImports: boolean,
+    conditions: string[],
+    manifestPath: string
+): string | null | undefined {
+    if (Object.prototype.hasOwnProperty.call(matchObj, matchKey) && !matchKey.includes("*")) {
+        return resolveTarget(matchObj[matchKey], null, isImports, conditions, manifestPath);
+    }
+
+    const expansionKeys = Object.keys(matchObj)
+        .filter((key) => key.indexOf("*") !== -1 && key.indexOf("*") === key.lastIndexOf("*"))
+        .sort(comparePatternKeys);
+    for (const expansionKey of expansionKeys) {
+        const patternBase = expansionKey.substring(0, expansionKey.indexOf("*"));
+        if (!matchKey.startsWith(patternBase) || matchKey === patternBase) continue;
+        const patternTrailer = expansionKey.substring(patternBase.length + 1);
+        if (patternTrailer === "" || (matchKey.endsWith(patternTrailer) && matchKey.length >= expansionKey.length)) {
+            const patternMatch = matchKey.substring(patternBase.length, matchKey.length - patternTrailer.length);
+            return resolveTarget(matchObj[expansionKey], patternMatch, isImports, conditions, manifestPath);
+        }
+    }
+    return null;
+}
+
+/**
+ * PATTERN_KEY_COMPARE: the longest base first, then the longest key.
+ */
+function comparePatternKeys(a: string, b: string): number {
+    const baseA = a.indexOf("*");
+    const baseB = b.indexOf("*");
+    if (baseA !== baseB) return baseB - baseA;
+    return b.length - a.length;
+}
+
+/**
+ * PACKAGE_TARGET_RESOLVE: `null` excludes the entry, `undefined` means no condition matched.
+ */
+function resolveTarget(
+    target: unknown,
+    patternMatch: string | null,
+    isImports: boolean,
+    conditions: string[],
+    manifestPath: string
+): string | null | undefined {
+    if (typeof target === "string") {
+        if (!target.startsWith("./")) {
+            if (!isImports || target.startsWith("../") || target.startsWith("/") || isUrl(target)) {
+                throw invalidTarget(target, manifestPath);
+            }
+            // A bare specifier: `imports` can map to another package
+            return patternMatch === null ? target : target.replaceAll("*", patternMatch);
+        }
+        if (INVALID_SEGMENT.test(target.substring(2))) {
+            throw invalidTarget(target, manifestPath);
+        }
+        if (patternMatch === null) return target;
+        if (INVALID_SEGMENT.test(patternMatch)) {
+            throw new FsesmError(`Invalid module specifier "${patternMatch}" for target "${target}"`, "ERR_INVALID_MODULE_SPECIFIER", manifestPath);
+        }
+        return target.replaceAll("*", patternMatch);
+    }
+
+    if (Array.isArray(target)) {
+        let last: FsesmError | null | undefined;
+        for (const item of target) {
+            let resolved: string | null | undefined;
+            try {
+                resolved = resolveTarget(item, patternMatch, isImports, conditions, manifestPath);
+            } catch (err) {
+                if (!(err instanceof FsesmError) || err.code !== "ERR_INVALID_PACKAGE_TARGET") throw err;
+                last = err;
+                continue;
+            }
+            if (resolved === undefined) continue;
+            if (resolved === null) {
+                last = null;
+                continue;
+            }
+            return resolved;
+        }
+        if (last instanceof FsesmError) throw last;
+        return target.length === 0 ? null : last;
+    }
+
+    if (isObject(target)) {
+        for (const condition of Object.keys(target)) {
+            if (/^\d+$/.test(condition)) {
+                throw new FsesmError(`Invalid conditions in ${manifestPath}: keys must not be numbers`, "ERR_INVALID_PACKAGE_CONFIG", manifestPath);
+            }
+            if (condition !== "default" && !conditions.includes(condition)) continue;
+            const resolved = resolveTarget(target[condition], patternMatch, isImports, conditions, manifestPath);
+            if (resolved !== undefined) return resolved;
+        }
+        return undefined;
+    }
+
+    if (target === null) return null;
+    throw invalidTarget(target, manifestPath);
+}
+
+/**
+ * The files Node.js tries for a package without `exports`: `main` with the CommonJS extensions, then `index`.
+ */
+function getMainCandidates(pkgDir: string, main: unknown): string[] {
+    const root = path.resolve(pkgDir);
+    const candidates: string[] = [];
+    if (typeof main === "string" && main !== "") {
+        const mainPath = path.join(root, main);
+        candidates.push(mainPath, `${mainPath}.js`, `${mainPath}.json`, `${mainPath}.node`);
+        candidates.push(...["index.js", "index.json", "index.node"].map((name) => path.join(mainPath, name)));
+    }
+    candidates.push(...["index.js", "index.json", "index.node"].map((name) => path.join(root, name)));
+    return candidates;
+}
+
+function invalidTarget(target: unknown, manifestPath: string): FsesmError {
+    return new FsesmError(`Invalid package target ${JSON.stringify(target)} in ${manifestPath}`, "ERR_INVALID_PACKAGE_TARGET", manifestPath);
+}
+
+function isUrl(value: string): boolean {
+    return /^[a-z][a-z\d+.-]*:/i.test(value);
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
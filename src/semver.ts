@@ -0,0 +1,69 @@
+export type ReleaseType = "major" | "minor" | "patch" | "prerelease";
+
+type SemVer = {
+    major: number;
+    minor: number;
+    patch: number;
+    prerelease: (string | number)[];
+};
+
+const SEMVER = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+[0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*)?$/;
+
+/**
+ * Increments a semantic version the way `npm version` does.
+ * A prerelease is first released as its own version, e.g. a `patch` of `1.2.4-beta.1` is `1.2.4`
+ * and a `major` of `2.0.0-rc.0` is `2.0.0`. A `prerelease` increments the last numeric identifier,
+ * or starts `<patch + 1>-<preid>.0`. Build metadata is dropped.
+ * Returns `null` if `version` is not a valid semantic version.
+ * @param version The version to increment.
+ * @param release The part to increment.
+ * @param preid The prerelease identifier, e.g. `beta`. Changing it restarts the prerelease at `0`.
+ * @returns The new version.
+ */
+export function incrementVersion(version: string, release: ReleaseType, preid?: string): string | null {
+    const parsed = parseVersion(version);
+    if (!parsed) return null;
+    const { major, minor, patch, prerelease } = parsed;
+    const isPrerelease = prerelease.length > 0;
+
+    switch (release) {
+        case "major":
+            if (isPrerelease && minor === 0 && patch === 0) return `${major}.0.0`;
+            return `${major + 1}.0.0`;
+        case "minor":
+            if (isPrerelease && patch === 0) return `${major}.${minor}.0`;
+            return `${major}.${minor + 1}.0`;
+        case "patch":
+            if (isPrerelease) return `${major}.${minor}.${patch}`;
+            return `${major}.${minor}.${patch + 1}`;
+        case "prerelease": {
+            if (!isPrerelease) {
+                return `${major}.${minor}.${patch + 1}-${(preid ? [preid, 0] : [0]).join(".")}`;
+            }
+            if (preid && prerelease[0] !== preid) {
+                return `${major}.${minor}.${patch}-${preid}.0`;
+            }
+            const next = [...prerelease];
+            const last = next.map((id) => typeof id === "number").lastIndexOf(true);
+            if (last === -1) {
+                next.push(0);
+            } else {
+                next[last] = (next[last] as number) + 1;
+            }
+            return `${major}.${minor}.${patch}-${next.join(".")}`;
+        }
+        default:
+            throw new TypeError(`Unknown release type: ${release}`);
+    }
+}
+
+function parseVersion(version: string): SemVer | null {
+    const match = SEMVER.exec(version.trim());
+    if (!match) return null;
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split(".").map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+    };
+}
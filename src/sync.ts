@@ -0,0 +1,339 @@
+import fs from "./fs-adapter.js";
+import { dirname, join } from "node:path";
+import { UpdateJsonSyncFunc } from "./types.js";
+import { writeFileWithOptionsSync, WriteOptions } from "./atomic.js";
+import { parseJsonText, ReadJsonOptions, updateJsonText, UpdateJsonOptions } from "./json.js";
+import { SafeOptions, toFsesmError } from "./errors.js";
+import { getLogger } from "./logger.js";
+
+/**
+ * Synchronous version of `ensureDir()`.
+ */
+export function ensureDirSync(dirPath: string): void {
+    fs.mkdirSync(dirPath, { recursive: true });
+}
+
+/**
+ * Synchronous version of `ensureFile()`.
+ */
+export function ensureFileSync(filePath: string, options: SafeOptions = {}): void {
+    try {
+        ensureDirSync(dirname(filePath));
+        fs.closeSync(fs.openSync(filePath, "a"));
+    } catch (err) {
+        if (!options.safe) throw toFsesmError(err, filePath);
+        getLogger().warn(`Could not create ${filePath}:`, err);
+    }
+}
+
+/**
+ * Synchronous version of `readJson()`.
+ */
+export function readJsonSync<T = unknown>(filePath: string, options: ReadJsonOptions & SafeOptions = {}): T | null {
+    try {
+        const data = fs.readFileSync(filePath, "utf-8");
+        return parseJsonText<T>(data, options.format, filePath);
+    } catch (err) {
+        if (options.safe === false) throw toFsesmError(err, filePath);
+        return null;
+    }
+}
+
+/**
+ * Synchronous version of `writeJson()`.
+ */
+export function writeJsonSync(filePath: string, data: unknown, options: WriteOptions = {}): void {
+    ensureDirSync(dirname(filePath));
+    writeFileWithOptionsSync(filePath, JSON.stringify(data, null, 2), options);
+}
+
+/**
+ * Synchronous version of `updateJson()`. The `lock` option is not supported.
+ */
+export function updateJsonSync<T = unknown>(
+    filePath: string,
+    updater: UpdateJsonSyncFunc<T>,
+    options: Omit<UpdateJsonOptions, "lock"> = {}
+): T {
+    const { format = "json", preserveFormat = format !== "json" } = options;
+    if (!preserveFormat) {
+        const data = readJsonSync<T>(filePath, options);
+        if (!data) return;
+        const updated = updater(data);
+        writeJsonSync(filePath, updated, options);
+        return updated;
+    }
+
+    let source: string;
+    let data: T;
+    try {
+        source = fs.readFileSync(filePath, "utf-8");
+        data = parseJsonText<T>(source, format, filePath);
+    } catch (err) {
+        if (options.safe === false) throw toFsesmError(err, filePath);
+        return;
+    }
+    if (!data) return;
+    const updated = updater(data);
+    const text = updateJsonText(source, updated, format);
+    if (text !== source) writeFileWithOptionsSync(filePath, text, options);
+    return updated;
+}
+
+/**
+ * Synchronous version of `outputFile()`.
+ */
+export function outputFileSync(filePath: string, data: string | Buffer, options: WriteOptions = {}): void {
+    ensureDirSync(dirname(filePath));
+    writeFileWithOptionsSync(filePath, data, options);
+}
+
+/**
+ * Synchronous version of `remove()`.
+ */
+export function removeSync(path: string): void {
+    fs.rmSync(path, { recursive: true, force: true });
+}
+
+/**
+ * Synchronous version of `pathExists()`.
+ */
+export function pathExistsSync(path: string): boolean {
+    try {
+        fs.accessSync(path, fs.constants.F_OK);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Synchronous version of `ensureSymlink()`.
+ */
+export function ensureSymlinkSync(
+    src: string,
+    dest: string,
+    type?: "file" | "dir" | "junction"
+): void {
+    try {
+        const stats = fs.lstatSync(dest);
+        if (!stats.isSymbolicLink()) {
+            fs.unlinkSync(dest);
+            fs.symlinkSync(src, dest, type);
+        }
+    } catch (err: any) {
+        if (err.code === "ENOENT") {
+            fs.symlinkSync(src, dest, type);
+        } else {
+            throw err;
+        }
+    }
+}
+
+/**
+ * Synchronous version of `emptyDir()`.
+ */
+export function emptyDirSync(dirPath: string): void {
+    removeSync(dirPath);
+    ensureDirSync(dirPath);
+}
+
+/**
+ * Alias for `ensureDirSync()`.
+ */
+export const mkdirsSync = ensureDirSync;
+
+/**
+ * Synchronous version of `readFileSafe()`.
+ */
+export function readFileSafeSync(filePath: string, encoding: null): Buffer | null;
+export function readFileSafeSync(filePath: string, encoding?: BufferEncoding): string | null;
+export function readFileSafeSync(filePath: string, encoding: BufferEncoding | null = "utf-8"): string | Buffer | null {
+    if (!filePath || typeof filePath !== "string") {
+        return null;
+    }
+    try {
+        return fs.readFileSync(filePath, encoding ?? undefined);
+    } catch (err: any) {
+        if (err.code === "ENOENT" || err.code === "EACCES" || err.code === "EPERM") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Synchronous version of `isDirectory()`.
+ */
+export function isDirectorySync(path: string): boolean {
+    if (!path || typeof path !== "string") {
+        return false;
+    }
+
+    try {
+        return fs.lstatSync(path).isDirectory();
+    } catch (err: any) {
+        if (err.code === "ENOENT" || err.code === "EACCES" || err.code === "EPERM") {
+            return false;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Synchronous version of `isFile()`.
+ */
+export function isFileSync(path: string): boolean {
+    if (!path || typeof path !== "string") {
+        return false;
+    }
+
+    try {
+        return fs.lstatSync(path).isFile();
+    } catch (err: any) {
+        if (err.code === "ENOENT" || err.code === "EACCES" || err.code === "EPERM") {
+            return false;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Synchronous version of `listFiles()`.
+ */
+export function listFilesSync(dirPath: string): string[] {
+    if (!dirPath || typeof dirPath !== "string") {
+        return [];
+    }
+
+    try {
+        return fs.readdirSync(dirPath, { withFileTypes: true }).flatMap((entry) => {
+            const fullPath = join(dirPath, entry.name);
+            return entry.isDirectory() ? listFilesSync(fullPath) : [fullPath];
+        });
+    } catch (err: any) {
+        if (err.code === "ENOENT" || err.code === "EACCES" || err.code === "EPERM") {
+            return [];
+        }
+        throw err;
+    }
+}
+
+export * from "./types.js";
+export { FsesmError, FsesmNotFoundError, FsesmPermissionError, FsesmParseError, ParseErrorPosition, SafeOptions } from "./errors.js";
+export { FsesmLogger, setLogger } from "./logger.js";
+export { setFs, getFs, withFs, FsAdapter } from "./fs-adapter.js";
+export { createMemoryFs, MemoryFs, MemoryFsTree, MemoryFsOptions } from "./memory-fs.js";
+export { writeFileAtomicSync, WriteFileAtomicOptions, WriteOptions } from "./atomic.js";
+export { copySync, moveSync, ConflictPolicy, CopyOptions, CopyProgress, MoveOptions } from "./copy.js";
+export {
+    hashDirSync,
+    diffDirsSync,
+    syncDirSync,
+    HashDirOptions,
+    DiffDirsOptions,
+    SyncDirOptions,
+    DirManifest,
+    DirManifestEntry,
+    DirDiff,
+    SyncDirOperation,
+} from "./tree.js";
+export { findSync, FindEntry, GlobOptions } from "./find.js";
+export * from "./glob.js";
+export {
+    findEnvFileSync,
+    readEnvFileSync,
+    readEnvCascadeSync,
+    parseEnv,
+    getEnvCascadeFiles,
+    writeEnvVarSync,
+    writeEnvRecordSync,
+    updateEnvSync,
+    getEmptyEnvKeysSync,
+    FindEnvFileOptions,
+    ParseEnvOptions,
+    ReadEnvCascadeOptions,
+    EnvCascadeResult,
+} from "./env.js";
+export * from "./env-parser.js";
+export * from "./env-document.js";
+export {
+    loadEnvSync,
+    getRequiredEnvKeys,
+    EnvValidationError,
+    EnvVarType,
+    EnvVarSchema,
+    EnvSchema,
+    EnvFromSchema,
+    EnvOverridePolicy,
+    LoadEnvOptions,
+    EnvValidationIssue,
+} from "./env-schema.js";
+export {
+    diffEnvSync,
+    syncEnvExampleSync,
+    ensureEnvFromExampleSync,
+    isSecretEnvKey,
+    EnvDiff,
+    SyncEnvExampleOptions,
+    SyncEnvExampleResult,
+    EnsureEnvFromExampleResult,
+} from "./env-example.js";
+export {
+    encryptEnvFileSync,
+    decryptEnvFileSync,
+    generateEnvKey,
+    isEncryptedEnvValue,
+    redactEnv,
+    EnvKeyOptions,
+    EncryptEnvOptions,
+    DecryptEnvOptions,
+    RedactEnvOptions,
+} from "./env-secrets.js";
+export { JsonFormat, ReadJsonOptions, UpdateJsonOptions } from "./json.js";
+export {
+    findWorkspaceRootSync,
+    listWorkspacePackagesSync,
+    getWorkspaceGraphSync,
+    WorkspaceOptions,
+    WorkspaceGraphOptions,
+    WorkspacePackage,
+    WorkspaceGraph,
+    DependencyType,
+} from "./workspace.js";
+export {
+    findFileUpwardsSync,
+    findUpSync,
+    findUpAllSync,
+    findProjectRootSync,
+    FindFileUpwardsOptions,
+    FindUpOptions,
+    FindUpPredicate,
+    FindUpMatch,
+    FindProjectRootOptions,
+} from "./upwards.js";
+export {
+    findPackageJsonSync,
+    readPackageJsonSync,
+    updatePackageJsonSync,
+    addDependencySync,
+    removeDependencySync,
+    setScriptSync,
+    removeScriptSync,
+    bumpVersionSync,
+    setFieldSync,
+    FindPackageJsonOptions,
+    EditPackageJsonOptions,
+    DependencyOptions,
+    BumpVersionOptions,
+} from "./package.js";
+export { incrementVersion, ReleaseType } from "./semver.js";
+export {
+    loadConfigSync,
+    getConfigSearchPlaces,
+    clearConfigCache,
+    ConfigFormat,
+    LoadConfigOptions,
+    LoadedConfig,
+} from "./config.js";
+export { getPackageInfoSync, resolvePackageEntrySync, PackageInfo, ModuleFormat } from "./resolve.js";
@@ -0,0 +1,344 @@
+import { createHash } from "node:crypto";
+import fs, { mkdir, rm } from "./fs-adapter.js";
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { find, findSync, FindEntry, GlobOptions } from "./find.js";
+import { copy, copySync } from "./copy.js";
+import { toFsesmError } from "./errors.js";
+
+export type HashDirOptions = Pick<GlobOptions, "ignore" | "useGitignore" | "ignoreFiles" | "followSymlinks"> & {
+    algorithm?: string; // Any algorithm supported by `crypto.createHash()`. Default: "sha256"
+};
+
+export type DiffDirsOptions = HashDirOptions;
+
+export type SyncDirOptions = HashDirOptions & {
+    delete?: boolean; // Remove entries from `dest` that are not in `src`. Default: false
+    dryRun?: boolean; // Only return the planned operations. Default: false
+    preserveTimestamps?: boolean; // Keep the times of copied files. Default: false
+};
+
+export type DirManifestEntry = {
+    type: "file" | "directory";
+    size?: number; // Files only
+    hash?: string; // Content hash of files
+};
+
+export type DirManifest = {
+    hash: string; // Hash of the whole tree: the paths, types and file contents
+    algorithm: string;
+    entries: Record<string, DirManifestEntry>; // Keyed by path relative to the directory, with `/` separators
+};
+
+export type DirDiff = {
+    added: string[]; // Only in `b`
+    removed: string[]; // Only in `a`
+    modified: string[]; // Files with different content
+    typeChanged: string[]; // A file on one side and a directory on the other
+};
+
+export type SyncDirOperation = {
+    type: "copy" | "mkdir" | "delete";
+    path: string; // Relative to `src` and `dest`
+    reason: "added" | "modified" | "typeChanged" | "removed";
+};
+
+type TreeEntry = DirManifestEntry & {
+    fullPath?: string; // Missing for entries read from a manifest
+};
+
+type Tree = {
+    algorithm: string;
+    entries: Map<string, TreeEntry>;
+};
+
+/**
+ * Number of files hashed in parallel.
+ */
+const HASH_CONCURRENCY = 8;
+
+/**
+ * Hashes the contents of a directory.
+ * The hash only depends on the relative paths, the entry types and the file contents, so it is the same
+ * for equal trees on different machines. Symbolic links are skipped unless `followSymlinks` is set.
+ * @param dirPath The directory to hash.
+ * @param options HashDirOptions to choose the algorithm and leave out files.
+ * @returns The tree hash and a manifest with the hash of every file.
+ */
+export async function hashDir(dirPath: string, options: HashDirOptions = {}): Promise<DirManifest> {
+    const tree = await scanTree(dirPath, options);
+    await hashFiles(tree, [...tree.entries.values()]);
+    return toManifest(tree);
+}
+
+/**
+ * Compares two directory trees, or manifests returned by `hashDir()`.
+ * Files of the same size are compared by their content hash.
+ * @param a The directory or manifest to compare from.
+ * @param b The directory or manifest to compare to.
+ * @param options DiffDirsOptions to choose the algorithm and leave out files.
+ * @returns The paths that were added, removed, modified or changed type, sorted.
+ */
+export async function diffDirs(a: string | DirManifest, b: string | DirManifest, options: DiffDirsOptions = {}): Promise<DirDiff> {
+    const treeA = typeof a === "string" ? await scanTree(a, options) : fromManifest(a);
+    const treeB = typeof b === "string" ? await scanTree(b, options, treeA.algorithm) : fromManifest(b);
+    await hashFiles(treeA, getCandidates(treeA, treeB));
+    await hashFiles(treeB, getCandidates(treeB, treeA));
+    return compareTrees(treeA, treeB);
+}
+
+/**
+ * Makes `dest` match `src`, copying only added and modified files.
+ * Entries that are only in `dest` are kept unless `delete` is set. Ignored paths are left alone on both sides.
+ * @param src The source directory.
+ * @param dest The directory to update. Created if missing.
+ * @param options SyncDirOptions to delete extra entries, do a dry run and leave out files.
+ * @returns The operations that were performed, or would be with `dryRun`.
+ */
+export async function syncDir(src: string, dest: string, options: SyncDirOptions = {}): Promise<SyncDirOperation[]> {
+    const srcTree = await scanTree(src, options);
+    const destTree = fs.existsSync(dest) ? await scanTree(dest, options) : { algorithm: srcTree.algorithm, entries: new Map() };
+    await hashFiles(srcTree, getCandidates(srcTree, destTree));
+    await hashFiles(destTree, getCandidates(destTree, srcTree));
+
+    const operations = planSync(compareTrees(destTree, srcTree), srcTree, options);
+    if (options.dryRun) return operations;
+
+    await mkdir(dest, { recursive: true });
+    for (const operation of operations) {
+        const srcPath = path.join(src, operation.path);
+        const destPath = path.join(dest, operation.path);
+        if (operation.type === "delete") {
+            await rm(destPath, { recursive: true, force: true });
+        } else if (operation.type === "mkdir") {
+            await mkdir(destPath, { recursive: true });
+        } else {
+            await copy(srcPath, destPath, { preserveTimestamps: options.preserveTimestamps });
+        }
+    }
+    return operations;
+}
+
+/**
+ * Synchronous version of `hashDir()`.
+ */
+export function hashDirSync(dirPath: string, options: HashDirOptions = {}): DirManifest {
+    const tree = scanTreeSync(dirPath, options);
+    hashFilesSync(tree, [...tree.entries.values()]);
+    return toManifest(tree);
+}
+
+/**
+ * Synchronous version of `diffDirs()`.
+ */
+export function diffDirsSync(a: string | DirManifest, b: string | DirManifest, options: DiffDirsOptions = {}): DirDiff {
+    const treeA = typeof a === "string" ? scanTreeSync(a, options) : fromManifest(a);
+    const treeB = typeof b === "string" ? scanTreeSync(b, options, treeA.algorithm) : fromManifest(b);
+    hashFilesSync(treeA, getCandidates(treeA, treeB));
+    hashFilesSync(treeB, getCandidates(treeB, treeA));
+    return compareTrees(treeA, treeB);
+}
+
+/**
+ * Synchronous version of `syncDir()`.
+ */
+export function syncDirSync(src: string, dest: string, options: SyncDirOptions = {}): SyncDirOperation[] {
+    const srcTree = scanTreeSync(src, options);
+    const destTree = fs.existsSync(dest) ? scanTreeSync(dest, options) : { algorithm: srcTree.algorithm, entries: new Map() };
+    hashFilesSync(srcTree, getCandidates(srcTree, destTree));
+    hashFilesSync(destTree, getCandidates(destTree, srcTree));
+
+    const operations = planSync(compareTrees(destTree, srcTree), srcTree, options);
+    if (options.dryRun) return operations;
+
+    fs.mkdirSync(dest, { recursive: true });
+    for (const operation of operations) {
+        const srcPath = path.join(src, operation.path);
+        const destPath = path.join(dest, operation.path);
+        if (operation.type === "delete") {
+            fs.rmSync(destPath, { recursive: true, force: true });
+        } else if (operation.type === "mkdir") {
+            fs.mkdirSync(destPath, { recursive: true });
+        } else {
+            copySync(srcPath, destPath, { preserveTimestamps: options.preserveTimestamps });
+        }
+    }
+    return operations;
+}
+
+async function scanTree(dirPath: string, options: HashDirOptions, algorithm = options.algorithm ?? "sha256"): Promise<Tree> {
+    const entries = await find("**", getScanOptions(dirPath, options));
+    return createTree(dirPath, entries, algorithm);
+}
+
+function scanTreeSync(dirPath: string, options: HashDirOptions, algorithm = options.algorithm ?? "sha256"): Tree {
+    const entries = findSync("**", getScanOptions(dirPath, options));
+    return createTree(dirPath, entries, algorithm);
+}
+
+function getScanOptions(dirPath: string, options: HashDirOptions): GlobOptions & { stats: true } {
+    return {
+        cwd: dirPath,
+        type: "all",
+        stats: true,
+        dot: true,
+        matchFilesWithoutExtensions: true,
+        ignore: options.ignore,
+        useGitignore: options.useGitignore,
+        ignoreFiles: options.ignoreFiles,
+        followSymlinks: options.followSymlinks,
+        safe: false,
+    };
+}
+
+function createTree(dirPath: string, found: FindEntry[], algorithm: string): Tree {
+    const entries = new Map<string, TreeEntry>();
+    for (const entry of found) {
+        const relPath = entry.path.split(path.sep).join("/");
+        entries.set(relPath, {
+            type: entry.type,
+            size: entry.type === "file" ? entry.size : undefined,
+            fullPath: path.join(dirPath, entry.path),
+        });
+    }
+    return { algorithm, entries };
+}
+
+function fromManifest(manifest: DirManifest): Tree {
+    return { algorithm: manifest.algorithm, entries: new Map(Object.entries(manifest.entries)) };
+}
+
+function toManifest(tree: Tree): DirManifest {
+    const hash = createHash(tree.algorithm);
+    const entries: Record<string, DirManifestEntry> = {};
+    for (const relPath of sortPaths(tree.entries.keys())) {
+        const { type, size, hash: fileHash } = tree.entries.get(relPath);
+        entries[relPath] = type === "file" ? { type, size, hash: fileHash } : { type };
+        // NUL cannot appear in paths, so the fields cannot run into each other
+        hash.update(`${relPath}\0${type}\0${fileHash ?? ""}\n`);
+    }
+    return { hash: hash.digest("hex"), algorithm: tree.algorithm, entries };
+}
+
+/**
+ * Files that only need a hash because the other tree has a file of the same size at the same path.
+ */
+function getCandidates(tree: Tree, other: Tree): TreeEntry[] {
+    const candidates: TreeEntry[] = [];
+    for (const [relPath, entry] of tree.entries) {
+        const otherEntry = other.entries.get(relPath);
+        if (entry.type === "file" && otherEntry?.type === "file" && otherEntry.size === entry.size) {
+            candidates.push(entry);
+        }
+    }
+    return candidates;
+}
+
+async function hashFiles(tree: Tree, entries: TreeEntry[]): Promise<void> {
+    const pending = entries.filter((entry) => entry.type === "file" && entry.hash === undefined);
+    const worker = async () => {
+        for (let entry = pending.shift(); entry; entry = pending.shift()) {
+            const hash = createHash(tree.algorithm);
+            try {
+                await pipeline(fs.createReadStream(entry.fullPath), hash);
+            } catch (err) {
+                throw toFsesmError(err, entry.fullPath);
+            }
+            entry.hash = hash.digest("hex");
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(HASH_CONCURRENCY, pending.length) }, worker));
+}
+
+function hashFilesSync(tree: Tree, entries: TreeEntry[]): void {
+    const buffer = Buffer.alloc(64 * 1024);
+    for (const entry of entries) {
+        if (entry.type !== "file" || entry.hash !== undefined) continue;
+        const hash = createHash(tree.algorithm);
+        let fd: number;
+        try {
+            fd = fs.openSync(entry.fullPath, "r");
+        } catch (err) {
+            throw toFsesmError(err, entry.fullPath);
+        }
+        try {
+            for (let bytesRead = fs.readSync(fd, buffer); bytesRead > 0; bytesRead = fs.readSync(fd, buffer)) {
+                hash.update(buffer.subarray(0, bytesRead));
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        entry.hash = hash.digest("hex");
+    }
+}
+
+function compareTrees(a: Tree, b: Tree): DirDiff {
+    if (a.algorithm !== b.algorithm) {
+        throw new TypeError(`Cannot compare ${a.algorithm} hashes with ${b.algorithm} hashes`);
+    }
+
+    const diff: DirDiff = { added: [], removed: [], modified: [], typeChanged: [] };
+    for (const relPath of sortPaths(new Set([...a.entries.keys(), ...b.entries.keys()]))) {
+        const entryA = a.entries.get(relPath);
+        const entryB = b.entries.get(relPath);
+        if (!entryA) {
+            diff.added.push(relPath);
+        } else if (!entryB) {
+            diff.removed.push(relPath);
+        } else if (entryA.type !== entryB.type) {
+            diff.typeChanged.push(relPath);
+        } else if (entryA.type === "file" && (entryA.size !== entryB.size || entryA.hash !== entryB.hash)) {
+            diff.modified.push(relPath);
+        }
+    }
+    return diff;
+}
+
+/**
+ * Orders the operations that turn `dest` into `src`: deletions first, then directories, then files.
+ * Nothing inside a path that is deleted or copied as a whole is listed separately.
+ */
+function planSync(diff: DirDiff, srcTree: Tree, options: SyncDirOptions): SyncDirOperation[] {
+    const deletes: SyncDirOperation[] = [];
+    const creates: SyncDirOperation[] = [];
+    const copies: SyncDirOperation[] = [];
+    const add = (relPath: string, reason: SyncDirOperation["reason"]) => {
+        const type = srcTree.entries.get(relPath).type === "directory" ? "mkdir" : "copy";
+        (type === "mkdir" ? creates : copies).push({ type, path: relPath, reason });
+    };
+
+    for (const relPath of diff.typeChanged) {
+        if (!isInside(relPath, deletes)) deletes.push({ type: "delete", path: relPath, reason: "typeChanged" });
+        add(relPath, "typeChanged");
+    }
+    if (options.delete) {
+        for (const relPath of diff.removed) {
+            if (!isInside(relPath, deletes)) deletes.push({ type: "delete", path: relPath, reason: "removed" });
+        }
+    }
+    for (const relPath of diff.added) add(relPath, "added");
+    for (const relPath of diff.modified) add(relPath, "modified");
+
+    // Copying a file creates its parent directories, so only empty directories need their own `mkdir`
+    const dirs = creates.filter((create) => !copies.some((copy) => copy.path.startsWith(`${create.path}/`)));
+    return [
+        ...deletes.sort((x, y) => comparePaths(x.path, y.path)),
+        ...dirs.filter((dir) => !dirs.some((other) => other.path.startsWith(`${dir.path}/`))).sort((x, y) => comparePaths(x.path, y.path)),
+        ...copies.sort((x, y) => comparePaths(x.path, y.path)),
+    ];
+}
+
+function isInside(relPath: string, operations: SyncDirOperation[]): boolean {
+    return operations.some((operation) => relPath.startsWith(`${operation.path}/`));
+}
+
+/**
+ * Sorts by code unit, so the order does not depend on the locale.
+ */
+function sortPaths(paths: Iterable<string>): string[] {
+    return [...paths].sort(comparePaths);
+}
+
+function comparePaths(a: string, b: string): number {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
@@ -1 +1,2 @@
 export type UpdateJsonFunc<T extends Record<string, any> = Record<string, any>> = (data: T) => Promise<T> | T;
+export type UpdateJsonSyncFunc<T extends Record<string, any> = Record<string, any>> = (data: T) => T;
@@ -1,11 +1,36 @@
-import { access, constants, lstat } from "node:fs/promises";
+import { Stats } from "node:fs";
+import fs, { access, constants, lstat, stat } from "./fs-adapter.js";
 import path, { join, dirname } from "node:path";
+import { isWorkspaceRoot, isWorkspaceRootSync } from "./workspace.js";
 
 export type FindFileUpwardsOptions = {
     cwd?: string;
     maxDepth?: number;
 };
 
+export type FindUpOptions = {
+    cwd?: string; // Directory to start from. Default: `process.cwd()`
+    type?: "file" | "directory"; // What a name has to be to match. Default: `file`
+    stopAt?: string; // Last directory to search. Default: the filesystem root
+    maxDepth?: number; // Number of parent directories to search
+    followSymlinks?: boolean; // Match a symlink by its target; `false` never matches symlinks. Default: `true`
+};
+
+/**
+ * Checks a directory. Returning `true` matches the directory itself, and a string matches that name in it.
+ */
+export type FindUpPredicate = (dir: string) => boolean | string | null | undefined | Promise<boolean | string | null | undefined>;
+
+export type FindUpMatch = {
+    path: string; // The matched file or directory
+    dir: string; // The directory it was found in
+    name: string | null; // The name that matched, or `null` if a predicate matched `dir`
+};
+
+export type FindProjectRootOptions = Omit<FindUpOptions, "type"> & {
+    markers?: string[]; // Additional files or directories that mark a project root, e.g. `deno.json`
+};
+
 /**
  * Finds a file by searching upwards from the current working directory.
  * Returns `null` if the file does not exist.
@@ -56,4 +81,210 @@ export async function findFileUpwards(
     }
 
     return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Synchronous version of `findFileUpwards()`.
+ */
+export function findFileUpwardsSync(
+    fileName: string,
+    options: FindFileUpwardsOptions = {}
+): string | null {
+    if (!fileName || typeof fileName !== "string") {
+        throw new Error("fileName must be a non-empty string");
+    }
+
+    if (path.isAbsolute(fileName)) {
+        try {
+            if (fs.lstatSync(fileName).isFile()) {
+                return fileName;
+            }
+        } catch (err: any) { }
+        return null;
+    }
+
+    const cwd = options.cwd ?? process.cwd();
+    const maxDepth = options.maxDepth ?? Infinity;
+    let currentPath = cwd;
+    let depth = 0;
+
+    while (depth <= maxDepth) {
+        const filePath = join(currentPath, fileName);
+        try {
+            if (fs.lstatSync(filePath).isFile()) {
+                return filePath;
+            }
+        } catch (err: any) {
+            if (err.code !== "ENOENT" && err.code !== "EACCES" && err.code !== "EPERM") {
+                throw err;
+            }
+        }
+
+        const parentPath = dirname(currentPath);
+        if (parentPath === currentPath) break;
+        currentPath = parentPath;
+        depth++;
+    }
+
+    return null;
+}
+
+/**
+ * Searches upwards from a directory for the first of several names, or the first directory accepted by a predicate.
+ * Names are checked in order in each directory, so the nearest directory wins and then the first name.
+ * Unlike `findFileUpwards()`, symlinks are followed and the search can end at `stopAt`.
+ * Returns `null` if nothing matches.
+ * @param matcher A name, names, or a predicate called with each directory.
+ * @param options FindUpOptions with the directory to start from, the type to match and where to stop.
+ * @returns The match and the name that matched.
+ */
+export async function findUp(matcher: string | string[] | FindUpPredicate, options: FindUpOptions = {}): Promise<FindUpMatch | null> {
+    for (const dir of getUpwardDirs(options)) {
+        const [match] = await matchDir(dir, matcher, options, true);
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Like `findUp()`, but collects every match from the start directory up to `stopAt` or the filesystem root,
+ * e.g. to merge cascading config files. Each directory can match several names.
+ * @param matcher A name, names, or a predicate called with each directory.
+ * @param options FindUpOptions with the directory to start from, the type to match and where to stop.
+ * @returns The matches, nearest first.
+ */
+export async function findUpAll(matcher: string | string[] | FindUpPredicate, options: FindUpOptions = {}): Promise<FindUpMatch[]> {
+    const matches: FindUpMatch[] = [];
+    for (const dir of getUpwardDirs(options)) {
+        matches.push(...await matchDir(dir, matcher, options, false));
+    }
+    return matches;
+}
+
+/**
+ * Finds the root of the project containing a directory: the nearest directory with `.git`,
+ * that is a workspace root (see `findWorkspaceRoot()`) or that contains one of `markers`.
+ * Returns `null` if there is none.
+ * @param options FindProjectRootOptions with the directory to start from and the extra markers.
+ * @returns The path to the project root.
+ */
+export async function findProjectRoot(options: FindProjectRootOptions = {}): Promise<string | null> {
+    const names = [".git", ...(options.markers ?? [])];
+    const match = await findUp(async (dir) => await hasMarker(dir, names) || isWorkspaceRoot(dir), options);
+    return match?.dir ?? null;
+}
+
+/**
+ * Synchronous version of `findUp()`. The predicate must not be async.
+ */
+export function findUpSync(matcher: string | string[] | FindUpPredicate, options: FindUpOptions = {}): FindUpMatch | null {
+    for (const dir of getUpwardDirs(options)) {
+        const [match] = matchDirSync(dir, matcher, options, true);
+        if (match) return match;
+    }
+    return null;
+}
+
+/**
+ * Synchronous version of `findUpAll()`. The predicate must not be async.
+ */
+export function findUpAllSync(matcher: string | string[] | FindUpPredicate, options: FindUpOptions = {}): FindUpMatch[] {
+    return getUpwardDirs(options).flatMap((dir) => matchDirSync(dir, matcher, options, false));
+}
+
+/**
+ * Synchronous version of `findProjectRoot()`.
+ */
+export function findProjectRootSync(options: FindProjectRootOptions = {}): string | null {
+    const names = [".git", ...(options.markers ?? [])];
+    const match = findUpSync((dir) => hasMarkerSync(dir, names) || isWorkspaceRootSync(dir), options);
+    return match?.dir ?? null;
+}
+
+/**
+ * Checks if a directory contains one of the project root markers.
+ * Markers are checked with `lstat`, so a symbolic link counts even if its target is missing.
+ */
+async function hasMarker(dir: string, names: string[]): Promise<boolean> {
+    for (const name of names) {
+        if (await lstat(join(dir, name)).then(() => true, () => false)) return true;
+    }
+    return false;
+}
+
+function hasMarkerSync(dir: string, names: string[]): boolean {
+    return names.some((name) => {
+        try {
+            fs.lstatSync(join(dir, name));
+            return true;
+        } catch {
+            return false;
+        }
+    });
+}
+
+/**
+ * The directories to search, from `cwd` up to `stopAt`, the `maxDepth` limit or the filesystem root.
+ */
+function getUpwardDirs(options: FindUpOptions): string[] {
+    const stopAt = options.stopAt === undefined ? null : path.resolve(options.stopAt);
+    const maxDepth = options.maxDepth ?? Infinity;
+    const dirs: string[] = [];
+    for (let dir = path.resolve(options.cwd ?? process.cwd()); dirs.length <= maxDepth; dir = dirname(dir)) {
+        dirs.push(dir);
+        if (dir === stopAt || dirname(dir) === dir) break;
+    }
+    return dirs;
+}
+
+async function matchDir(dir: string, matcher: string | string[] | FindUpPredicate, options: FindUpOptions, first: boolean): Promise<FindUpMatch[]> {
+    if (typeof matcher === "function") {
+        return toPredicateMatch(dir, await matcher(dir));
+    }
+    const matches: FindUpMatch[] = [];
+    for (const name of typeof matcher === "string" ? [matcher] : matcher) {
+        const candidate = join(dir, name);
+        try {
+            const stats = options.followSymlinks === false ? await lstat(candidate) : await stat(candidate);
+            if (isType(stats, options.type)) matches.push({ path: candidate, dir, name });
+        } catch (err: any) {
+            if (!isMissing(err)) throw err;
+        }
+        if (first && matches.length > 0) break;
+    }
+    return matches;
+}
+
+function matchDirSync(dir: string, matcher: string | string[] | FindUpPredicate, options: FindUpOptions, first: boolean): FindUpMatch[] {
+    if (typeof matcher === "function") {
+        const result = matcher(dir);
+        if (result instanceof Promise) throw new TypeError("findUpSync() and findUpAllSync() do not support an async predicate");
+        return toPredicateMatch(dir, result);
+    }
+    const matches: FindUpMatch[] = [];
+    for (const name of typeof matcher === "string" ? [matcher] : matcher) {
+        const candidate = join(dir, name);
+        try {
+            const stats = options.followSymlinks === false ? fs.lstatSync(candidate) : fs.statSync(candidate);
+            if (isType(stats, options.type)) matches.push({ path: candidate, dir, name });
+        } catch (err: any) {
+            if (!isMissing(err)) throw err;
+        }
+        if (first && matches.length > 0) break;
+    }
+    return matches;
+}
+
+function toPredicateMatch(dir: string, result: boolean | string | null | undefined): FindUpMatch[] {
+    if (typeof result === "string") return [{ path: join(dir, result), dir, name: result }];
+    return result ? [{ path: dir, dir, name: null }] : [];
+}
+
+function isType(stats: Stats, type: FindUpOptions["type"] = "file"): boolean {
+    return type === "directory" ? stats.isDirectory() : stats.isFile();
+}
+
+function isMissing(err: NodeJS.ErrnoException): boolean {
+    // A broken symlink or a file in place of a parent directory is a miss, not an error
+    return err.code === "ENOENT" || err.code === "ENOTDIR" || err.code === "EACCES" || err.code === "EPERM" || err.code === "ELOOP";
+}
@@ -0,0 +1,312 @@
+import { EventEmitter } from 'node:events';
+import { FSWatcher, watch as fsWatch } from 'node:fs';
+import path from 'node:path';
+import { find, FindEntry, GlobOptions } from './find.js';
+import { createMatcher, Matcher } from './glob.js';
+
+export type WatchOptions = Omit<GlobOptions, 'objectMode' | 'stats'> & {
+    debounce?: number; // Quiet period in milliseconds before changes are reported. Default: 50
+    polling?: boolean; // Always poll instead of using recursive `fs.watch`. Default: false
+    interval?: number; // Polling interval in milliseconds. Default: 1000
+    ignoreInitial?: boolean; // Skip `add`/`addDir` events for entries that exist on start. Default: true
+};
+
+export type WatchEventType = 'add' | 'change' | 'unlink' | 'addDir' | 'unlinkDir';
+
+export type WatchEvent = {
+    type: WatchEventType;
+    path: string;
+};
+
+type SnapshotEntry = {
+    type: 'file' | 'directory';
+    mtimeMs: number;
+    size: number;
+};
+
+type PendingRead = {
+    resolve: (result: IteratorResult<WatchEvent>) => void;
+    reject: (err: unknown) => void;
+};
+
+/**
+ * Watches files and folders matching glob patterns.
+ * Emits `add`, `change`, `unlink`, `addDir` and `unlinkDir` with the path,
+ * `all` with the event type and path, `ready` once the initial scan is done, `error` and `close`.
+ * Events can also be consumed with `for await`.
+ */
+export class Watcher extends EventEmitter implements AsyncIterable<WatchEvent> {
+    readonly ready: Promise<void>;
+
+    private readonly baseDir: string;
+    private readonly options: WatchOptions;
+    private readonly matcher: Matcher;
+    private readonly snapshot = new Map<string, SnapshotEntry>();
+    private readonly pending = new Set<string>();
+    private readonly iterators = new Set<{ buffer: WatchEvent[]; reads: PendingRead[] }>();
+    private fullRescan = false;
+    private initialized = false;
+    private closed = false;
+    private fsWatcher: FSWatcher | null = null;
+    private pollTimer: NodeJS.Timeout | null = null;
+    private debounceTimer: NodeJS.Timeout | null = null;
+    private flushing: Promise<void> = Promise.resolve();
+
+    constructor(patterns: string | string[], options: WatchOptions = {}) {
+        super();
+        this.options = options;
+        this.baseDir = path.resolve(options.cwd ?? process.cwd());
+        this.matcher = createMatcher(patterns, { dot: options.dot ?? true, nocase: options.nocase });
+        this.ready = this.start();
+        // Failures are reported through `error`; keep `ready` from becoming an unhandled rejection
+        this.ready.catch(() => { });
+    }
+
+    /**
+     * Stops watching and ends all async iterators.
+     */
+    async close(): Promise<void> {
+        if (this.closed) return;
+        this.closed = true;
+        this.fsWatcher?.close();
+        if (this.pollTimer) clearInterval(this.pollTimer);
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        await this.flushing;
+
+        for (const iterator of this.iterators) {
+            for (const read of iterator.reads) {
+                read.resolve({ value: undefined, done: true });
+            }
+        }
+        this.iterators.clear();
+        this.emit('close');
+    }
+
+    [Symbol.asyncIterator](): AsyncIterator<WatchEvent> {
+        const iterator = { buffer: [] as WatchEvent[], reads: [] as PendingRead[] };
+        if (!this.closed) this.iterators.add(iterator);
+
+        return {
+            next: () => {
+                if (iterator.buffer.length > 0) {
+                    return Promise.resolve({ value: iterator.buffer.shift(), done: false });
+                }
+                if (!this.iterators.has(iterator)) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => iterator.reads.push({ resolve, reject }));
+            },
+            return: async () => {
+                this.iterators.delete(iterator);
+                return { value: undefined, done: true };
+            },
+        };
+    }
+
+    private async start(): Promise<void> {
+        let polling = this.options.polling ?? false;
+
+        // Watch before the initial scan, so changes made during the scan are not lost
+        if (!polling) {
+            try {
+                this.fsWatcher = fsWatch(this.baseDir, { recursive: true }, (_event, fileName) => {
+                    this.schedule(fileName ? fileName.toString() : null);
+                });
+                this.fsWatcher.on('error', (err) => this.fail(err));
+            } catch (err: any) {
+                if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                    this.fail(err);
+                    throw err;
+                }
+                polling = true;
+            }
+        }
+
+        try {
+            const entries = await this.scan(null);
+            for (const [relPath, entry] of entries) {
+                this.snapshot.set(relPath, entry);
+                if (this.options.ignoreInitial === false) {
+                    this.report(entry.type === 'directory' ? 'addDir' : 'add', relPath, entry);
+                }
+            }
+        } catch (err) {
+            this.fail(err);
+            throw err;
+        }
+        if (this.closed) return;
+
+        if (polling) {
+            this.pollTimer = setInterval(() => this.schedule(null), this.options.interval ?? 1000);
+        }
+        this.initialized = true;
+        this.emit('ready');
+        if (this.pending.size > 0 || this.fullRescan) this.schedule(undefined);
+    }
+
+    /**
+     * Queues a changed path relative to the base directory, or a full rescan for `null`.
+     * `undefined` only (re)starts the debounce timer.
+     */
+    private schedule(relPath: string | null | undefined): void {
+        if (this.closed) return;
+        if (relPath === null || relPath === '') {
+            this.fullRescan = true;
+        } else if (relPath !== undefined) {
+            this.pending.add(relPath.split(path.sep).join('/'));
+        }
+        if (!this.initialized) return;
+
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => {
+            this.debounceTimer = null;
+            this.flushing = this.flushing
+                .then(() => this.applyChanges())
+                .catch((err) => this.fail(err));
+        }, this.options.debounce ?? 50);
+    }
+
+    /**
+     * Rescans the changed paths and reports the differences from the snapshot.
+     */
+    private async applyChanges(): Promise<void> {
+        if (this.closed) return;
+        const scopes = this.fullRescan ? null : collapseScopes([...this.pending]);
+        this.fullRescan = false;
+        this.pending.clear();
+        if (scopes && scopes.length === 0) return;
+
+        const next = await this.scan(scopes);
+        if (this.closed) return;
+
+        // Removals first, deepest entries before their parents
+        const removed = [...this.snapshot.keys()]
+            .filter((relPath) => inScopes(relPath, scopes) && !next.has(relPath))
+            .sort((a, b) => b.split('/').length - a.split('/').length);
+        for (const relPath of removed) {
+            const entry = this.snapshot.get(relPath);
+            this.snapshot.delete(relPath);
+            this.report(entry.type === 'directory' ? 'unlinkDir' : 'unlink', relPath, entry);
+        }
+
+        // Scan results list parents before their children
+        for (const [relPath, entry] of next) {
+            const previous = this.snapshot.get(relPath);
+            this.snapshot.set(relPath, entry);
+
+            if (!previous) {
+                this.report(entry.type === 'directory' ? 'addDir' : 'add', relPath, entry);
+            } else if (previous.type !== entry.type) {
+                this.report(previous.type === 'directory' ? 'unlinkDir' : 'unlink', relPath, previous);
+                this.report(entry.type === 'directory' ? 'addDir' : 'add', relPath, entry);
+            } else if (entry.type === 'file' && (previous.mtimeMs !== entry.mtimeMs || previous.size !== entry.size)) {
+                this.report('change', relPath, entry);
+            }
+        }
+    }
+
+    /**
+     * Lists all entries that are not ignored, restricted to the given paths and their contents.
+     */
+    private async scan(scopes: string[] | null): Promise<Map<string, SnapshotEntry>> {
+        const userFilter = this.options.filter;
+        const entries = await find('**', {
+            ...this.options,
+            cwd: this.baseDir,
+            type: 'all',
+            dot: true,
+            absolute: false,
+            matchFilesWithoutExtensions: true,
+            stats: true,
+            filter: async (entry: FindEntry) => {
+                const relPath = entry.path.split(path.sep).join('/');
+                if (scopes && !inScopes(relPath, scopes) && !isScopeAncestor(relPath, scopes)) {
+                    return false;
+                }
+                return userFilter ? userFilter(entry) : true;
+            },
+        });
+
+        const result = new Map<string, SnapshotEntry>();
+        for (const entry of entries) {
+            const relPath = entry.path.split(path.sep).join('/');
+            if (!inScopes(relPath, scopes)) continue;
+            result.set(relPath, {
+                type: entry.type,
+                mtimeMs: entry.mtime?.getTime() ?? 0,
+                size: entry.size ?? 0,
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Emits an event if the entry matches the patterns and the `type` option.
+     */
+    private report(type: WatchEventType, relPath: string, entry: SnapshotEntry): void {
+        const { type: searchType = 'files', matchFilesWithoutExtensions = true, absolute = false } = this.options;
+        if (entry.type === 'directory' && searchType === 'files') return;
+        if (entry.type === 'file' && searchType === 'folders') return;
+        if (entry.type === 'file' && !matchFilesWithoutExtensions && path.extname(relPath) === '') return;
+        if (!this.matcher(relPath)) return;
+
+        const nativePath = relPath.split('/').join(path.sep);
+        const eventPath = absolute ? path.join(this.baseDir, nativePath) : nativePath;
+        const event: WatchEvent = { type, path: eventPath };
+
+        this.emit(type, eventPath);
+        this.emit('all', type, eventPath);
+        for (const iterator of this.iterators) {
+            const read = iterator.reads.shift();
+            if (read) {
+                read.resolve({ value: event, done: false });
+            } else {
+                iterator.buffer.push(event);
+            }
+        }
+    }
+
+    private fail(err: unknown): void {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', err);
+        }
+        for (const iterator of this.iterators) {
+            for (const read of iterator.reads) {
+                read.reject(err);
+            }
+            iterator.reads = [];
+        }
+    }
+}
+
+/**
+ * Watches files and folders matching glob patterns.
+ * Uses recursive `fs.watch` where available and falls back to polling.
+ * @param patterns Glob patterns to watch.
+ * @param options WatchOptions to configure the watcher.
+ * @returns A Watcher emitting change events; call `close()` to stop.
+ */
+export function watch(patterns: string | string[], options: WatchOptions = {}): Watcher {
+    return new Watcher(patterns, options);
+}
+
+/**
+ * Drops paths whose parent directory is also queued.
+ */
+function collapseScopes(paths: string[]): string[] {
+    const sorted = [...new Set(paths)].sort((a, b) => a.length - b.length);
+    const scopes: string[] = [];
+    for (const candidate of sorted) {
+        if (!inScopes(candidate, scopes)) scopes.push(candidate);
+    }
+    return scopes;
+}
+
+function inScopes(relPath: string, scopes: string[] | null): boolean {
+    if (!scopes) return true;
+    return scopes.some((scope) => relPath === scope || relPath.startsWith(scope + '/'));
+}
+
+function isScopeAncestor(relPath: string, scopes: string[]): boolean {
+    return scopes.some((scope) => scope.startsWith(relPath + '/'));
+}
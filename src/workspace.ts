@@ -0,0 +1,345 @@
+import fs, { readFile } from "./fs-adapter.js";
+import path from "node:path";
+import { find, findSync } from "./find.js";
+import { pathExists } from "./index.js";
+import { pathExistsSync } from "./sync.js";
+import { readPackageJson, readPackageJsonSync } from "./package.js";
+import { FsesmParseError } from "./errors.js";
+import { getLogger } from "./logger.js";
+import { parseYaml } from "./yaml.js";
+
+export type WorkspaceOptions = {
+    cwd?: string; // Directory to start searching upwards from. Default: `process.cwd()`
+};
+
+export type DependencyType = "dependencies" | "devDependencies" | "optionalDependencies" | "peerDependencies";
+
+export type WorkspaceGraphOptions = WorkspaceOptions & {
+    dependencyTypes?: DependencyType[]; // Fields that create an edge. Default: all four
+};
+
+export type WorkspacePackage<T extends Record<string, any> = Record<string, any>> = {
+    path: string; // The package directory
+    name: string; // The package name, or its path relative to the workspace root if it has none
+    version: string | null;
+    manifest: T;
+};
+
+export type WorkspaceGraph = {
+    root: string;
+    packages: WorkspacePackage[];
+    dependencies: Record<string, string[]>; // The workspace packages each package depends on
+    dependents: Record<string, string[]>; // The workspace packages that depend on each package
+    order: string[]; // Package names, each after the packages it depends on
+    cycles: string[][]; // Groups of packages that depend on each other
+};
+
+/**
+ * The files a workspace root can be configured with. `null` if missing.
+ */
+type WorkspaceSources = {
+    pnpm: string | null;
+    lerna: string | null;
+    manifest: string | null;
+};
+
+const DEPENDENCY_TYPES: DependencyType[] = ["dependencies", "devDependencies", "optionalDependencies", "peerDependencies"];
+
+// Never hold workspace packages, and can be large
+const WORKSPACE_IGNORE = ["**/node_modules", "**/.git"];
+
+/**
+ * Finds the root of the workspace (monorepo) containing a directory: the nearest directory with
+ * `pnpm-workspace.yaml`, `lerna.json` or a `package.json` with npm/yarn `workspaces`.
+ * The search stops at the repository root.
+ * Returns `null` if the directory is not in a workspace.
+ * @param options WorkspaceOptions with the directory to start from.
+ * @returns The path to the workspace root.
+ */
+export async function findWorkspaceRoot(options: WorkspaceOptions = {}): Promise<string | null> {
+    for (let dir = path.resolve(options.cwd ?? process.cwd()); ; dir = path.dirname(dir)) {
+        if (await isWorkspaceRoot(dir)) return dir;
+        if (await pathExists(path.join(dir, ".git")) || path.dirname(dir) === dir) return null;
+    }
+}
+
+/**
+ * Lists the packages of the workspace containing a directory, expanding the workspace globs with `find()`.
+ * `node_modules` and `.git` directories are never searched. A package whose `package.json` is invalid
+ * is skipped and reported to the logger, so one broken manifest does not hide the rest of the workspace.
+ * @param options WorkspaceOptions with the directory to start from.
+ * @returns The packages sorted by path, or an empty array outside a workspace.
+ */
+export async function listWorkspacePackages<T extends Record<string, any> = Record<string, any>>(
+    options: WorkspaceOptions = {}
+): Promise<WorkspacePackage<T>[]> {
+    const root = await findWorkspaceRoot(options);
+    if (!root) return [];
+
+    const patterns = getWorkspacePatterns(await readWorkspaceSources(root));
+    const manifestPaths = await find(toManifestPatterns(patterns), { cwd: root, ignore: WORKSPACE_IGNORE, absolute: true, safe: false });
+    const packages: WorkspacePackage<T>[] = [];
+    for (const manifestPath of manifestPaths) {
+        const manifest = await readWorkspaceManifest<T>(manifestPath);
+        if (manifest) packages.push(createWorkspacePackage(root, manifestPath, manifest));
+    }
+    return sortPackages(packages);
+}
+
+/**
+ * Builds the dependency graph between the packages of a workspace.
+ * Only dependencies on other workspace packages are edges, whatever their version range.
+ * `order` can be used to run tasks so that every package comes after its dependencies;
+ * packages in a cycle are kept together in `order` and reported in `cycles`.
+ * Packages with an invalid `package.json` are skipped, as in `listWorkspacePackages()`.
+ * Returns `null` if the directory is not in a workspace.
+ * @param options WorkspaceGraphOptions with the directory to start from and the dependency fields to follow.
+ * @returns The packages, their dependencies and dependents, and the order to process them in.
+ */
+export async function getWorkspaceGraph(options: WorkspaceGraphOptions = {}): Promise<WorkspaceGraph | null> {
+    const root = await findWorkspaceRoot(options);
+    if (!root) return null;
+    return buildWorkspaceGraph(root, await listWorkspacePackages({ cwd: root }), options);
+}
+
+/**
+ * Synchronous version of `findWorkspaceRoot()`.
+ */
+export function findWorkspaceRootSync(options: WorkspaceOptions = {}): string | null {
+    for (let dir = path.resolve(options.cwd ?? process.cwd()); ; dir = path.dirname(dir)) {
+        if (isWorkspaceRootSync(dir)) return dir;
+        if (pathExistsSync(path.join(dir, ".git")) || path.dirname(dir) === dir) return null;
+    }
+}
+
+/**
+ * Synchronous version of `listWorkspacePackages()`.
+ */
+export function listWorkspacePackagesSync<T extends Record<string, any> = Record<string, any>>(
+    options: WorkspaceOptions = {}
+): WorkspacePackage<T>[] {
+    const root = findWorkspaceRootSync(options);
+    if (!root) return [];
+
+    const patterns = getWorkspacePatterns(readWorkspaceSourcesSync(root));
+    const manifestPaths = findSync(toManifestPatterns(patterns), { cwd: root, ignore: WORKSPACE_IGNORE, absolute: true, safe: false });
+    const packages: WorkspacePackage<T>[] = [];
+    for (const manifestPath of manifestPaths) {
+        const manifest = readWorkspaceManifestSync<T>(manifestPath);
+        if (manifest) packages.push(createWorkspacePackage(root, manifestPath, manifest));
+    }
+    return sortPackages(packages);
+}
+
+/**
+ * Synchronous version of `getWorkspaceGraph()`.
+ */
+export function getWorkspaceGraphSync(options: WorkspaceGraphOptions = {}): WorkspaceGraph | null {
+    const root = findWorkspaceRootSync(options);
+    if (!root) return null;
+    return buildWorkspaceGraph(root, listWorkspacePackagesSync({ cwd: root }), options);
+}
+
+/**
+ * Checks if a directory is a workspace root. Used by `findProjectRoot()`.
+ */
+export async function isWorkspaceRoot(dir: string): Promise<boolean> {
+    return getWorkspacePatterns(await readWorkspaceSources(dir)) !== null;
+}
+
+/**
+ * Synchronous version of `isWorkspaceRoot()`.
+ */
+export function isWorkspaceRootSync(dir: string): boolean {
+    return getWorkspacePatterns(readWorkspaceSourcesSync(dir)) !== null;
+}
+
+/**
+ * Reads the manifest of a workspace package.
+ * @returns The manifest, or `null` if it is not a valid JSON object, after reporting it to the logger.
+ */
+async function readWorkspaceManifest<T>(manifestPath: string): Promise<T | null> {
+    try {
+        return checkWorkspaceManifest((await readPackageJson<T>(manifestPath)).data, manifestPath);
+    } catch (err) {
+        return skipWorkspaceManifest(err, manifestPath);
+    }
+}
+
+function readWorkspaceManifestSync<T>(manifestPath: string): T | null {
+    try {
+        return checkWorkspaceManifest(readPackageJsonSync<T>(manifestPath).data, manifestPath);
+    } catch (err) {
+        return skipWorkspaceManifest(err, manifestPath);
+    }
+}
+
+function checkWorkspaceManifest<T>(data: T, manifestPath: string): T {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+        throw new FsesmParseError(`${manifestPath} does not contain a JSON object`, { path: manifestPath });
+    }
+    return data;
+}
+
+function skipWorkspaceManifest(err: unknown, manifestPath: string): null {
+    if (!(err instanceof FsesmParseError)) throw err;
+    getLogger().warn(`Skipping the workspace package in ${path.dirname(manifestPath)}:`, err.message);
+    return null;
+}
+
+async function readWorkspaceSources(dir: string): Promise<WorkspaceSources> {
+    const read = (fileName: string) => readFile(path.join(dir, fileName), "utf-8").catch(() => null);
+    const [pnpm, lerna, manifest] = await Promise.all([read("pnpm-workspace.yaml"), read("lerna.json"), read("package.json")]);
+    return { pnpm, lerna, manifest };
+}
+
+function readWorkspaceSourcesSync(dir: string): WorkspaceSources {
+    const read = (fileName: string) => {
+        try {
+            return fs.readFileSync(path.join(dir, fileName), "utf-8");
+        } catch {
+            return null;
+        }
+    };
+    return { pnpm: read("pnpm-workspace.yaml"), lerna: read("lerna.json"), manifest: read("package.json") };
+}
+
+/**
+ * Reads the package globs of a workspace root: `pnpm-workspace.yaml` first, then `workspaces` in `package.json`
+ * (an array, or `{ packages }` in yarn), then `lerna.json`.
+ * @returns The globs, or `null` if the directory is not a workspace root.
+ */
+function getWorkspacePatterns(sources: WorkspaceSources): string[] | null {
+    if (sources.pnpm !== null) return parsePnpmPackages(sources.pnpm);
+
+    const manifest = parseJsonOrNull(sources.manifest);
+    const workspaces = manifest?.workspaces;
+    if (workspaces) return Array.isArray(workspaces) ? workspaces : workspaces.packages ?? [];
+
+    if (sources.lerna !== null) {
+        return parseJsonOrNull(sources.lerna)?.packages ?? ["packages/*"];
+    }
+    return null;
+}
+
+/**
+ * Reads the `packages` list of `pnpm-workspace.yaml`. Like invalid JSON files, an invalid file gives no packages.
+ */
+function parsePnpmPackages(source: string): string[] {
+    let config: Record<string, any> | null;
+    try {
+        config = parseYaml(source);
+    } catch {
+        return [];
+    }
+    const packages = config?.packages;
+    return Array.isArray(packages) ? packages.filter((pattern) => typeof pattern === "string") : [];
+}
+
+function parseJsonOrNull(source: string | null): Record<string, any> | null {
+    if (source === null) return null;
+    try {
+        return JSON.parse(source);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Turns package directory globs into globs of their manifests, keeping `!` exclusions.
+ */
+function toManifestPatterns(patterns: string[]): string[] {
+    return patterns.map((pattern) => {
+        const negated = pattern.startsWith("!");
+        const dir = (negated ? pattern.substring(1) : pattern).replace(/^\.\//, "").replace(/\/+$/, "");
+        return `${negated ? "!" : ""}${dir === "" || dir === "." ? "" : `${dir}/`}package.json`;
+    });
+}
+
+function createWorkspacePackage<T extends Record<string, any>>(root: string, manifestPath: string, manifest: T): WorkspacePackage<T> {
+    const dir = path.dirname(manifestPath);
+    return {
+        path: dir,
+        name: manifest.name ?? path.relative(root, dir).split(path.sep).join("/"),
+        version: manifest.version ?? null,
+        manifest,
+    };
+}
+
+function sortPackages<T extends WorkspacePackage<any>>(packages: T[]): T[] {
+    return packages.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+function buildWorkspaceGraph(root: string, packages: WorkspacePackage[], options: WorkspaceGraphOptions): WorkspaceGraph {
+    const { dependencyTypes = DEPENDENCY_TYPES } = options;
+    const names = packages.map((pkg) => pkg.name).sort();
+    const dependencies: Record<string, string[]> = {};
+    const dependents: Record<string, string[]> = {};
+    for (const name of names) {
+        dependencies[name] = [];
+        dependents[name] = [];
+    }
+
+    for (const pkg of packages) {
+        const deps = new Set(dependencyTypes.flatMap((type) => Object.keys(pkg.manifest[type] ?? {})));
+        for (const dep of [...deps].sort()) {
+            if (!(dep in dependencies)) continue;
+            dependencies[pkg.name].push(dep);
+            dependents[dep].push(pkg.name);
+        }
+    }
+    for (const name of names) dependents[name].sort();
+
+    const components = findStronglyConnected(names, dependencies);
+    return {
+        root,
+        packages,
+        dependencies,
+        dependents,
+        order: components.flat(),
+        cycles: components.filter((group) => group.length > 1 || dependencies[group[0]].includes(group[0])),
+    };
+}
+
+/**
+ * Tarjan's algorithm. Edges point to dependencies, so each group is returned after the groups it depends on.
+ */
+function findStronglyConnected(names: string[], edges: Record<string, string[]>): string[][] {
+    const index = new Map<string, number>();
+    const lowLink = new Map<string, number>();
+    const stack: string[] = [];
+    const onStack = new Set<string>();
+    const components: string[][] = [];
+
+    const visit = (name: string) => {
+        index.set(name, index.size);
+        lowLink.set(name, index.get(name));
+        stack.push(name);
+        onStack.add(name);
+
+        for (const dep of edges[name]) {
+            if (!index.has(dep)) {
+                visit(dep);
+                lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(dep)));
+            } else if (onStack.has(dep)) {
+                lowLink.set(name, Math.min(lowLink.get(name), index.get(dep)));
+            }
+        }
+
+        if (lowLink.get(name) === index.get(name)) {
+            const component: string[] = [];
+            let member: string;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== name);
+            components.push(component.sort());
+        }
+    };
+
+    for (const name of names) {
+        if (!index.has(name)) visit(name);
+    }
+    return components;
+}
@@ -0,0 +1,418 @@
+import { createParseError, FsesmParseError } from "./errors.js";
+
+/**
+ * Parses the YAML used by config files: block mappings and sequences, flow collections (`[a, b]`, `{ a: 1 }`),
+ * plain and quoted scalars, literal (`|`) and folded (`>`) block scalars, and comments.
+ * Scalars are typed with the YAML 1.2 core schema. Anchors, aliases, tags and multiple documents are not supported.
+ * @param filePath The file the source was read from, for error messages.
+ * @throws FsesmParseError with the line and column of the first error.
+ */
+export function parseYaml<T = unknown>(source: string, filePath?: string): T {
+    return new YamlParser(source, filePath).parseDocument() as T;
+}
+
+type YamlEntry = {
+    key: string;
+    value: string;
+    column: number; // Column of the value in the line content
+};
+
+class YamlParser {
+    private readonly source: string;
+    private readonly lines: string[];
+    private readonly offsets: number[] = [];
+    private index = 0;
+
+    constructor(source: string, private readonly filePath?: string) {
+        this.source = source.replace(/^\uFEFF/, "");
+        this.lines = this.source.split("\n").map((line) => line.replace(/\r$/, ""));
+        let offset = 0;
+        for (const line of this.source.split("\n")) {
+            this.offsets.push(offset);
+            offset += line.length + 1;
+        }
+    }
+
+    parseDocument(): unknown {
+        while (this.index < this.lines.length && this.lines[this.index].startsWith("%")) this.index++;
+        this.skipBlank();
+        if (this.index < this.lines.length && /^---(\s|$)/.test(this.lines[this.index])) {
+            if (this.content(this.index).substring(3).trim() !== "") {
+                throw this.error("Content on the document start line is not supported", this.index, 4);
+            }
+            this.index++;
+        }
+        const indent = this.nextIndent();
+        const value = indent === -1 ? null : this.parseBlock(indent);
+        if (this.nextIndent() !== -1 || (this.index < this.lines.length && this.lines[this.index].startsWith("---"))) {
+            const message = this.lines[this.index].startsWith("---") ? "Multiple documents are not supported" : "Unexpected content";
+            throw this.error(message, this.index, this.indentOf(this.index));
+        }
+        return value;
+    }
+
+    /**
+     * Parses the node that starts on the current line at `indent`.
+     */
+    private parseBlock(indent: number): unknown {
+        const line = this.index;
+        const text = this.content(line);
+        if (isSequenceItem(text)) return this.parseSequence(indent);
+        if (this.splitEntry(text, line, indent)) return this.parseMapping(indent);
+        this.index++;
+        // The node belongs to a parent one column to the left, which matters for block scalars
+        return this.parseValue(text, indent - 1, line, indent, false);
+    }
+
+    private parseMapping(indent: number): Record<string, unknown> {
+        const result: Record<string, unknown> = {};
+        while (this.nextIndent() === indent) {
+            const line = this.index;
+            const entry = this.splitEntry(this.content(line), line, indent);
+            if (!entry) break;
+            if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+                throw this.error(`Duplicate key "${entry.key}"`, line, indent);
+            }
+            this.index++;
+            setOwn(result, entry.key, this.parseValue(entry.value, indent, line, indent + entry.column, true));
+        }
+        if (this.nextIndent() >= indent) {
+            throw this.error("Bad indentation of a mapping entry", this.index, this.indentOf(this.index));
+        }
+        return result;
+    }
+
+    private parseSequence(indent: number): unknown[] {
+        const result: unknown[] = [];
+        while (this.nextIndent() === indent && isSequenceItem(this.content(this.index))) {
+            const line = this.index;
+            const raw = this.lines[line];
+            const after = raw.substring(indent + 1);
+            const item = this.content(line).substring(1).trim();
+            if (item === "") {
+                this.index++;
+                result.push(this.parseValue("", indent, line, indent + 1, false));
+                continue;
+            }
+            // Parse the item as a node at its own column, so `- key: value` can continue on the next lines
+            const itemIndent = indent + 1 + after.length - after.trimStart().length;
+            this.lines[line] = " ".repeat(itemIndent) + raw.substring(itemIndent);
+            result.push(this.parseBlock(itemIndent));
+        }
+        if (this.nextIndent() > indent) {
+            throw this.error("Bad indentation of a sequence item", this.index, this.indentOf(this.index));
+        }
+        return result;
+    }
+
+    /**
+     * Parses the value after `key:` or `-`, which is either on the same line or a block on the next lines.
+     */
+    private parseValue(text: string, parentIndent: number, line: number, column: number, inMapping: boolean): unknown {
+        if (text === "") {
+            const indent = this.nextIndent();
+            if (indent > parentIndent) return this.parseBlock(indent);
+            // A sequence can be a mapping value without being indented
+            if (inMapping && indent === parentIndent && isSequenceItem(this.content(this.index))) return this.parseSequence(indent);
+            return null;
+        }
+        if (text[0] === "|" || text[0] === ">") return this.parseBlockScalar(text, parentIndent, line, column);
+        if (text[0] === "[" || text[0] === "{") return this.parseFlowLines(text, line, column);
+        if (text[0] === "&" || text[0] === "*" || text[0] === "!") {
+            throw this.error("Anchors, aliases and tags are not supported", line, column);
+        }
+        if (text[0] === '"' || text[0] === "'") {
+            const { value, end } = this.parseQuoted(text, 0, line, column);
+            if (text.substring(end).trim() !== "") throw this.error("Unexpected content after a quoted scalar", line, column + end);
+            return value;
+        }
+        if (this.nextIndent() > parentIndent) {
+            throw this.error("Multi-line plain scalars are not supported", this.index, this.indentOf(this.index));
+        }
+        return resolveScalar(text);
+    }
+
+    private parseBlockScalar(header: string, parentIndent: number, line: number, column: number): string {
+        if (!/^[|>]([1-9][-+]?|[-+][1-9]?)?$/.test(header)) throw this.error("Invalid block scalar header", line, column);
+        const folded = header[0] === ">";
+        const chomping = header.includes("-") ? "strip" : header.includes("+") ? "keep" : "clip";
+        const explicit = /[1-9]/.exec(header);
+        let contentIndent = explicit ? Math.max(parentIndent, 0) + Number(explicit[0]) : -1;
+
+        const lines: string[] = [];
+        for (; this.index < this.lines.length; this.index++) {
+            const raw = this.lines[this.index];
+            if (raw.trim() === "") {
+                lines.push(contentIndent === -1 ? "" : raw.substring(contentIndent));
+                continue;
+            }
+            const indent = this.indentOf(this.index);
+            if (contentIndent === -1) {
+                if (indent <= parentIndent) break;
+                contentIndent = indent;
+            }
+            if (indent < contentIndent) break;
+            lines.push(raw.substring(contentIndent));
+        }
+
+        let end = lines.length;
+        while (end > 0 && lines[end - 1].trim() === "") end--;
+        const body = lines.slice(0, end);
+        const trailing = lines.length - end;
+        if (body.length === 0) return chomping === "keep" ? "\n".repeat(trailing) : "";
+        const text = folded ? foldLines(body) : body.join("\n");
+        if (chomping === "strip") return text;
+        return text + "\n".repeat(chomping === "keep" ? trailing + 1 : 1);
+    }
+
+    /**
+     * Parses a flow collection, reading the following lines until its brackets are closed.
+     */
+    private parseFlowLines(text: string, line: number, column: number): unknown {
+        let source = text;
+        while (!isBalanced(source) && this.index < this.lines.length) {
+            source += " " + this.content(this.index);
+            this.index++;
+        }
+        const { value, end } = this.parseFlow(source, 0, line, column);
+        if (source.substring(end).trim() !== "") throw this.error("Unexpected content after a flow collection", line, column + end);
+        return value;
+    }
+
+    private parseFlow(text: string, start: number, line: number, column: number): { value: unknown; end: number } {
+        let pos = skipSpaces(text, start);
+        const open = text[pos];
+        if (open === '"' || open === "'") return this.parseQuoted(text, pos, line, column);
+        if (open !== "[" && open !== "{") {
+            const match = /^(?:[^,[\]{}:]|:(?![\s,[\]{}]|$))*/.exec(text.substring(pos));
+            return { value: resolveScalar(match[0].trim()), end: pos + match[0].length };
+        }
+        if (open === "[") {
+            const items: unknown[] = [];
+            pos = skipSpaces(text, pos + 1);
+            while (text[pos] !== "]") {
+                const item = this.parseFlow(text, pos, line, column);
+                items.push(item.value);
+                pos = this.expectSeparator(text, skipSpaces(text, item.end), "]", line, column);
+            }
+            return { value: items, end: pos + 1 };
+        }
+
+        const result: Record<string, unknown> = {};
+        pos = skipSpaces(text, pos + 1);
+        while (text[pos] !== "}") {
+            const key = this.parseFlow(text, pos, line, column);
+            if (typeof key.value === "object" && key.value !== null) throw this.error("Collection keys are not supported", line, column + pos);
+            pos = skipSpaces(text, key.end);
+            let value: unknown = null;
+            if (text[pos] === ":") {
+                pos = skipSpaces(text, pos + 1);
+                if (text[pos] !== "," && text[pos] !== "}") {
+                    const parsed = this.parseFlow(text, pos, line, column);
+                    value = parsed.value;
+                    pos = skipSpaces(text, parsed.end);
+                }
+            }
+            setOwn(result, String(key.value), value);
+            pos = this.expectSeparator(text, pos, "}", line, column);
+        }
+        return { value: result, end: pos + 1 };
+    }
+
+    private expectSeparator(text: string, pos: number, close: string, line: number, column: number): number {
+        if (text[pos] === ",") return skipSpaces(text, pos + 1);
+        if (text[pos] === close) return pos;
+        throw this.error(pos >= text.length ? `Missing "${close}"` : `Expected "," or "${close}"`, line, column + Math.min(pos, text.length));
+    }
+
+    private parseQuoted(text: string, start: number, line: number, column: number): { value: string; end: number } {
+        const quote = text[start];
+        let value = "";
+        for (let pos = start + 1; pos < text.length; pos++) {
+            const char = text[pos];
+            if (quote === "'") {
+                if (char !== "'") {
+                    value += char;
+                } else if (text[pos + 1] === "'") {
+                    value += "'";
+                    pos++;
+                } else {
+                    return { value, end: pos + 1 };
+                }
+                continue;
+            }
+            if (char === '"') return { value, end: pos + 1 };
+            if (char !== "\\") {
+                value += char;
+                continue;
+            }
+            const escape = text[++pos];
+            const hex = { x: 2, u: 4, U: 8 }[escape];
+            if (hex) {
+                const code = text.substring(pos + 1, pos + 1 + hex);
+                if (!/^[\da-fA-F]+$/.test(code) || code.length !== hex) throw this.error("Invalid escape sequence", line, column + pos);
+                value += String.fromCodePoint(parseInt(code, 16));
+                pos += hex;
+            } else if (escape in ESCAPES) {
+                value += ESCAPES[escape];
+            } else {
+                throw this.error("Invalid escape sequence", line, column + pos);
+            }
+        }
+        throw this.error("Unterminated quoted scalar", line, column + start);
+    }
+
+    /**
+     * Splits a `key: value` line, or returns `null` if the line is not a mapping entry.
+     */
+    private splitEntry(text: string, line: number, column: number): YamlEntry | null {
+        let key: string;
+        let rest: number;
+        if (text[0] === '"' || text[0] === "'") {
+            const quoted = this.parseQuoted(text, 0, line, column);
+            const colon = /^\s*:(\s|$)/.exec(text.substring(quoted.end));
+            if (!colon) return null;
+            key = quoted.value;
+            rest = quoted.end + colon[0].length;
+        } else {
+            if (/^[[{?&*!|>]/.test(text)) return null;
+            const colon = /:(\s|$)/.exec(text);
+            if (!colon) return null;
+            key = text.substring(0, colon.index).trim();
+            rest = colon.index + colon[0].length;
+        }
+        const value = text.substring(rest);
+        return { key, value: value.trim(), column: rest + value.length - value.trimStart().length };
+    }
+
+    /**
+     * Skips blank and comment lines, and returns the indentation of the next line, or -1 at the end of the document.
+     */
+    private nextIndent(): number {
+        this.skipBlank();
+        if (this.index >= this.lines.length || /^(---|\.\.\.)(\s|$)/.test(this.lines[this.index])) return -1;
+        return this.indentOf(this.index);
+    }
+
+    private skipBlank(): void {
+        while (this.index < this.lines.length && stripComment(this.lines[this.index]).trim() === "") this.index++;
+    }
+
+    private indentOf(line: number): number {
+        const raw = this.lines[line];
+        const indent = raw.length - raw.trimStart().length;
+        const tab = raw.substring(0, indent).indexOf("\t");
+        if (tab !== -1) throw this.error("Tabs cannot be used for indentation", line, tab);
+        return indent;
+    }
+
+    /**
+     * The line without its indentation and comment.
+     */
+    private content(line: number): string {
+        return stripComment(this.lines[line]).trim();
+    }
+
+    private error(message: string, line: number, column: number): FsesmParseError {
+        const offset = line < this.offsets.length ? this.offsets[line] + column : this.source.length;
+        return createParseError(message, this.source, offset, this.filePath);
+    }
+}
+
+const ESCAPES: Record<string, string> = {
+    "0": "\0", a: "\x07", b: "\b", t: "\t", "\t": "\t", n: "\n", v: "\v", f: "\f", r: "\r", e: "\x1b",
+    " ": " ", '"': '"', "/": "/", "\\": "\\", N: "\x85", _: "\xa0", L: "\u2028", P: "\u2029",
+};
+
+/**
+ * Resolves a plain scalar with the YAML 1.2 core schema.
+ */
+function resolveScalar(text: string): unknown {
+    if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?\d+$/.test(text)) return Number(text);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+    if (/^0x[\da-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+    if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text.startsWith("-") ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+}
+
+/**
+ * Folds the lines of a `>` block scalar: lines are joined with spaces, while empty and more-indented lines keep their breaks.
+ */
+function foldLines(lines: string[]): string {
+    let text = lines[0];
+    let empty = 0;
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === "") {
+            empty++;
+            continue;
+        }
+        const indented = /^\s/.test(line) || /^\s/.test(lines[i - 1 - empty]);
+        text += empty > 0 ? "\n".repeat(indented ? empty + 1 : empty) : indented ? "\n" : " ";
+        text += line;
+        empty = 0;
+    }
+    return text;
+}
+
+/**
+ * Removes a `#` comment, which starts at the beginning of the line or after whitespace, outside quotes.
+ */
+function stripComment(line: string): string {
+    let quote: string | null = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === "\\" && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if ((char === '"' || char === "'") && (i === 0 || /[\s[{,:-]/.test(line[i - 1]))) {
+            quote = char;
+        } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.substring(0, i);
+        }
+    }
+    return line;
+}
+
+function isSequenceItem(text: string): boolean {
+    return /^-(\s|$)/.test(text);
+}
+
+/**
+ * Checks if the brackets of a flow collection are closed, ignoring quoted text.
+ */
+function isBalanced(text: string): boolean {
+    let depth = 0;
+    let quote: string | null = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === "\\" && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === "[" || char === "{") {
+            depth++;
+        } else if (char === "]" || char === "}") {
+            depth--;
+        }
+    }
+    return depth <= 0;
+}
+
+function skipSpaces(text: string, pos: number): number {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    return pos;
+}
+
+/**
+ * Sets a property without triggering the `__proto__` setter.
+ */
+function setOwn(target: Record<string, unknown>, key: string, value: unknown): void {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}